@@ -14,6 +14,22 @@ import { DragHandlerService } from './services/drag-handler-service.js';
 import { HooksManagerService } from './services/hooks-manager-service.js';
 import { CombatService } from './services/combat-service.js';
 import { MovementCalculationService } from './services/movement-calculation-service.js';
+import { BackendRegistryService } from './services/backend-registry-service.js';
+import { CostProviderRegistryService } from './services/cost-provider-registry-service.js';
+import { RoutinglibPathfindingBackend } from './services/routinglib-pathfinding-backend.js';
+import { NativePathfindingBackend } from './services/native-pathfinding-backend.js';
+import { WorkerPathfindingBackend } from './services/worker-pathfinding-backend.js';
+import { GridlessRoutingService } from './services/gridless-routing-service.js';
+import { ReachabilityService } from './services/reachability-service.js';
+import { TokenObstacleService } from './services/token-obstacle-service.js';
+import { TerrainService } from './services/terrain-service.js';
+import { MovementRangeService } from './services/movement-range-service.js';
+import { GroupMovementService } from './services/group-movement-service.js';
+import { MarchingOrderService } from './services/marching-order-service.js';
+import { PatrolService } from './services/patrol-service.js';
+import { RoutingApiService, ROUTE_TRUNCATION_REASONS } from './services/routing-api-service.js';
+import { RoutingError, ROUTING_ERROR_REASONS } from './services/routing-error.js';
+import { registerRegionBehaviorTypes } from './services/region-behavior-types.js';
 
 const MODULE_NAME = "routing-token";
 
@@ -25,26 +41,86 @@ class SmartTokenRouting {
         this.settingsService = new SettingsService(MODULE_NAME);
         this.coordinateService = new CoordinateService(MODULE_NAME, this.settingsService);
         this.tokenMovementService = new TokenMovementService(MODULE_NAME, this.settingsService);
+        this.backendRegistry = new BackendRegistryService(MODULE_NAME, this.settingsService);
+        this.reachabilityService = new ReachabilityService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.backendRegistry
+        );
+        this.tokenObstacleService = new TokenObstacleService(MODULE_NAME, this.settingsService, this.coordinateService);
+        this.terrainService = new TerrainService(MODULE_NAME, this.settingsService, this.coordinateService);
+        this.costProviderRegistry = new CostProviderRegistryService(MODULE_NAME, this.settingsService, this.coordinateService);
+        this.gridlessRoutingService = new GridlessRoutingService(MODULE_NAME, this.settingsService);
         this.pathfindingService = new PathfindingService(
             MODULE_NAME, 
             this.settingsService, 
             this.coordinateService, 
+            this.tokenMovementService,
+            this.backendRegistry,
+            this.reachabilityService,
+            this.tokenObstacleService,
+            this.terrainService,
+            this.costProviderRegistry,
+            this.gridlessRoutingService
+        );
+        this.movementCalculationService = new MovementCalculationService(MODULE_NAME, this.costProviderRegistry);
+        this.combatService = new CombatService(MODULE_NAME, this.movementCalculationService);
+        this.movementRangeService = new MovementRangeService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.pathfindingService,
+            this.reachabilityService,
+            this.combatService,
+            this.movementCalculationService
+        );
+        this.groupMovementService = new GroupMovementService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.pathfindingService,
+            this.reachabilityService
+        );
+        this.marchingOrderService = new MarchingOrderService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.pathfindingService,
+            this.tokenMovementService,
+            this.reachabilityService
+        );
+        this.patrolService = new PatrolService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.pathfindingService,
             this.tokenMovementService
         );
+        this.routingApiService = new RoutingApiService(
+            MODULE_NAME,
+            this.settingsService,
+            this.coordinateService,
+            this.pathfindingService
+        );
         this.dragHandler = new DragHandlerService(
             MODULE_NAME, 
             this.settingsService, 
-            this.pathfindingService
+            this.pathfindingService,
+            this.movementRangeService,
+            this.groupMovementService
         );
-        this.movementCalculationService = new MovementCalculationService(MODULE_NAME);
-        this.combatService = new CombatService(MODULE_NAME, this.movementCalculationService);
         this.hooksManager = new HooksManagerService(
             MODULE_NAME,
             this.settingsService,
             this.pathfindingService,
             this.dragHandler,
             this.combatService,
-            this.movementCalculationService
+            this.movementCalculationService,
+            this.terrainService,
+            this.movementRangeService,
+            this.marchingOrderService,
+            this.patrolService
         );
 
         // Set up settings change listeners
@@ -56,6 +132,12 @@ class SmartTokenRouting {
      */
     initialize() {
         this.settingsService.registerSettings();
+        this.registerBuiltInBackends();
+        
+        // Route preference behaviors appear in the region config sheet like core behaviors
+        if (!registerRegionBehaviorTypes(MODULE_NAME)) {
+            console.warn(`[${MODULE_NAME}] Region behaviors are not available, route preference behaviors were not registered`);
+        }
         this.pathfindingService.initialize();
         this.hooksManager.setupHooks();
         
@@ -64,6 +146,25 @@ class SmartTokenRouting {
         }
     }
 
+    /**
+     * Register the pathfinding backends shipped with the module
+     * Runs after the settings so the backends appear in the backend setting
+     */
+    registerBuiltInBackends() {
+        this.backendRegistry.register("routinglib", new RoutinglibPathfindingBackend(MODULE_NAME, this.settingsService), {
+            label: game.i18n.localize("ROUTING_TOKEN.Settings.BackendRoutinglib"),
+            priority: 100
+        });
+        this.backendRegistry.register("worker", new WorkerPathfindingBackend(MODULE_NAME, this.settingsService, this.coordinateService), {
+            label: game.i18n.localize("ROUTING_TOKEN.Settings.BackendWorker"),
+            priority: 10
+        });
+        this.backendRegistry.register("native", new NativePathfindingBackend(MODULE_NAME, this.settingsService, this.coordinateService), {
+            label: game.i18n.localize("ROUTING_TOKEN.Settings.BackendNative"),
+            priority: 0
+        });
+    }
+
     /**
      * Set up listeners for settings changes
      */
@@ -74,6 +175,18 @@ class SmartTokenRouting {
                 console.log(`[${MODULE_NAME}] Pathfinding ${enabled ? 'enabled' : 'disabled'} via settings`);
             }
         });
+        
+        // Routes that failed under the old search limit may exist under the new one
+        this.settingsService.addListener("maxPathDistance", () => {
+            this.pathfindingService.invalidatePathCache(null, "search limit changed");
+        });
+        
+        // Show or hide the reachable area of the selected token, and redraw it in new band colours
+        for (const settingName of ["showMovementRange", "rangeBands"]) {
+            this.settingsService.addListener(settingName, () => {
+                this.movementRangeService.refreshMovementRange();
+            });
+        }
     }
 
     /**
@@ -99,7 +212,123 @@ class SmartTokenRouting {
             isAvailable() {
                 const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
                 return smartRouting?.settingsService.isPathfindingEnabled() && 
-                       smartRouting?.pathfindingService.isRoutinglibReady();
+                       smartRouting?.pathfindingService.isPathfindingAvailable();
+            },
+
+            /**
+             * Register a pathfinding backend
+             * @param {string} id - Unique backend ID
+             * @param {Object} backend - Object implementing findPath(from, to, options) and collides(a, b, token)
+             * @param {Object} [options] - {label, priority}
+             */
+            registerBackend(id, backend, options = {}) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                if (!smartRouting) {
+                    throw new RoutingError(ROUTING_ERROR_REASONS.NOT_INITIALIZED);
+                }
+                smartRouting.backendRegistry.register(id, backend, options);
+            },
+
+            /**
+             * Find a token's route to a destination without moving it
+             * @param {Token|TokenDocument|string} tokenOrId - Token on the viewed scene, its document or its ID
+             * @param {Object} destination - Destination {x, y}, the token's top-left pixel position or a grid position
+             * @param {Object} [options] - {coordinates: "pixel"|"grid", waypoints, movementAction, budget}
+             * @returns {Promise<Object>} {path, cost, truncated, reason}, rejects with a RoutingError
+             */
+            async findPath(tokenOrId, destination, options = {}) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                if (!smartRouting) {
+                    throw new RoutingError(ROUTING_ERROR_REASONS.NOT_INITIALIZED);
+                }
+                return await smartRouting.routingApiService.findPath(tokenOrId, destination, options);
+            },
+
+            /**
+             * Route a token to a destination and move it there
+             * @param {Token|TokenDocument|string} tokenOrId - Token on the viewed scene, its document or its ID
+             * @param {Object} destination - Destination {x, y}, the token's top-left pixel position or a grid position
+             * @param {Object} [options] - {coordinates: "pixel"|"grid", waypoints, movementAction, budget}
+             * @returns {Promise<Object>} The route walked, resolved when the movement finishes; rejects with a RoutingError
+             */
+            async moveTo(tokenOrId, destination, options = {}) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                if (!smartRouting) {
+                    throw new RoutingError(ROUTING_ERROR_REASONS.NOT_INITIALIZED);
+                }
+                return await smartRouting.routingApiService.moveTo(tokenOrId, destination, options);
+            },
+
+            /**
+             * Register a cost provider that prices every step of a route
+             * @param {string} id - Unique provider ID
+             * @param {Function} provider - Function (token, fromCell, toCell, movementAction) returning a multiplier,
+             *        {multiplier, cost} or Infinity to forbid the step
+             * @param {Object} [options] - {label, minimumMultiplier}
+             */
+            registerCostProvider(id, provider, options = {}) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                if (!smartRouting) {
+                    throw new RoutingError(ROUTING_ERROR_REASONS.NOT_INITIALIZED);
+                }
+                smartRouting.costProviderRegistry.register(id, provider, options);
+                smartRouting.hooksManager.invalidateRoutes(null, `cost provider ${id} registered`);
+            },
+
+            /**
+             * Remove a cost provider
+             * @param {string} id - Provider ID
+             * @returns {boolean} True if a provider was removed
+             */
+            unregisterCostProvider(id) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                if (!smartRouting?.costProviderRegistry.unregister(id)) return false;
+                
+                smartRouting.hooksManager.invalidateRoutes(null, `cost provider ${id} removed`);
+                return true;
+            },
+
+            /**
+             * List the registered cost providers
+             * @returns {Array} Entries {id, label, minimumMultiplier}
+             */
+            getCostProviders() {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                return smartRouting?.costProviderRegistry.list() ?? [];
+            },
+
+            /**
+             * Recalculate routes after a cost provider's answers changed, such as when ice was added to the scene
+             */
+            refreshCostProviders() {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                smartRouting?.hooksManager.invalidateRoutes(null, "cost providers changed");
+            },
+
+            /**
+             * Error class of rejected API calls, test error.reason against ERROR_REASONS
+             */
+            RoutingError: RoutingError,
+            ERROR_REASONS: ROUTING_ERROR_REASONS,
+            TRUNCATION_REASONS: ROUTE_TRUNCATION_REASONS,
+
+            /**
+             * Remove a pathfinding backend
+             * @param {string} id - Backend ID
+             * @returns {boolean} True if a backend was removed
+             */
+            unregisterBackend(id) {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                return smartRouting?.backendRegistry.unregister(id) ?? false;
+            },
+
+            /**
+             * List the registered pathfinding backends
+             * @returns {Array} Entries {id, label, priority, available}
+             */
+            getBackends() {
+                const smartRouting = game.modules.get(MODULE_NAME)?.smartRouting;
+                return smartRouting?.backendRegistry.list() ?? [];
             },
 
             /**
@@ -123,6 +352,17 @@ class SmartTokenRouting {
                     coordinate: smartRouting.coordinateService,
                     tokenMovement: smartRouting.tokenMovementService,
                     pathfinding: smartRouting.pathfindingService,
+                    backendRegistry: smartRouting.backendRegistry,
+                    costProviders: smartRouting.costProviderRegistry,
+                    gridlessRouting: smartRouting.gridlessRoutingService,
+                    reachability: smartRouting.reachabilityService,
+                    tokenObstacles: smartRouting.tokenObstacleService,
+                    terrain: smartRouting.terrainService,
+                    movementRange: smartRouting.movementRangeService,
+                    groupMovement: smartRouting.groupMovementService,
+                    marchingOrder: smartRouting.marchingOrderService,
+                    patrol: smartRouting.patrolService,
+                    routingApi: smartRouting.routingApiService,
                     dragHandler: smartRouting.dragHandler,
                     hooksManager: smartRouting.hooksManager
                 };
@@ -160,6 +400,7 @@ class SmartTokenRouting {
     cleanup() {
         this.hooksManager.cleanup();
         this.pathfindingService.cancelAllPathfindingJobs();
+        this.pathfindingService.invalidatePathCache(null, "module cleanup");
         this.dragHandler.clearAllDragStates();
         this.tokenMovementService.clearAllAnimations();
         
@@ -0,0 +1,304 @@
+/**
+ * Backend Registry Service for Smart Token Routing
+ * Keeps the available pathfinding backends and picks one for every request
+ *
+ * A backend is an object implementing:
+ *   findPath(from, to, options) -> {path, cost} | null (may return a Promise), path positions entered by
+ *     squeezing are marked {x, y, squeezed: true, squeezeOffset}
+ *   collides(a, b, token, passableWalls) -> boolean, passableWalls (optional) maps the IDs of closed doors and climbable
+ *     walls that do not block the step; backends without supportsDoorRules may treat them as walls
+ *   isAvailable() -> boolean (optional, defaults to available)
+ *   supportsCellRules -> boolean (optional) whether findPath honours options.cellRules and options.allowedCells
+ *   supportsDoorRules -> boolean (optional) whether findPath honours options.doorRules and options.climbableWalls
+ *   supportsStepCosts -> boolean (optional) whether findPath honours options.stepCosts
+ *   supportsSqueezing -> boolean (optional) whether findPath honours options.squeeze
+ *   cancel(jobId) -> void (optional) stops the searches started with options.jobId
+ *   updateWall(wallDocument, removed) -> void (optional) keeps a snapshot of the scene's walls current
+ *   resetScene() -> void (optional) drops what was kept about the scene being left
+ * Grid positions use {x, y} with x as the column and y as the row.
+ */
+
+/**
+ * Setting value that lets the registry pick the best available backend
+ */
+export const AUTO_BACKEND = "auto";
+
+export class BackendRegistryService {
+    constructor(moduleName, settingsService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.backends = new Map(); // backendId -> { id, label, backend, priority }
+        this.unsupportedRuleWarnings = new Set(); // "backendId:rule" already reported in debug mode
+    }
+
+    /**
+     * Register a pathfinding backend
+     * @param {string} id - Unique backend ID
+     * @param {Object} backend - Object implementing findPath and collides
+     * @param {Object} [options]
+     * @param {string} [options.label] - Name shown in the backend setting
+     * @param {number} [options.priority] - Higher priorities are tried first in automatic mode
+     */
+    register(id, backend, { label = id, priority = 50 } = {}) {
+        if (typeof id !== 'string' || !id || id === AUTO_BACKEND) {
+            throw new Error(`Invalid pathfinding backend id "${id}"`);
+        }
+        if (typeof backend?.findPath !== 'function' || typeof backend?.collides !== 'function') {
+            throw new Error(`Pathfinding backend "${id}" must implement findPath(from, to, options) and collides(a, b, token)`);
+        }
+        
+        this.backends.set(id, { id, label, backend, priority });
+        this.settingsService.addSettingChoice("pathfindingBackend", id, label);
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] Pathfinding backend "${id}" registered (priority ${priority})`);
+        }
+    }
+
+    /**
+     * Remove a registered backend
+     * @param {string} id - Backend ID
+     * @returns {boolean} True if a backend was removed
+     */
+    unregister(id) {
+        return this.backends.delete(id);
+    }
+
+    /**
+     * Get a registered backend
+     * @param {string} id - Backend ID
+     * @returns {Object|null} The backend object
+     */
+    get(id) {
+        return this.backends.get(id)?.backend ?? null;
+    }
+
+    /**
+     * List the registered backends
+     * @returns {Array} Entries {id, label, priority, available}
+     */
+    list() {
+        return Array.from(this.backends.values()).map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            priority: entry.priority,
+            available: this.isBackendAvailable(entry)
+        }));
+    }
+
+    /**
+     * Get the available backends in the order they should be tried
+     * Backends that would route through cells the request blocks or outside the cells it allows come last, since no
+     * route may ignore those; otherwise the backend selected in the settings comes first, even when it cannot honour
+     * every rule, and the fallbacks that cannot honour the rules a request carries follow the ones that can, then by priority
+     * @param {Object} [requirements]
+     * @param {boolean} [requirements.cellRules] - Whether the request carries cell rules
+     * @param {boolean} [requirements.blockedCells] - Whether its cell rules block cells or confine the route to allowed cells
+     * @param {boolean} [requirements.doorRules] - Whether the request carries door rules
+     * @param {boolean} [requirements.stepCosts] - Whether the request carries cost provider step costs
+     * @param {boolean} [requirements.squeeze] - Whether the request lets the token squeeze through narrow spaces
+     * @returns {Array} Registry entries
+     */
+    getCandidates(requirements = {}) {
+        const selected = this.settingsService.getPathfindingBackend();
+        
+        return Array.from(this.backends.values())
+            .filter(entry => this.isBackendAvailable(entry))
+            .sort((a, b) => {
+                const hard = this.ignoresBlockedCells(a, requirements) - this.ignoresBlockedCells(b, requirements);
+                if (hard !== 0) return hard;
+                if (a.id === selected) return -1;
+                if (b.id === selected) return 1;
+                const support = this.getUnsupportedRules(a, requirements).length - this.getUnsupportedRules(b, requirements).length;
+                if (support !== 0) return support;
+                return b.priority - a.priority;
+            });
+    }
+
+    /**
+     * Get the rules of a request that a backend cannot honour
+     * @param {Object} entry - Registry entry
+     * @param {Object} [requirements] - See getCandidates
+     * @returns {Array<string>} Names of the unsupported rules
+     */
+    getUnsupportedRules(entry, { cellRules = false, doorRules = false, stepCosts = false, squeeze = false } = {}) {
+        const unsupported = [];
+        if (cellRules && !entry.backend.supportsCellRules) unsupported.push("cellRules");
+        if (doorRules && !entry.backend.supportsDoorRules) unsupported.push("doorRules");
+        if (stepCosts && !entry.backend.supportsStepCosts) unsupported.push("stepCosts");
+        if (squeeze && !entry.backend.supportsSqueezing) unsupported.push("squeeze");
+        return unsupported;
+    }
+
+    /**
+     * Check if a backend would ignore the cells a request blocks or the cells it confines the route to
+     * @param {Object} entry - Registry entry
+     * @param {Object} [requirements] - See getCandidates
+     * @returns {boolean}
+     */
+    ignoresBlockedCells(entry, { blockedCells = false } = {}) {
+        return blockedCells && !entry.backend.supportsCellRules;
+    }
+
+    /**
+     * Get the ID of the backend that will be tried first
+     * @param {Object} [requirements] - See getCandidates
+     * @returns {string|null}
+     */
+    getActiveBackendId(requirements = {}) {
+        return this.getCandidates(requirements)[0]?.id ?? null;
+    }
+
+    /**
+     * Check if any backend can route right now
+     * @returns {boolean}
+     */
+    hasAvailableBackend() {
+        return this.getCandidates().length > 0;
+    }
+
+    /**
+     * Find a path, falling back to the next backend whenever one throws
+     * A backend answering that there is no route is a valid result and is not retried
+     * @param {Object} from - Starting grid position {x, y}
+     * @param {Object} to - Target grid position {x, y}
+     * @param {Object} options - Options passed to the backend
+     * @returns {Promise<Object|null>} {path, cost, backendId}, or null if no route exists
+     */
+    async findPath(from, to, options = {}) {
+        const requirements = {
+            cellRules: options.cellRules?.size > 0 || !!options.allowedCells,
+            blockedCells: !!options.allowedCells || Array.from(options.cellRules?.values() ?? []).some(rule => rule.blocked),
+            doorRules: options.doorRules?.size > 0 || options.climbableWalls?.size > 0,
+            stepCosts: !!options.stepCosts,
+            squeeze: !!options.squeeze
+        };
+        return this.runWithFallback("findPath", requirements, async (backend) => {
+            const result = await backend.findPath(from, to, options);
+            return result?.path ? result : null;
+        });
+    }
+
+    /**
+     * Test a single step for wall collisions, falling back between backends
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Token} token - The token being routed
+     * @param {Map} [passableWalls] - Wall ID -> rule for closed doors and climbable walls that do not block the step
+     * @returns {boolean|null} True if blocked, or null if no backend could answer
+     */
+    collides(a, b, token, passableWalls = null) {
+        for (const entry of this.getCandidates({ doorRules: passableWalls?.size > 0 })) {
+            try {
+                return !!entry.backend.collides(a, b, token, passableWalls);
+            } catch (error) {
+                this.reportFailure(entry, "collides", error);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stop the searches of a pathfinding job in every backend that runs them in the background
+     * @param {number} jobId - Job ID passed to findPath as options.jobId
+     */
+    cancelJob(jobId) {
+        this.notifyBackends("cancel", jobId);
+    }
+
+    /**
+     * Tell the backends that keep a wall snapshot about a created, changed or deleted wall
+     * @param {WallDocument} wallDocument
+     * @param {boolean} [removed] - Whether the wall was deleted
+     */
+    updateWall(wallDocument, removed = false) {
+        this.notifyBackends("updateWall", wallDocument, removed);
+    }
+
+    /**
+     * Tell the backends that the viewed scene is being left
+     */
+    resetScene() {
+        this.notifyBackends("resetScene");
+    }
+
+    /**
+     * Call an optional method on every registered backend that implements it
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments passed to the method
+     */
+    notifyBackends(method, ...args) {
+        for (const entry of this.backends.values()) {
+            if (typeof entry.backend[method] !== 'function') continue;
+            try {
+                entry.backend[method](...args);
+            } catch (error) {
+                console.warn(`[${this.MODULE_NAME}] Pathfinding backend "${entry.id}" failed in ${method}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Run an async backend operation on each candidate until one succeeds
+     * @param {string} operation - Operation name for logging
+     * @param {Object} requirements - See getCandidates
+     * @param {Function} callback - Receives the backend object
+     * @returns {Promise<Object|null>} The result tagged with the backend ID
+     */
+    async runWithFallback(operation, requirements, callback) {
+        const candidates = this.getCandidates(requirements);
+        if (candidates.length === 0) {
+            throw new Error("No pathfinding backend is available");
+        }
+        
+        for (const entry of candidates) {
+            this.warnUnsupportedRules(entry, requirements);
+            try {
+                const result = await callback(entry.backend);
+                return result ? { ...result, backendId: entry.id } : null;
+            } catch (error) {
+                this.reportFailure(entry, operation, error);
+            }
+        }
+        throw new Error(`Every pathfinding backend failed to ${operation}`);
+    }
+
+    /**
+     * Check a registry entry's availability without letting a faulty backend break selection
+     * @param {Object} entry - Registry entry
+     * @returns {boolean}
+     */
+    isBackendAvailable(entry) {
+        try {
+            return typeof entry.backend.isAvailable === 'function' ? !!entry.backend.isAvailable() : true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Report once per backend and rule, in debug mode, that a backend routes without honouring a rule
+     * @param {Object} entry - Registry entry
+     * @param {Object} requirements - See getCandidates
+     */
+    warnUnsupportedRules(entry, requirements) {
+        if (!this.settingsService.isDebugMode()) return;
+        
+        for (const rule of this.getUnsupportedRules(entry, requirements)) {
+            const warning = `${entry.id}:${rule}`;
+            if (this.unsupportedRuleWarnings.has(warning)) continue;
+            this.unsupportedRuleWarnings.add(warning);
+            console.warn(`[${this.MODULE_NAME}] Pathfinding backend "${entry.id}" does not support ${rule}, its routes ignore them`);
+        }
+    }
+
+    /**
+     * Log a backend failure before falling back
+     * @param {Object} entry - Registry entry
+     * @param {string} operation - Operation that failed
+     * @param {Error} error - The error thrown
+     */
+    reportFailure(entry, operation, error) {
+        console.warn(`[${this.MODULE_NAME}] Pathfinding backend "${entry.id}" failed in ${operation}, trying the next one:`, error);
+    }
+}
\ No newline at end of file
@@ -7,6 +7,7 @@ export class CombatService {
         this.MODULE_NAME = moduleName;
         this.movementCalculationService = movementCalculationService;
         this.combatMovement = new Map(); // tokenId -> { round, totalTerrainMovement, movements[] }
+        this.movementListeners = new Set();
         this.registeredHooks = new Set();
     }
 
@@ -58,8 +59,9 @@ export class CombatService {
             // Skip if no actual movement
             if (fromPos.x === toPos.x && fromPos.y === toPos.y) return;
             
-            // Calculate terrain-aware movement cost
-            const terrainCost = await this.movementCalculationService.calculateTerrainMovementCost(token, fromPos, toPos);
+            // Calculate terrain-aware movement cost along the route walked
+            const walkedPath = this.getWalkedPath(fromPos, toPos, options?.routing_token_path);
+            const terrainCost = await this.movementCalculationService.calculateTerrainMovementCost(token, fromPos, toPos, walkedPath);
             
             // Add to combat tracking
             this.addCombatMovement(token.id, game.combat.round, terrainCost, fromPos, toPos);
@@ -71,6 +73,24 @@ export class CombatService {
         }
     }
 
+    /**
+     * Get the route walked by a position update from the waypoints of the routed move it belongs to
+     * @param {Object} fromPos - Position before the update
+     * @param {Object} toPos - Position after the update
+     * @param {Array} [waypoints] - Waypoints {x, y, action, routeCost} of a routed move from where it starts,
+     *        passed as the routing_token_path update option
+     * @returns {Array|null} Waypoints from fromPos to toPos, or null if the update did not follow a route
+     */
+    getWalkedPath(fromPos, toPos, waypoints) {
+        const isAt = (position) => (waypoint) => waypoint.x === position.x && waypoint.y === position.y;
+        const end = waypoints?.findIndex((waypoint, index) => index > 0 && isAt(toPos)(waypoint)) ?? -1;
+        if (end < 0) return null;
+        
+        // An update covering the whole move starts where the move does
+        const start = waypoints.slice(0, end).findLastIndex(isAt(fromPos));
+        return waypoints.slice(Math.max(start, 0), end + 1);
+    }
+
     /**
      * Handle combat updates (new rounds)
      * @param {Combat} combat - The combat document
@@ -92,6 +112,7 @@ export class CombatService {
      */
     onCombatDelete(combat, options, userId) {
         this.combatMovement.clear();
+        this.notifyMovementListeners(null);
         if (game.settings.get(this.MODULE_NAME, "debugMode")) {
             console.log(`[${this.MODULE_NAME}] Combat ended - cleared movement tracking`);
         }
@@ -140,6 +161,8 @@ export class CombatService {
                 totalUsed: `${currentData.totalTerrainMovement} ${canvas.scene.grid.units}`
             });
         }
+        
+        this.notifyMovementListeners(tokenId);
     }
 
     /**
@@ -168,6 +191,37 @@ export class CombatService {
         
         // Clear all movement data (will be recreated as needed)
         this.combatMovement.clear();
+        this.notifyMovementListeners(null);
+    }
+
+    /**
+     * Add a listener for changes to the tracked combat movement
+     * @param {Function} callback - Called with the token ID, or null when every token's movement was reset
+     */
+    addMovementListener(callback) {
+        this.movementListeners.add(callback);
+    }
+
+    /**
+     * Remove a listener for changes to the tracked combat movement
+     * @param {Function} callback 
+     */
+    removeMovementListener(callback) {
+        this.movementListeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of a change to the tracked combat movement
+     * @param {string|null} tokenId - Token whose movement changed, null for every token
+     */
+    notifyMovementListeners(tokenId) {
+        this.movementListeners.forEach(callback => {
+            try {
+                callback(tokenId);
+            } catch (error) {
+                console.warn(`[${this.MODULE_NAME}] Error in combat movement listener:`, error);
+            }
+        });
     }
 
     /**
@@ -182,7 +236,7 @@ export class CombatService {
         
         const data = this.combatMovement.get(tokenId);
         const token = canvas.tokens.get(tokenId);
-        const maxMovement = token ? this.movementCalculationService.getSystemMovementRange(token.actor) : 0;
+        const maxMovement = token ? this.movementCalculationService.getSystemMovementRange(token.actor, token.document.movementAction) : 0;
         const usedMovement = data ? data.totalTerrainMovement : 0;
         const remainingMovement = maxMovement - usedMovement;
         
@@ -210,6 +264,7 @@ export class CombatService {
         }
         this.registeredHooks.clear();
         this.combatMovement.clear();
+        this.movementListeners.clear();
         
         if (game.settings.get(this.MODULE_NAME, "debugMode")) {
             console.log(`[${this.MODULE_NAME}] Combat service cleaned up`);
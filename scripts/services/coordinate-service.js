@@ -1,7 +1,65 @@
 /**
  * Coordinate Service for Smart Token Routing
  * Wraps routinglib coordinate helper for centralized coordinate conversions
+ * Falls back to Foundry's grid API when routinglib is not loaded
  */
+
+/**
+ * Coordinate helper built on Foundry's grid API, mirroring routinglib's coordinate helper
+ * Grid positions use routinglib's convention: x is the column, y is the row
+ */
+const nativeCoordinateHelper = {
+    setDebugEnabled() {},
+
+    /**
+     * Convert a pixel position to the grid position it falls in, clamped to the canvas
+     * Token positions (top-left corners) are mapped to the cell whose top-left they are,
+     * which matters on hex grids where a bounding box corner lies in a neighbouring cell
+     * @param {Object} pixelPos - Position in pixels {x, y}
+     * @returns {Object} Grid position {x, y}
+     */
+    pixelToGridBounded(pixelPos) {
+        const grid = canvas.grid;
+        const { width, height } = canvas.dimensions;
+        const point = {
+            x: Math.clamp(pixelPos.x, 0, width - 1),
+            y: Math.clamp(pixelPos.y, 0, height - 1)
+        };
+        
+        const candidate = grid.getOffset({ x: point.x + grid.sizeX / 2, y: point.y + grid.sizeY / 2 });
+        const candidateTopLeft = grid.getTopLeftPoint(candidate);
+        const offset = Math.abs(candidateTopLeft.x - point.x) < 1 && Math.abs(candidateTopLeft.y - point.y) < 1 ?
+            candidate : grid.getOffset(point);
+        
+        return { x: Math.max(0, offset.j), y: Math.max(0, offset.i) };
+    },
+
+    /**
+     * Convert a grid position to the token position (top-left corner) on that cell
+     * @param {Object} gridPos - Grid position {x, y}
+     * @returns {Object} Pixel position {x, y}
+     */
+    gridPosToPixel(gridPos) {
+        const topLeft = canvas.grid.getTopLeftPoint({ i: gridPos.y, j: gridPos.x });
+        return { x: topLeft.x, y: topLeft.y };
+    },
+
+    /**
+     * Get token data for coordinate calculations
+     * @param {Token} token - The token object
+     * @returns {Object} Token footprint and elevation
+     */
+    getTokenData(token) {
+        const document = token.document ?? token;
+        return {
+            id: document.id,
+            width: document.width ?? 1,
+            height: document.height ?? 1,
+            elevation: document.elevation ?? 0
+        };
+    }
+};
+
 export class CoordinateService {
     constructor(moduleName, settingsService) {
         this.MODULE_NAME = moduleName;
@@ -11,7 +69,7 @@ export class CoordinateService {
     /**
      * Get the centralized coordinate helper from routinglib
      * This ensures both modules use exactly the same coordinate calculations
-     * @returns {Object} Coordinate helper from routinglib
+     * @returns {Object} Coordinate helper from routinglib, or the native helper without routinglib
      */
     getCoordinateHelper() {
         if (window.routinglib?.coordinateHelper) {
@@ -22,8 +80,12 @@ export class CoordinateService {
             return window.routinglib.coordinateHelper;
         }
         
-        // If routinglib helper is not available, throw error
-        throw new Error("RoutingLib coordinate helper not available. Make sure routinglib is loaded.");
+        // Without routinglib, convert with Foundry's grid API (square and hex grids only)
+        if (canvas?.grid && !canvas.grid.isGridless) {
+            return nativeCoordinateHelper;
+        }
+        
+        throw new Error("RoutingLib coordinate helper not available and the scene has no grid for native conversion.");
     }
 
     /**
@@ -85,6 +147,139 @@ export class CoordinateService {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Calculate the grid distance between two grid positions with the scene's movement rules
+     * Hex grids use cube distance, square grids follow the scene's diagonal rule
+     * @param {Object} gridPos1 - First grid position {x, y}
+     * @param {Object} gridPos2 - Second grid position {x, y}
+     * @returns {number} Distance in grid spaces
+     */
+    getGridDistance(gridPos1, gridPos2) {
+        if (canvas.grid.isHexagonal) {
+            return this.calculateHexDistance(gridPos1, gridPos2);
+        }
+        
+        const dx = Math.abs(gridPos2.x - gridPos1.x);
+        const dy = Math.abs(gridPos2.y - gridPos1.y);
+        if (canvas.grid.isGridless) {
+            return Math.sqrt(dx * dx + dy * dy);
+        }
+        return this.calculateDiagonalDistance(Math.max(dx, dy) - Math.min(dx, dy), Math.min(dx, dy));
+    }
+
+    /**
+     * Calculate the cube distance between two hex grid positions
+     * @param {Object} gridPos1 - First grid position {x, y}
+     * @param {Object} gridPos2 - Second grid position {x, y}
+     * @returns {number} Distance in grid spaces
+     */
+    calculateHexDistance(gridPos1, gridPos2) {
+        const cube1 = canvas.grid.offsetToCube({ i: gridPos1.y, j: gridPos1.x });
+        const cube2 = canvas.grid.offsetToCube({ i: gridPos2.y, j: gridPos2.x });
+        return Math.max(Math.abs(cube1.q - cube2.q), Math.abs(cube1.r - cube2.r), Math.abs(cube1.s - cube2.s));
+    }
+
+    /**
+     * Price a square grid movement made of straight and diagonal steps with the scene's diagonal rule
+     * The alternating rules only depend on the total number of diagonals, not on their order
+     * @param {number} straight - Number of orthogonal steps
+     * @param {number} diagonal - Number of diagonal steps
+     * @returns {number} Distance in grid spaces
+     */
+    calculateDiagonalDistance(straight, diagonal) {
+        switch (canvas.grid.diagonals) {
+            case CONST.GRID_DIAGONALS.EXACT:
+                return straight + diagonal * Math.SQRT2;
+            case CONST.GRID_DIAGONALS.APPROXIMATE:
+                return straight + diagonal * 1.5;
+            case CONST.GRID_DIAGONALS.RECTILINEAR:
+            case CONST.GRID_DIAGONALS.ILLEGAL:
+                return straight + diagonal * 2;
+            case CONST.GRID_DIAGONALS.ALTERNATING_1:
+                return straight + diagonal + Math.floor(diagonal / 2);
+            case CONST.GRID_DIAGONALS.ALTERNATING_2:
+                return straight + diagonal + Math.ceil(diagonal / 2);
+            case CONST.GRID_DIAGONALS.EQUIDISTANT:
+            default:
+                return straight + diagonal;
+        }
+    }
+
+    /**
+     * Cost of a single step between adjacent grid positions
+     * Alternating rules are priced at their average of 1.5 per diagonal, since a single step
+     * cannot know its parity; measurePathDistance gives the exact cost of the finished path
+     * @param {Object} from - Grid position {x, y}
+     * @param {Object} to - Adjacent grid position {x, y}
+     * @returns {number} Step cost in grid spaces, Infinity if the step is not allowed
+     */
+    getStepCost(from, to) {
+        if (canvas.grid.isHexagonal || from.x === to.x || from.y === to.y) return 1;
+        
+        switch (canvas.grid.diagonals) {
+            case CONST.GRID_DIAGONALS.EXACT:
+                return Math.SQRT2;
+            case CONST.GRID_DIAGONALS.APPROXIMATE:
+            case CONST.GRID_DIAGONALS.ALTERNATING_1:
+            case CONST.GRID_DIAGONALS.ALTERNATING_2:
+                return 1.5;
+            case CONST.GRID_DIAGONALS.RECTILINEAR:
+                return 2;
+            case CONST.GRID_DIAGONALS.ILLEGAL:
+                return Infinity;
+            case CONST.GRID_DIAGONALS.EQUIDISTANT:
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Lower bound of the path cost between two grid positions, consistent with getStepCost
+     * Suitable as an A* heuristic, unlike getGridDistance on the alternating diagonal rules
+     * @param {Object} gridPos1 - First grid position {x, y}
+     * @param {Object} gridPos2 - Second grid position {x, y}
+     * @returns {number} Estimated cost in grid spaces
+     */
+    estimateGridDistance(gridPos1, gridPos2) {
+        if (canvas.grid.isHexagonal) {
+            return this.calculateHexDistance(gridPos1, gridPos2);
+        }
+        
+        const dx = Math.abs(gridPos2.x - gridPos1.x);
+        const dy = Math.abs(gridPos2.y - gridPos1.y);
+        // A diagonal never costs more than the two orthogonal steps it replaces
+        const diagonalCost = Math.min(this.getStepCost({ x: 0, y: 0 }, { x: 1, y: 1 }), 2);
+        return Math.max(dx, dy) - Math.min(dx, dy) + Math.min(dx, dy) * diagonalCost;
+    }
+
+    /**
+     * Measure the exact grid distance along a path of grid positions
+     * Diagonals are counted over the whole path, so alternating rules keep their parity between segments
+     * @param {Array} path - Grid positions {x, y}
+     * @returns {number} Distance in grid spaces
+     */
+    measurePathDistance(path) {
+        if (!path || path.length < 2) return 0;
+        
+        if (canvas.grid.isHexagonal || canvas.grid.isGridless) {
+            let distance = 0;
+            for (let index = 1; index < path.length; index++) {
+                distance += this.getGridDistance(path[index - 1], path[index]);
+            }
+            return distance;
+        }
+        
+        let straight = 0;
+        let diagonal = 0;
+        for (let index = 1; index < path.length; index++) {
+            const dx = Math.abs(path[index].x - path[index - 1].x);
+            const dy = Math.abs(path[index].y - path[index - 1].y);
+            straight += Math.max(dx, dy) - Math.min(dx, dy);
+            diagonal += Math.min(dx, dy);
+        }
+        return this.calculateDiagonalDistance(straight, diagonal);
+    }
+
     /**
      * Validate that coordinates are within valid bounds
      * @param {Object} pos - Position to validate {x, y}
@@ -94,4 +289,151 @@ export class CoordinateService {
         return pos.x >= 0 && pos.y >= 0 && 
                Number.isFinite(pos.x) && Number.isFinite(pos.y);
     }
+
+    /**
+     * Get the grid positions adjacent to a cell, inside the canvas bounds
+     * Uses Foundry's grid topology, so hex grids yield their six neighbours
+     * @param {Object} gridPos - Grid position {x, y}
+     * @returns {Array} Adjacent grid positions
+     */
+    getAdjacentGridPositions(gridPos) {
+        return canvas.grid.getAdjacentOffsets({ i: gridPos.y, j: gridPos.x })
+            .map(offset => ({ x: offset.j, y: offset.i }))
+            .filter(neighbor => this.isGridPositionInBounds(neighbor));
+    }
+
+    /**
+     * Check if a grid position lies on the canvas
+     * @param {Object} gridPos - Grid position {x, y}
+     * @returns {boolean}
+     */
+    isGridPositionInBounds(gridPos) {
+        if (gridPos.x < 0 || gridPos.y < 0) return false;
+        const center = canvas.grid.getCenterPoint({ i: gridPos.y, j: gridPos.x });
+        return center.x <= canvas.dimensions.width && center.y <= canvas.dimensions.height;
+    }
+
+    /**
+     * Get the cells covered by a token standing on a grid position
+     * Hex footprints are not expanded, the token is measured from its anchor cell
+     * @param {Object} gridPos - Grid position {x, y} of the token's top-left cell
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Array} Grid positions {x, y}
+     */
+    getFootprintGridPositions(gridPos, tokenData = null) {
+        const width = Math.max(1, Math.ceil(tokenData?.width ?? 1));
+        const height = Math.max(1, Math.ceil(tokenData?.height ?? 1));
+        if (canvas.grid.isHexagonal || (width === 1 && height === 1)) return [gridPos];
+        
+        const cells = [];
+        for (let dx = 0; dx < width; dx++) {
+            for (let dy = 0; dy < height; dy++) {
+                cells.push({ x: gridPos.x + dx, y: gridPos.y + dy });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Pair the cells a token covers before and after a step, every covered cell takes the same step
+     * @param {Object} fromPos - Starting grid position {x, y} of the token's top-left cell
+     * @param {Object} toPos - Target grid position {x, y} of the token's top-left cell
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Array|null} Pairs [fromCell, toCell], or null if the token covers a single cell or stands on a hex grid
+     */
+    getFootprintSteps(fromPos, toPos, tokenData = null) {
+        const origins = this.getFootprintGridPositions(fromPos, tokenData);
+        if (origins.length === 1) return null;
+        
+        const destinations = this.getFootprintGridPositions(toPos, tokenData);
+        return origins.map((cell, index) => [cell, destinations[index]]);
+    }
+
+    /**
+     * Pair the neighbouring cells a token covers, a wall between them leaves the token no room to stand there
+     * @param {Object} gridPos - Grid position {x, y} of the token's top-left cell
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Array} Pairs [cell, cell] of orthogonal neighbours, empty if the token covers a single cell
+     */
+    getFootprintSeams(gridPos, tokenData = null) {
+        const cells = this.getFootprintGridPositions(gridPos, tokenData);
+        const covered = new Set(cells.map(cell => this.getGridPositionKey(cell)));
+        const seams = [];
+        for (const cell of cells) {
+            for (const neighbor of [{ x: cell.x + 1, y: cell.y }, { x: cell.x, y: cell.y + 1 }]) {
+                if (covered.has(this.getGridPositionKey(neighbor))) seams.push([cell, neighbor]);
+            }
+        }
+        return seams;
+    }
+
+    /**
+     * Get the token data of a token squeezed one size smaller
+     * @param {Object} tokenData - Token data with width and height in grid spaces
+     * @returns {Object} Token data with the smaller width and height
+     */
+    getSqueezedTokenData(tokenData) {
+        return {
+            ...tokenData,
+            width: Math.max(1, Math.ceil(tokenData.width) - 1),
+            height: Math.max(1, Math.ceil(tokenData.height) - 1)
+        };
+    }
+
+    /**
+     * Get the pixel center of a token standing on a grid position
+     * @param {Object} gridPos - Grid position {x, y} of the token's top-left cell
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Object} Pixel position {x, y}
+     */
+    getGridPositionCenter(gridPos, tokenData = null) {
+        const width = tokenData?.width ?? 1;
+        const height = tokenData?.height ?? 1;
+        
+        if (width === 1 && height === 1) {
+            const center = canvas.grid.getCenterPoint({ i: gridPos.y, j: gridPos.x });
+            return { x: center.x, y: center.y };
+        }
+        
+        const topLeft = canvas.grid.getTopLeftPoint({ i: gridPos.y, j: gridPos.x });
+        return {
+            x: topLeft.x + (width * canvas.grid.sizeX) / 2,
+            y: topLeft.y + (height * canvas.grid.sizeY) / 2
+        };
+    }
+
+    /**
+     * Get the walls crossed by a token moving in a straight line between two grid positions
+     * Every cell a larger token covers moves alongside the others, so each may cross a different wall
+     * @param {Object} fromPos - Starting grid position {x, y}
+     * @param {Object} toPos - Target grid position {x, y}
+     * @param {Map} walls - Wall ID -> entry with the wall coordinates `c` [x0, y0, x1, y1]
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Array<string>} IDs of the crossed walls
+     */
+    getCrossedWalls(fromPos, toPos, walls, tokenData = null) {
+        if (!walls?.size) return [];
+        
+        const steps = this.getFootprintSteps(fromPos, toPos, tokenData);
+        const lines = steps
+            ? steps.map(([from, to]) => [this.getGridPositionCenter(from), this.getGridPositionCenter(to)])
+            : [[this.getGridPositionCenter(fromPos, tokenData), this.getGridPositionCenter(toPos, tokenData)]];
+        const crossed = [];
+        for (const [id, wall] of walls) {
+            const [x0, y0, x1, y1] = wall.c;
+            if (lines.some(([origin, destination]) => foundry.utils.lineSegmentIntersects(origin, destination, { x: x0, y: y0 }, { x: x1, y: y1 }))) {
+                crossed.push(id);
+            }
+        }
+        return crossed;
+    }
+
+    /**
+     * Build a lookup key for a grid position
+     * @param {Object} gridPos - Grid position {x, y}
+     * @returns {string}
+     */
+    getGridPositionKey(gridPos) {
+        return `${gridPos.x},${gridPos.y}`;
+    }
 }
\ No newline at end of file
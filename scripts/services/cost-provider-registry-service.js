@@ -0,0 +1,170 @@
+/**
+ * Cost Provider Registry Service for Smart Token Routing
+ * Keeps the cost providers other modules register and composes them into the cost of every step
+ *
+ * A cost provider is a function:
+ *   provider(token, fromCell, toCell, movementAction) -> number | {multiplier, cost} | null
+ * A number multiplies the cost of the step, {cost} adds grid spaces to it, and Infinity forbids the step.
+ * null or undefined leaves the step alone. Providers are composed by multiplying their multipliers and
+ * adding their costs. Cells are grid positions {x, y} with x as the column and y as the row.
+ */
+
+export class CostProviderRegistryService {
+    constructor(moduleName, settingsService, coordinateService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.providers = new Map(); // providerId -> { id, label, provider, minimumMultiplier }
+        this.failedProviders = new Set(); // providerIds whose errors were already reported
+    }
+
+    /**
+     * Register a cost provider
+     * @param {string} id - Unique provider ID
+     * @param {Function} provider - Function (token, fromCell, toCell, movementAction) returning the step's cost
+     * @param {Object} [options]
+     * @param {string} [options.label] - Name shown in debug logs
+     * @param {number} [options.minimumMultiplier] - Smallest multiplier the provider returns, needed for exact routes
+     *        when it makes steps cheaper than normal
+     */
+    register(id, provider, { label = id, minimumMultiplier = 1 } = {}) {
+        if (typeof id !== 'string' || !id) {
+            throw new Error(`Invalid cost provider id "${id}"`);
+        }
+        if (typeof provider !== 'function') {
+            throw new Error(`Cost provider "${id}" must be a function (token, fromCell, toCell, movementAction)`);
+        }
+        if (!(minimumMultiplier > 0)) {
+            throw new Error(`Cost provider "${id}" must have a positive minimum multiplier`);
+        }
+        
+        this.providers.set(id, { id, label, provider, minimumMultiplier });
+        this.failedProviders.delete(id);
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] Cost provider "${id}" registered`);
+        }
+    }
+
+    /**
+     * Remove a registered cost provider
+     * @param {string} id - Provider ID
+     * @returns {boolean} True if a provider was removed
+     */
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * List the registered cost providers
+     * @returns {Array} Entries {id, label, minimumMultiplier}
+     */
+    list() {
+        return Array.from(this.providers.values()).map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            minimumMultiplier: entry.minimumMultiplier
+        }));
+    }
+
+    /**
+     * Build the step costs of one route
+     * Answers are remembered for the route, so every provider is asked about a step only once
+     * @param {Token} token - The token being routed
+     * @param {string} movementAction - Movement action of the route
+     * @returns {Object|null} {getStepCost(fromCell, toCell) -> {blocked, multiplier, cost}, minimumMultiplier, signature},
+     *          or null if no provider is registered
+     */
+    createStepCosts(token, movementAction) {
+        if (this.providers.size === 0) return null;
+        
+        const entries = Array.from(this.providers.values());
+        const steps = new Map();
+        
+        return {
+            getStepCost: (fromCell, toCell) => {
+                const key = `${this.coordinateService.getGridPositionKey(fromCell)}>${this.coordinateService.getGridPositionKey(toCell)}`;
+                let step = steps.get(key);
+                if (!step) {
+                    step = this.composeStepCost(entries, token, fromCell, toCell, movementAction);
+                    steps.set(key, step);
+                }
+                return step;
+            },
+            minimumMultiplier: entries.reduce((product, entry) => product * Math.min(entry.minimumMultiplier, 1), 1),
+            // Providers may price tokens differently, so routes are only shared by the same token
+            signature: `${token.id}:${entries.map(entry => entry.id).join(',')}`
+        };
+    }
+
+    /**
+     * Ask every provider about a step and combine their answers
+     * @param {Array} entries - Registry entries
+     * @param {Token} token - The token being routed
+     * @param {Object} fromCell - Grid position the step leaves
+     * @param {Object} toCell - Grid position the step enters
+     * @param {string} movementAction - Movement action of the route
+     * @returns {Object} {blocked, multiplier, cost}
+     */
+    composeStepCost(entries, token, fromCell, toCell, movementAction) {
+        const step = { blocked: false, multiplier: 1, cost: 0 };
+        
+        for (const entry of entries) {
+            let result;
+            try {
+                result = entry.provider(token, { x: fromCell.x, y: fromCell.y }, { x: toCell.x, y: toCell.y }, movementAction);
+            } catch (error) {
+                this.reportFailure(entry, error);
+                continue;
+            }
+            if (result === null || result === undefined) continue;
+            
+            const multiplier = typeof result === 'number' ? result : (result.multiplier ?? 1);
+            const cost = typeof result === 'number' ? 0 : (result.cost ?? 0);
+            if (multiplier === Infinity || cost === Infinity) {
+                step.blocked = true;
+                continue;
+            }
+            if (!(multiplier >= 0) || !Number.isFinite(cost)) {
+                this.reportFailure(entry, new Error(`Invalid step cost ${JSON.stringify(result)}`));
+                continue;
+            }
+            
+            step.multiplier *= multiplier;
+            step.cost += cost;
+        }
+        return step;
+    }
+
+    /**
+     * Measure what the registered providers add to the cost of a finished path
+     * Steps a provider forbids are priced normally, the token was moved there anyway
+     * @param {Token} token - The moved token
+     * @param {Array} cells - Grid positions of the path, one per cell
+     * @param {string} movementAction - Movement action of the path
+     * @returns {number} Extra cost in grid spaces, negative when providers made the path cheaper
+     */
+    measureExtraCost(token, cells, movementAction) {
+        const stepCosts = this.createStepCosts(token, movementAction);
+        if (!stepCosts) return 0;
+        
+        let total = 0;
+        for (let index = 1; index < cells.length; index++) {
+            const step = stepCosts.getStepCost(cells[index - 1], cells[index]);
+            if (step.blocked) continue;
+            total += this.coordinateService.getStepCost(cells[index - 1], cells[index]) * (step.multiplier - 1) + step.cost;
+        }
+        return total;
+    }
+
+    /**
+     * Log a failing provider once, its answers are ignored
+     * @param {Object} entry - Registry entry
+     * @param {Error} error - The error thrown
+     */
+    reportFailure(entry, error) {
+        if (this.failedProviders.has(entry.id)) return;
+        this.failedProviders.add(entry.id);
+        console.warn(`[${this.MODULE_NAME}] Cost provider "${entry.id}" failed, its costs are ignored:`, error);
+    }
+}
\ No newline at end of file
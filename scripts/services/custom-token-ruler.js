@@ -2,31 +2,100 @@
  * Custom Token Ruler functionality for Smart Token Routing
  * Provides movement range-based grid highlighting by overriding TokenRuler methods
  */
+import { MOVEMENT_BANDS } from './movement-calculation-service.js';
 
 /**
- * Reference to movement calculation service instance (will be injected)
+ * Reference to movement range service instance (will be injected)
  */
-let movementCalculationService = null;
+let movementRangeService = null;
 
 /**
- * Set the movement calculation service reference for grid highlighting
- * @param {MovementCalculationService} service - The movement calculation service instance
+ * Set the movement range service reference for grid highlighting
+ * @param {MovementRangeService} service - The movement range service instance
  */
-export function setMovementCalculationService(service) {
-    movementCalculationService = service;
+export function setMovementRangeService(service) {
+    movementRangeService = service;
 }
 
 /**
- * Reference to combat service instance (will be injected)
+ * Reference to token movement service instance (will be injected)
  */
-let combatService = null;
+let tokenMovementService = null;
 
 /**
- * Set the combat service reference for grid highlighting
- * @param {CombatService} service - The combat service instance
+ * Set the token movement service reference for waypoint styling
+ * @param {TokenMovementService} service - The token movement service instance
  */
-export function setCombatService(service) {
-    combatService = service;
+export function setTokenMovementService(service) {
+    tokenMovementService = service;
+}
+
+/**
+ * Colour of waypoints placed by the user, so they stand out from routed steps
+ */
+const USER_WAYPOINT_COLOR = 0x0088FF;
+
+/**
+ * Colour of waypoints where the token stops to open a door
+ */
+const DOOR_STOP_COLOR = 0xFFAA00;
+
+/**
+ * Colour of route segments where a large token squeezes through a narrow space
+ */
+const SQUEEZED_SEGMENT_COLOR = 0xCC44FF;
+
+/**
+ * Opacity factor for the part of a route the token cannot afford
+ */
+const GHOST_ALPHA_FACTOR = 0.35;
+
+/**
+ * Custom waypoint style function
+ * @param {Token} token - The token instance
+ * @param {Object} waypoint - The waypoint data
+ * @param {Object} style - The core waypoint style
+ * @returns {Object} Style configuration with radius, color, alpha, etc.
+ */
+function getCustomWaypointStyle(token, waypoint, style) {
+    const isUserWaypoint = tokenMovementService?.isUserWaypoint(token.id, waypoint);
+    const isDoorStop = tokenMovementService?.isDoorStop(token.id, waypoint);
+    const isGhost = tokenMovementService?.isGhostWaypoint(token.id, waypoint);
+    if (!isUserWaypoint && !isDoorStop && !isGhost) return style;
+    
+    if (!isUserWaypoint && !isDoorStop) return getGhostStyle(style);
+    
+    const highlighted = {
+        ...style,
+        color: isUserWaypoint ? USER_WAYPOINT_COLOR : DOOR_STOP_COLOR,
+        radius: (style?.radius ?? 6) * 1.5,
+        alpha: Math.max(style?.alpha ?? 1, 0.9)
+    };
+    return isGhost ? getGhostStyle(highlighted) : highlighted;
+}
+
+/**
+ * Custom segment style function
+ * Segments the token squeezes along are coloured, segments leading to a waypoint the token cannot afford are faded
+ * @param {Token} token - The token instance
+ * @param {Object} waypoint - The waypoint the segment ends at
+ * @param {Object} style - The core segment style
+ * @returns {Object} Style configuration with width, color, alpha, etc.
+ */
+function getCustomSegmentStyle(token, waypoint, style) {
+    const isSqueezed = tokenMovementService?.isSqueezedWaypoint(token.id, waypoint);
+    const segment = isSqueezed ? { ...style, color: SQUEEZED_SEGMENT_COLOR } : style;
+    if (!tokenMovementService?.isGhostWaypoint(token.id, waypoint)) return segment;
+    return getGhostStyle(segment);
+}
+
+/**
+ * Fade a ruler style for the part of a route the token cannot afford
+ * @param {Object} style - Waypoint or segment style
+ * @returns {Object} Faded style
+ */
+function getGhostStyle(style) {
+    return { ...style, alpha: (style?.alpha ?? 1) * GHOST_ALPHA_FACTOR };
 }
 
 /**
@@ -37,60 +106,22 @@ export function setCombatService(service) {
  * @returns {Object} Style configuration with color, alpha, etc.
  */
 function getCustomGridHighlightStyle(token, waypoint, offset) {
-    setTimeout(() => {
-          token.renderFlags.set({refreshRuler: true});
-    }, 100)
-    console.log(getCalculatedGridColorSync(token));
-    return getCalculatedGridColorSync(token);
+    return getCalculatedGridColorSync(token, offset);
 }
 
 /**
- * Get the calculated color based on remaining movement in combat
+ * Get the calculated color of a highlighted cell from the token's reachable area
+ * The area is computed once per selection or drag, so highlighting a cell is a lookup;
+ * each movement band (normal move, dash or run, ...) uses its configured colour
  * @param {Token} token - The token instance
+ * @param {Object} offset - The grid offset position {i, j}
  * @returns {Object} Style configuration with color, alpha, etc.
  */
-function getCalculatedGridColorSync(token) {
+function getCalculatedGridColorSync(token, offset) {
     try {
-        // Get ruler text for current movement cost to this square
-        const rulerLabelText = $(".total-measurement", token.ruler.labels).text();
-        console.log(rulerLabelText);
-        
-        // Use movement calculation service to extract cost
-        const movementCostToSquare = movementCalculationService ? 
-            movementCalculationService.getMovementCostSync(token) : null;
-        
-        // If we can't get the movement cost from ruler, show green (neutral)
-        if (movementCostToSquare === null) {
-            return { color: 0x00FF00, alpha: 0.3 };
-        }
-        
-        // Get character's total movement capacity
-        const characterMaxMovement = movementCalculationService ? 
-            movementCalculationService.getSystemMovementRange(token.actor) : 6;
-        
-        // Get movement already used this combat round (terrain-aware)
-        const usedMovement = combatService ? combatService.getCombatMovementUsed(token.id, game.combat?.round) : 0;
-        
-        // Calculate remaining movement capacity
-        const remainingMovement = characterMaxMovement - usedMovement;
-        
-        // Debug logging
-        if (game.settings.get("routing-token", "debugMode")) {
-            console.log(`[routing-token] Combat movement analysis:`, {
-                maxMovement: `${characterMaxMovement} ${canvas.scene.grid.units}`,
-                usedMovement: `${usedMovement} ${canvas.scene.grid.units}`,
-                remainingMovement: `${remainingMovement} ${canvas.scene.grid.units}`,
-                costToSquare: `${movementCostToSquare} ${canvas.scene.grid.units}`,
-                canReach: movementCostToSquare <= remainingMovement
-            });
-        }
-        
-        // Color based on remaining movement capacity
-        if (movementCostToSquare <= remainingMovement) {
-            return { color: 0x00FF00, alpha: 0.3 }; // Green - can reach with remaining movement
-        } else {
-            return { color: 0xFF0000, alpha: 0.2 }; // Red - exceeds remaining movement
-        }
+        // If the token's range is unknown, show the normal move colour (neutral)
+        const band = movementRangeService.getCellBand(token, offset) ?? MOVEMENT_BANDS.NORMAL;
+        return movementRangeService.settingsService.getRangeBandStyle(band);
         
     } catch (error) {
         if (game.settings.get("routing-token", "debugMode")) {
@@ -124,10 +155,23 @@ export function setupCustomTokenRulerMethods() {
     if (TokenRulerClass && TokenRulerClass.prototype) {
         // Override the _getGridHighlightStyle method
         TokenRulerClass.prototype._getGridHighlightStyle = function(waypoint, offset) {
-            console.log("Cambio de color")
             return getCustomGridHighlightStyle(this.token, waypoint, offset);
         };
         
+        // Override the _getWaypointStyle method so user-placed waypoints stay distinct
+        const originalGetWaypointStyle = TokenRulerClass.prototype._getWaypointStyle;
+        TokenRulerClass.prototype._getWaypointStyle = function(waypoint) {
+            const style = originalGetWaypointStyle ? originalGetWaypointStyle.call(this, waypoint) : {};
+            return getCustomWaypointStyle(this.token, waypoint, style);
+        };
+        
+        // Override the _getSegmentStyle method so squeezed stretches stand out and the unaffordable part of a route is faded
+        const originalGetSegmentStyle = TokenRulerClass.prototype._getSegmentStyle;
+        TokenRulerClass.prototype._getSegmentStyle = function(waypoint) {
+            const style = originalGetSegmentStyle ? originalGetSegmentStyle.call(this, waypoint) : {};
+            return getCustomSegmentStyle(this.token, waypoint, style);
+        };
+        
         if (game.settings.get("routing-token", "debugMode")) {
             console.log(`[routing-token] Custom grid highlighting applied to ${TokenRulerClass.name}`);
         }
@@ -2,12 +2,21 @@
  * Drag Handler Service for Smart Token Routing
  * Manages token drag operations and real-time pathfinding
  */
+
+/**
+ * Delay after the last pointer move before the preview route is recalculated
+ */
+const PREVIEW_DEBOUNCE_MS = 50;
+
 export class DragHandlerService {
-    constructor(moduleName, settingsService, pathfindingService) {
+    constructor(moduleName, settingsService, pathfindingService, movementRangeService, groupMovementService) {
         this.MODULE_NAME = moduleName;
         this.settingsService = settingsService;
         this.pathfindingService = pathfindingService;
+        this.movementRangeService = movementRangeService;
+        this.groupMovementService = groupMovementService;
         this.dragState = new Map(); // Track drag operations per token
+        this.previewTimers = new Map(); // tokenId -> pending debounce timeout
         this.hooksInstalled = false;
     }
 
@@ -59,7 +68,7 @@ export class DragHandlerService {
      * @param {Event} event 
      */
     onDragStart(token, event) {
-        if (!this.settingsService.isPathfindingEnabled() || !this.pathfindingService.isRoutinglibReady()) return;
+        if (!this.settingsService.isPathfindingEnabled() || !this.pathfindingService.isPathfindingAvailable()) return;
         
         // Get token position safely
         const startPos = { 
@@ -67,28 +76,182 @@ export class DragHandlerService {
             y: token.document?.y ?? token.y ?? token.center?.y ?? 0 
         };
         
+        // The other controlled tokens move with the dragged one, from where they stand now
+        const followers = this.groupMovementService.getFollowers(token).map(follower => ({
+            token: follower,
+            startPos: { x: follower.document.x, y: follower.document.y }
+        }));
+        
         this.dragState.set(token.id, {
             startPos: startPos,
             currentPath: null,
+            previewTarget: null,
+            followers: followers,
+            // Core fills in the drag contexts (including user waypoints) after this hook runs
+            interactionData: event.interactionData ?? null,
             isActive: true
         });
         
+        // The ruler colours its cells from the reachable area, measured once for the whole drag
+        this.movementRangeService.computeReachableArea(token, this.getMovementAction(token, event.interactionData));
+        
         if (this.settingsService.isDebugMode()) {
             console.log(`[${this.MODULE_NAME}] 🎯 Drag started for ${token.name} at (${startPos.x}, ${startPos.y})`);
         }
     }
 
     /**
-     * Handle canvas pointer move - no pathfinding during drag, only track movement
+     * Handle canvas pointer move - schedule a debounced route preview for every dragged token
      * @param {Event} event 
      */
     onCanvasPointerMove(event) {
-        // No real-time pathfinding - this will only be calculated on drop
-        return;
+        if (this.dragState.size === 0) return;
+        if (!this.settingsService.isPathfindingEnabled() || !this.settingsService.isLivePathPreviewEnabled()) return;
+        if (!this.pathfindingService.isPathfindingAvailable()) return;
+        
+        const targetPos = this.getCanvasPosition(event);
+        if (!targetPos) return;
+        
+        for (const [tokenId, dragInfo] of this.dragState) {
+            if (!dragInfo.isActive) continue;
+            
+            // Ignore jitter that does not move the pointer
+            if (dragInfo.previewTarget && 
+                dragInfo.previewTarget.x === targetPos.x && 
+                dragInfo.previewTarget.y === targetPos.y) continue;
+            
+            dragInfo.previewTarget = targetPos;
+            this.schedulePathPreview(tokenId);
+        }
     }
 
     /**
-     * Handle drag drop - calculate pathfinding only on drop
+     * Debounce the preview calculation for a token, restarting the timer on every call
+     * @param {string} tokenId 
+     */
+    schedulePathPreview(tokenId) {
+        clearTimeout(this.previewTimers.get(tokenId));
+        
+        const timer = setTimeout(() => {
+            this.previewTimers.delete(tokenId);
+            this.updatePathPreview(tokenId);
+        }, PREVIEW_DEBOUNCE_MS);
+        this.previewTimers.set(tokenId, timer);
+    }
+
+    /**
+     * Cancel the pending preview and any in-flight preview calculation for a token
+     * @param {string} tokenId 
+     */
+    cancelPathPreview(tokenId) {
+        clearTimeout(this.previewTimers.get(tokenId));
+        this.previewTimers.delete(tokenId);
+        this.pathfindingService.cancelPathfindingJob(tokenId);
+    }
+
+    /**
+     * Recalculate the previewed route for a dragged token
+     * The pathfinding service pushes the result to the token ruler
+     * @param {string} tokenId 
+     */
+    async updatePathPreview(tokenId) {
+        const dragInfo = this.dragState.get(tokenId);
+        if (!dragInfo?.isActive || !dragInfo.previewTarget) return;
+        
+        const token = canvas.tokens?.get(tokenId);
+        if (!token) return;
+        
+        const movementAction = this.getMovementAction(token, dragInfo.interactionData);
+        const preview = await this.pathfindingService.calculateDragPathfinding(token, dragInfo.startPos, dragInfo.previewTarget, {
+            waypoints: this.getUserWaypoints(token, dragInfo.interactionData, dragInfo.startPos),
+            movementAction: movementAction,
+            budget: this.getMovementBudget(token, movementAction),
+            isPreview: true
+        });
+        
+        // The drag may have ended while the route was being calculated
+        if (preview && this.dragState.get(tokenId) === dragInfo) {
+            dragInfo.currentPath = preview.path;
+            
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 👁️ Preview route for ${token.name} updated with ${preview.path.length} waypoints (cost ${preview.cost})`);
+            }
+        }
+    }
+
+    /**
+     * Get the intermediate waypoints the user placed during the drag
+     * @param {Token} token 
+     * @param {Object|null} interactionData - Interaction data of the drag event
+     * @param {Object} startPos - Drag start position, excluded from the result
+     * @returns {Array} Pixel waypoints {x, y} in placement order
+     */
+    getUserWaypoints(token, interactionData, startPos) {
+        const context = interactionData?.contexts?.[token.document?.id ?? token.id];
+        const waypoints = context?.waypoints;
+        if (!Array.isArray(waypoints)) return [];
+        
+        return waypoints
+            .filter(waypoint => Number.isFinite(waypoint?.x) && Number.isFinite(waypoint?.y))
+            .filter(waypoint => waypoint.x !== startPos.x || waypoint.y !== startPos.y)
+            .map(waypoint => ({ x: waypoint.x, y: waypoint.y }));
+    }
+
+    /**
+     * Get the movement action of the drag
+     * Core keeps the action chosen for the drag in the token's drag context, the token's own action is the fallback
+     * @param {Token} token 
+     * @param {Object|null} interactionData - Interaction data of the drag event
+     * @returns {string} Movement action such as "walk", "fly" or "swim"
+     */
+    getMovementAction(token, interactionData) {
+        const context = interactionData?.contexts?.[token.document?.id ?? token.id];
+        return context?.movementAction ?? token.document?.movementAction ?? "walk";
+    }
+
+    /**
+     * Get the movement a token may still spend this combat round
+     * Only applies while the combat budget setting is on and the token takes part in a started combat;
+     * a GM holding the override key moves without a budget
+     * @param {Token} token 
+     * @param {string} movementAction - Movement action of the drag
+     * @returns {number} Remaining movement in grid spaces, Infinity if the route is not limited
+     */
+    getMovementBudget(token, movementAction) {
+        if (!this.settingsService.isCombatBudgetEnabled() || !game.combat?.started) return Infinity;
+        if (!game.combat.combatants.some(combatant => combatant.tokenId === token.id)) return Infinity;
+        if (game.user.isGM && this.settingsService.isBudgetOverrideKeyDown()) return Infinity;
+        
+        return this.movementRangeService.getRemainingMovement(token, movementAction);
+    }
+
+    /**
+     * Get the canvas position of a pointer event
+     * @param {Event} event 
+     * @returns {Object|null} Position {x, y} or null if it cannot be determined
+     */
+    getCanvasPosition(event) {
+        if (event.data && typeof event.data.getLocalPosition === 'function') {
+            const mousePos = event.data.getLocalPosition(canvas.stage);
+            return { x: mousePos.x, y: mousePos.y };
+        }
+        if (typeof event.getLocalPosition === 'function') {
+            const mousePos = event.getLocalPosition(canvas.stage);
+            return { x: mousePos.x, y: mousePos.y };
+        }
+        if (event.clientX !== undefined && event.clientY !== undefined) {
+            // Fallback to client coordinates if event.data is not available
+            const rect = canvas.stage.getBounds();
+            return { 
+                x: event.clientX - rect.x, 
+                y: event.clientY - rect.y 
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Handle drag drop - calculate the final route for the drop position
      * @param {Token} token 
      * @param {Event} event 
      * @returns {boolean} True if waypoints will be used, false if original movement should proceed
@@ -99,43 +262,49 @@ export class DragHandlerService {
         const dragInfo = this.dragState.get(token.id);
         if (!dragInfo) return false;
         
+        // The drop replaces any preview that is still pending or being calculated
+        dragInfo.isActive = false;
+        this.cancelPathPreview(token.id);
+        
         if (this.settingsService.isDebugMode()) {
             console.log(`[${this.MODULE_NAME}] 🎯 Drag completed for ${token.name}`);
         }
         
-        // Calculate pathfinding only now, on drop
-        if (this.pathfindingService.isRoutinglibReady() && this.settingsService.isAutoFollowPathEnabled()) {
+        // Calculate the final route on drop, even when a preview exists, so it matches the exact drop point
+        if (this.pathfindingService.isPathfindingAvailable() && this.settingsService.isAutoFollowPathEnabled()) {
             try {
-                // Get the final drop position safely
-                let targetPos;
-                if (event.data && typeof event.data.getLocalPosition === 'function') {
-                    const mousePos = event.data.getLocalPosition(canvas.stage);
-                    targetPos = { x: mousePos.x, y: mousePos.y };
-                } else if (event.clientX !== undefined && event.clientY !== undefined) {
-                    // Fallback to client coordinates if event.data is not available
-                    const rect = canvas.stage.getBounds();
-                    targetPos = { 
-                        x: event.clientX - rect.x, 
-                        y: event.clientY - rect.y 
-                    };
-                } else {
-                    // Final fallback - use current token position
-                    targetPos = { 
-                        x: token.document?.x ?? token.x ?? 0, 
-                        y: token.document?.y ?? token.y ?? 0 
-                    };
-                }
+                // Get the final drop position safely, falling back to the current token position
+                const targetPos = this.getCanvasPosition(event) ?? { 
+                    x: token.document?.x ?? token.x ?? 0, 
+                    y: token.document?.y ?? token.y ?? 0 
+                };
                 
                 if (this.settingsService.isDebugMode()) {
                     console.log(`[${this.MODULE_NAME}] 📊 Calculating pathfinding on drop from (${dragInfo.startPos.x}, ${dragInfo.startPos.y}) to (${targetPos.x}, ${targetPos.y})`);
                 }
                 
-                // Calculate pathfinding for the final position
-                const calculatedPath = await this.pathfindingService.calculateDragPathfinding(token, dragInfo.startPos, targetPos);
+                // Route through any waypoints the user placed mid-drag
+                const interactionData = event.interactionData ?? dragInfo.interactionData;
+                const waypoints = this.getUserWaypoints(token, interactionData, dragInfo.startPos);
+                if (waypoints.length && this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 📍 Routing through ${waypoints.length} user waypoint(s)`);
+                }
+                
+                // Calculate pathfinding for the final position, stopping where the token's movement runs out in combat
+                // The rest of the group is moving too, so its tokens do not get in the leader's way
+                const movementAction = this.getMovementAction(token, interactionData);
+                const route = await this.pathfindingService.calculateDragPathfinding(token, dragInfo.startPos, targetPos, {
+                    waypoints,
+                    movementAction: movementAction,
+                    budget: this.getMovementBudget(token, movementAction),
+                    ignoredTokenIds: new Set(dragInfo.followers.map(follower => follower.token.id))
+                });
                 
-                // Store the calculated path in drag state
-                if (calculatedPath) {
-                    dragInfo.currentPath = calculatedPath;
+                // A stale preview must not be followed when the drop itself could not be routed
+                dragInfo.currentPath = route?.path ?? null;
+                
+                if (route?.ghostPath.length) {
+                    ui.notifications.info(game.i18n.format("ROUTING_TOKEN.Notifications.MovementBudgetReached", { name: token.name }));
                 }
                 
                 // Use the calculated path if available
@@ -144,9 +313,19 @@ export class DragHandlerService {
                         console.log(`[${this.MODULE_NAME}] 🛤️ Executing calculated waypoint path with ${dragInfo.currentPath.length} waypoints`);
                     }
                     
-                    // Execute waypoint movement
+                    // Route the rest of the selection around the leader's destination
+                    const moves = [{ token: token, path: dragInfo.currentPath, cost: route.cost }];
+                    if (dragInfo.followers.length) {
+                        const followers = dragInfo.followers.map(follower => {
+                            const followerAction = this.getMovementAction(follower.token, interactionData);
+                            return { ...follower, movementAction: followerAction, budget: this.getMovementBudget(follower.token, followerAction) };
+                        });
+                        moves.push(...await this.groupMovementService.routeFollowers(token, dragInfo.startPos, dragInfo.currentPath, followers));
+                    }
+                    
+                    // Execute waypoint movement, every token of the group animates at the same time
                     setTimeout(async () => {
-                        await this.pathfindingService.moveTokenThroughWaypoints(token, dragInfo.currentPath);
+                        await Promise.all(moves.map(move => this.pathfindingService.moveTokenThroughWaypoints(move.token, move.path, { cost: move.cost })));
                     }, 10);
                     
                     // Clean up drag state
@@ -190,6 +369,9 @@ export class DragHandlerService {
      * Clear all drag states
      */
     clearAllDragStates() {
+        for (const tokenId of this.previewTimers.keys()) {
+            this.cancelPathPreview(tokenId);
+        }
         this.dragState.clear();
     }
 
@@ -0,0 +1,875 @@
+/**
+ * Gridless Routing Service for Smart Token Routing
+ * Routes tokens on gridless scenes over a visibility graph of the walls, so routes are straight lines bending around
+ * wall corners instead of steps through virtual grid cells
+ *
+ * Walls are inflated by the token's radius: the graph's nodes sit just outside the wall corners, and an edge is only
+ * kept where the whole token clears every wall along it. One graph is kept per token radius and set of passable walls
+ * (closed doors the route may open, walls a climber scales), edges are tested when a search first needs them, and a
+ * changed wall only rebuilds the corners and edges around it. One-way walls only block lines crossing them from the
+ * wrong side. Positions are token centers in pixels, costs are in grid spaces.
+ */
+import { MinHeap } from './min-heap.js';
+
+/**
+ * Size of the square buckets walls are indexed in, in pixels
+ */
+const WALL_BUCKET_SIZE = 256;
+
+/**
+ * How far beyond the token's radius graph nodes are placed from their corner, in pixels
+ */
+const NODE_MARGIN = 1;
+
+/**
+ * Distance by which a token may graze a wall without being blocked, in pixels
+ */
+const CLEARANCE_TOLERANCE = 0.5;
+
+/**
+ * Number of reachable corners closest to an unreachable target that are tried as the way toward it
+ */
+const NEAREST_ROUTE_CANDIDATES = 4;
+
+/**
+ * Maximum number of graphs kept for the viewed scene, the least recently used one is dropped first
+ */
+const MAX_CACHED_GRAPHS = 8;
+
+export class GridlessRoutingService {
+    constructor(moduleName, settingsService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.sceneId = null; // Scene whose walls are indexed
+        this.walls = new Map(); // wallId -> {id, a, b, direction, bounds, stamp}
+        this.wallBuckets = new Map(); // bucket key -> Set of wallIds
+        this.corners = new Map(); // corner key -> {key, x, y, wallIds}
+        this.graphs = new Map(); // "radius|passable wallIds" -> graph
+        this.nextNodeId = 1;
+        this.queryStamp = 0;
+    }
+
+    /**
+     * Check if the viewed scene is routed over the visibility graph
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!canvas?.scene && !!canvas.grid?.isGridless && this.settingsService.isGridlessRoutingEnabled();
+    }
+
+    /**
+     * Get the radius walls are inflated by for a token, half of its smaller side
+     * @param {Token} token
+     * @returns {number} Radius in pixels
+     */
+    getTokenRadius(token) {
+        const { width = 1, height = 1 } = token.document;
+        return Math.min(width, height) * canvas.grid.size / 2;
+    }
+
+    /**
+     * Find the shortest route between two token centers
+     * @param {Object} from - Starting pixel position {x, y}
+     * @param {Object} to - Target pixel position {x, y}
+     * @param {Object} options - Route options
+     * @param {number} options.radius - Token radius in pixels, see getTokenRadius
+     * @param {Map} [options.doors] - Wall ID -> {cost} for closed doors the route may cross
+     * @param {Map} [options.climbableWalls] - Wall ID -> {cost} for walls a climbing token may cross
+     * @returns {Object|null} {points, cost} with the route's corners {x, y, crossed} including both ends and its cost,
+     *          crossed listing the passable walls crossed on the way to the next corner; null if the target is unreachable
+     */
+    findRoute(from, to, options) {
+        const context = this.getContext(options);
+        const search = this.explore(context, from, to);
+        if (search.costs[1] === Infinity) return null;
+        
+        return this.buildRoute(search, 1);
+    }
+
+    /**
+     * Route as far as possible along the straight line toward a target, stopping in front of the first wall
+     * @param {Object} from - Starting pixel position {x, y}
+     * @param {Object} to - Target pixel position {x, y}
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Object} {points, cost}, see findRoute
+     */
+    findRouteToward(from, to, options) {
+        const context = this.getContext(options);
+        const start = { x: from.x, y: from.y, crossed: [] };
+        const farthest = this.findFarthestPointToward(context, start, to);
+        if (!farthest) return { points: [start], cost: 0 };
+        
+        const points = [{ ...start, crossed: farthest.crossed }, farthest.point];
+        return { points: points, cost: this.measureRoute(points, options) };
+    }
+
+    /**
+     * Route to the reachable position closest to a target
+     * The start and the reachable corners closest to the target are tried, each going on straight toward the target
+     * until the first wall, and the one ending closest to the target wins
+     * @param {Object} from - Starting pixel position {x, y}
+     * @param {Object} to - Target pixel position {x, y}
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Object} {points, cost}, see findRoute
+     */
+    findNearestRoute(from, to, options) {
+        const context = this.getContext(options);
+        const search = this.explore(context, from, to);
+        
+        const corners = [];
+        for (let index = 2; index < search.nodes.length; index++) {
+            if (search.costs[index] < Infinity) corners.push(index);
+        }
+        corners.sort((a, b) => this.getDistance(search.nodes[a], to) - this.getDistance(search.nodes[b], to));
+        
+        let best = null;
+        for (const index of [0, ...corners.slice(0, NEAREST_ROUTE_CANDIDATES)]) {
+            const points = this.buildRoute(search, index).points;
+            const farthest = this.findFarthestPointToward(context, points[points.length - 1], to);
+            if (farthest) {
+                points[points.length - 1] = { ...points[points.length - 1], crossed: farthest.crossed };
+                points.push(farthest.point);
+            }
+            
+            const route = { points: points, cost: this.measureRoute(points, options), distance: this.getDistance(points[points.length - 1], to) };
+            if (!best || route.distance < best.distance - 1 || (route.distance <= best.distance + 1 && route.cost < best.cost)) {
+                best = route;
+            }
+        }
+        return { points: best.points, cost: best.cost };
+    }
+
+    /**
+     * Measure the cost of a route
+     * @param {Array} points - Route corners {x, y, crossed}
+     * @param {Object} options - Route options, see findRoute
+     * @returns {number} Cost in grid spaces, the route's length plus the cost of the passable walls it crosses
+     */
+    measureRoute(points, options) {
+        const passable = this.getPassableWalls(options);
+        let cost = 0;
+        for (let index = 1; index < points.length; index++) {
+            cost += this.getDistance(points[index - 1], points[index]) / canvas.grid.size;
+            for (const id of points[index - 1].crossed ?? []) {
+                cost += passable.get(id)?.cost ?? 0;
+            }
+        }
+        return cost;
+    }
+
+    /**
+     * Split a route where a movement budget runs out
+     * The token stops in front of a passable wall it cannot afford to cross, never in it
+     * @param {Array} points - Route corners {x, y, crossed}
+     * @param {number} budget - Movement the token may spend, in grid spaces
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Object} {points, remainder} with the affordable route and the unaffordable rest starting at its end,
+     *          remainder is empty when the whole route is affordable
+     */
+    splitRoute(points, budget, options) {
+        const passable = this.getPassableWalls(options);
+        let remaining = budget + 1e-6;
+        
+        for (let index = 1; index < points.length; index++) {
+            const from = points[index - 1];
+            const to = points[index];
+            const length = this.getDistance(from, to) / canvas.grid.size;
+            const crossings = (from.crossed ?? [])
+                .map(id => ({ id: id, time: this.getCrossingTime(from, to, id), cost: passable.get(id)?.cost ?? 0 }))
+                .sort((a, b) => a.time - b.time);
+            
+            // Walk the segment from one crossing to the next, paying for each crossing on the way
+            let time = 0;
+            let stop = null;
+            for (const crossing of crossings) {
+                if ((crossing.time - time) * length > remaining) break;
+                remaining -= (crossing.time - time) * length;
+                time = crossing.time;
+                if (crossing.cost > remaining) {
+                    stop = Math.max(0, time - options.radius / (length * canvas.grid.size));
+                    break;
+                }
+                remaining -= crossing.cost;
+            }
+            if (stop === null) {
+                if (time + remaining / length >= 1) {
+                    remaining -= (1 - time) * length;
+                    continue;
+                }
+                stop = time + remaining / length;
+            }
+            
+            const end = { x: from.x + (to.x - from.x) * stop, y: from.y + (to.y - from.y) * stop, crossed: [] };
+            const passed = crossings.filter(crossing => crossing.time < stop).map(crossing => crossing.id);
+            const ahead = crossings.filter(crossing => crossing.time >= stop).map(crossing => crossing.id);
+            return {
+                points: [...points.slice(0, index - 1), { ...from, crossed: passed }, end],
+                remainder: [{ ...end, crossed: ahead }, ...points.slice(index)]
+            };
+        }
+        return { points: points, remainder: [] };
+    }
+
+    /**
+     * Break a route in front of the closed doors it crosses, so the token stops there to open them
+     * The corner added keeps the token's radius clear of the door and takes over the walls crossed after it
+     * @param {Array} points - Route corners {x, y, crossed}
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Array} Route corners
+     */
+    addDoorStops(points, options) {
+        if (!options.doors?.size) return points;
+        
+        const result = [];
+        for (let index = 0; index < points.length; index++) {
+            const point = points[index];
+            const next = points[index + 1];
+            const crossings = next ? (point.crossed ?? []).map(id => ({ id: id, time: this.getCrossingTime(point, next, id) })) : [];
+            const doorTimes = crossings.filter(crossing => options.doors.has(crossing.id)).map(crossing => crossing.time);
+            const stop = doorTimes.length ? Math.min(...doorTimes) - options.radius / this.getDistance(point, next) : 0;
+            if (stop <= 0) {
+                result.push(point);
+                continue;
+            }
+            
+            result.push({ ...point, crossed: crossings.filter(crossing => crossing.time < stop).map(crossing => crossing.id) });
+            result.push({
+                x: point.x + (next.x - point.x) * stop,
+                y: point.y + (next.y - point.y) * stop,
+                crossed: crossings.filter(crossing => crossing.time >= stop).map(crossing => crossing.id)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Update the wall index and the graphs around a created, changed or deleted wall
+     * @param {WallDocument} wallDocument
+     * @param {boolean} [removed] - Whether the wall was deleted
+     */
+    updateWall(wallDocument, removed = false) {
+        if (wallDocument.parent?.id !== this.sceneId) return;
+        
+        const previous = this.walls.get(wallDocument.id);
+        const wall = removed ? null : this.serializeWall(wallDocument);
+        if (!previous && !wall) return;
+        
+        if (previous) this.removeWall(previous);
+        if (wall) this.addWall(wall);
+        
+        const bounds = [previous, wall].filter(segment => segment).map(segment => segment.bounds).reduce((a, b) => ({
+            left: Math.min(a.left, b.left),
+            top: Math.min(a.top, b.top),
+            right: Math.max(a.right, b.right),
+            bottom: Math.max(a.bottom, b.bottom)
+        }));
+        for (const graph of this.graphs.values()) {
+            this.rebuildRegion(graph, bounds);
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🕸️ Rebuilt ${this.graphs.size} visibility graphs around wall ${wallDocument.id}`);
+        }
+    }
+
+    /**
+     * Forget the walls and graphs of the scene being left, the next route indexes the new one
+     */
+    resetScene() {
+        this.sceneId = null;
+        this.walls.clear();
+        this.wallBuckets.clear();
+        this.corners.clear();
+        this.graphs.clear();
+    }
+
+    /**
+     * Prepare a search: index the viewed scene and get the graph for the route's radius and passable walls
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Object} {graph, radius, passable}
+     */
+    getContext(options) {
+        this.syncScene();
+        const passable = this.getPassableWalls(options);
+        return { graph: this.getGraph(options.radius, passable), radius: options.radius, passable: passable };
+    }
+
+    /**
+     * Collect the walls a route may cross
+     * @param {Object} options - Route options, see findRoute
+     * @returns {Map} Wall ID -> {cost}
+     */
+    getPassableWalls(options) {
+        return new Map([...(options.climbableWalls ?? []), ...(options.doors ?? [])]);
+    }
+
+    /**
+     * Index the viewed scene's walls, unless they already are
+     */
+    syncScene() {
+        if (this.sceneId === canvas.scene.id) return;
+        
+        this.resetScene();
+        for (const wallDocument of canvas.scene.walls) {
+            const wall = this.serializeWall(wallDocument);
+            if (wall) this.addWall(wall);
+        }
+        this.sceneId = canvas.scene.id;
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🕸️ Indexed ${this.walls.size} walls of ${canvas.scene.name} for gridless routing`);
+        }
+    }
+
+    /**
+     * Convert a wall that blocks movement into a segment
+     * @param {WallDocument} wallDocument
+     * @returns {Object|null} {id, a, b, direction, bounds, stamp}, or null if the wall does not block movement
+     */
+    serializeWall(wallDocument) {
+        if (wallDocument.move === CONST.WALL_SENSE_TYPES.NONE) return null;
+        if (wallDocument.door !== CONST.WALL_DOOR_TYPES.NONE && wallDocument.ds === CONST.WALL_DOOR_STATES.OPEN) return null;
+        
+        const [x0, y0, x1, y1] = wallDocument.c;
+        return {
+            id: wallDocument.id,
+            a: { x: x0, y: y0 },
+            b: { x: x1, y: y1 },
+            direction: wallDocument.dir ?? CONST.WALL_DIRECTIONS.BOTH,
+            bounds: { left: Math.min(x0, x1), top: Math.min(y0, y1), right: Math.max(x0, x1), bottom: Math.max(y0, y1) },
+            stamp: 0
+        };
+    }
+
+    /**
+     * Add a wall to the bucket index and to the corners at its ends
+     * @param {Object} wall - Wall segment
+     */
+    addWall(wall) {
+        this.walls.set(wall.id, wall);
+        for (const key of this.getBucketKeys(wall.bounds)) {
+            if (!this.wallBuckets.has(key)) this.wallBuckets.set(key, new Set());
+            this.wallBuckets.get(key).add(wall.id);
+        }
+        for (const point of [wall.a, wall.b]) {
+            const key = this.getCornerKey(point);
+            if (!this.corners.has(key)) this.corners.set(key, { key: key, x: point.x, y: point.y, wallIds: new Set() });
+            this.corners.get(key).wallIds.add(wall.id);
+        }
+    }
+
+    /**
+     * Remove a wall from the bucket index and from the corners at its ends
+     * @param {Object} wall - Wall segment
+     */
+    removeWall(wall) {
+        this.walls.delete(wall.id);
+        for (const key of this.getBucketKeys(wall.bounds)) {
+            this.wallBuckets.get(key)?.delete(wall.id);
+        }
+        for (const point of [wall.a, wall.b]) {
+            const corner = this.corners.get(this.getCornerKey(point));
+            corner?.wallIds.delete(wall.id);
+            if (corner?.wallIds.size === 0) this.corners.delete(corner.key);
+        }
+    }
+
+    /**
+     * Get the graph for a token radius and set of passable walls, building it on first use
+     * @param {number} radius - Token radius in pixels
+     * @param {Map} passable - Walls the route may cross
+     * @returns {Object} Graph {radius, passable, nodes, cornerNodes, edges}
+     */
+    getGraph(radius, passable) {
+        const key = `${Math.round(radius)}|${Array.from(passable.keys()).sort().join(',')}`;
+        let graph = this.graphs.get(key);
+        if (graph) {
+            // Re-insert so graphs in use are dropped last
+            this.graphs.delete(key);
+            this.graphs.set(key, graph);
+            return graph;
+        }
+        
+        graph = {
+            radius: radius,
+            passable: new Set(passable.keys()),
+            nodes: new Map(), // nodeId -> {id, x, y, walls}, walls being the directions the inflated walls leave the node in
+            cornerNodes: new Map(), // corner key -> nodeIds
+            edges: new Map() // "fromId>toId" -> {from, to, crossed}, crossed is null for blocked edges
+        };
+        for (const corner of this.corners.values()) {
+            this.buildCornerNodes(graph, corner);
+        }
+        this.graphs.set(key, graph);
+        if (this.graphs.size > MAX_CACHED_GRAPHS) {
+            this.graphs.delete(this.graphs.keys().next().value);
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🕸️ Built visibility graph with ${graph.nodes.size} nodes for radius ${Math.round(radius)}px`);
+        }
+        return graph;
+    }
+
+    /**
+     * Place a corner's graph nodes, replacing the ones it had
+     * Every free sector wider than a half turn gets a node beside each of the two walls bounding it, set back past the
+     * corner so the token can turn around it; nodes without room for the token are dropped
+     * @param {Object} graph - Graph from getGraph
+     * @param {Object} corner - Corner {key, x, y, wallIds}
+     */
+    buildCornerNodes(graph, corner) {
+        for (const id of graph.cornerNodes.get(corner.key) ?? []) {
+            graph.nodes.delete(id);
+        }
+        graph.cornerNodes.delete(corner.key);
+        
+        const angles = Array.from(corner.wallIds, id => this.walls.get(id))
+            .filter(wall => this.isObstacle(wall, graph.passable))
+            .map(wall => {
+                const other = this.getCornerKey(wall.a) === corner.key ? wall.b : wall.a;
+                return Math.atan2(other.y - corner.y, other.x - corner.x);
+            })
+            .sort((a, b) => a - b);
+        
+        const offset = graph.radius + NODE_MARGIN;
+        const nodeIds = [];
+        for (let index = 0; index < angles.length; index++) {
+            const first = angles[index];
+            const last = index + 1 < angles.length ? angles[index + 1] : angles[0] + 2 * Math.PI;
+            if (last - first <= Math.PI + 1e-6) continue;
+            
+            // Step back from the corner along the wall, then sideways into the free sector
+            const points = [[first, 1], [last, -1]].map(([angle, side]) => {
+                const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+                return {
+                    x: corner.x - offset * (direction.x + side * direction.y),
+                    y: corner.y - offset * (direction.y - side * direction.x),
+                    direction: direction
+                };
+            });
+            
+            // The inflated walls bend at each node: back along its wall, and across the corner to the other node
+            for (const [point, other] of [[points[0], points[1]], [points[1], points[0]]]) {
+                if (!this.isInsideScene(point)) continue;
+                if (this.getClearance(point, graph.radius, graph.passable) < graph.radius - CLEARANCE_TOLERANCE) continue;
+                
+                const across = this.getDistance(point, other);
+                const node = {
+                    id: this.nextNodeId++,
+                    x: point.x,
+                    y: point.y,
+                    walls: [point.direction, { x: (other.x - point.x) / across, y: (other.y - point.y) / across }]
+                };
+                graph.nodes.set(node.id, node);
+                nodeIds.push(node.id);
+            }
+        }
+        if (nodeIds.length) graph.cornerNodes.set(corner.key, nodeIds);
+    }
+
+    /**
+     * Rebuild the part of a graph a changed wall may affect
+     * Corners close enough to have nodes within the token's reach of the wall are placed again, and cached edges
+     * passing near the wall or ending on a replaced node are forgotten
+     * @param {Object} graph - Graph from getGraph
+     * @param {Object} bounds - Bounds {left, top, right, bottom} of the changed wall, before and after the change
+     */
+    rebuildRegion(graph, bounds) {
+        // Nodes sit up to the offset's diagonal away from their corner, and see walls up to the radius away from them
+        const reach = graph.radius + (graph.radius + NODE_MARGIN) * Math.SQRT2;
+        for (const key of graph.cornerNodes.keys()) {
+            if (this.corners.has(key)) continue;
+            for (const id of graph.cornerNodes.get(key)) {
+                graph.nodes.delete(id);
+            }
+            graph.cornerNodes.delete(key);
+        }
+        for (const corner of this.corners.values()) {
+            if (this.isInBounds(corner, bounds, reach)) {
+                this.buildCornerNodes(graph, corner);
+            }
+        }
+        
+        for (const [key, edge] of graph.edges) {
+            const from = graph.nodes.get(edge.from);
+            const to = graph.nodes.get(edge.to);
+            if (!from || !to || this.boundsOverlap(this.getSegmentBounds(from, to), bounds, graph.radius)) {
+                graph.edges.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Search the graph from a start to a target with A*, testing edges only when they could shorten a route
+     * When the target is unreachable, every corner reachable from the start has been priced
+     * @param {Object} context - Search context from getContext
+     * @param {Object} from - Starting pixel position {x, y}
+     * @param {Object} to - Target pixel position {x, y}
+     * @returns {Object} {nodes, costs, parents, crossings}, the start is node 0 and the target node 1
+     */
+    explore(context, from, to) {
+        const { graph, radius, passable } = context;
+        
+        // The start and the target may be closer to a wall than the radius, lines leaving them are held to that
+        const nodes = [
+            { x: from.x, y: from.y, radius: Math.min(radius, this.getClearance(from, radius, graph.passable)) },
+            { x: to.x, y: to.y, radius: Math.min(radius, this.getClearance(to, radius, graph.passable)) },
+            ...graph.nodes.values()
+        ];
+        const count = nodes.length;
+        const costs = new Float64Array(count).fill(Infinity);
+        const parents = new Int32Array(count).fill(-1);
+        const crossings = new Array(count).fill(null); // passable walls crossed from the parent
+        const size = canvas.grid.size;
+        
+        // Edges are queued untested with their length as cost, and only tested when they come out of the queue
+        const heap = new MinHeap();
+        heap.push({ index: 0, parent: -1, cost: 0, crossed: [], f: this.getDistance(from, to) / size });
+        
+        while (heap.size > 0) {
+            const entry = heap.pop();
+            const { index, parent } = entry;
+            if (costs[index] < Infinity) continue;
+            
+            if (!entry.crossed) {
+                const crossed = this.getEdge(graph, nodes[parent], nodes[index]);
+                if (!crossed) continue;
+                
+                // Passable walls cost extra, so the edge goes back in line behind cheaper ones
+                const extra = crossed.reduce((total, id) => total + (passable.get(id)?.cost ?? 0), 0);
+                if (extra > 0) {
+                    heap.push({ ...entry, cost: entry.cost + extra, crossed: crossed, f: entry.f + extra });
+                    continue;
+                }
+                entry.crossed = crossed;
+            }
+            
+            costs[index] = entry.cost;
+            parents[index] = parent;
+            crossings[index] = entry.crossed;
+            if (index === 1) break;
+            
+            const node = nodes[index];
+            for (let next = 1; next < count; next++) {
+                if (costs[next] < Infinity) continue;
+                if (!this.isTangent(node, nodes[next]) || !this.isTangent(nodes[next], node)) continue;
+                
+                const cost = entry.cost + this.getDistance(node, nodes[next]) / size;
+                heap.push({ index: next, parent: index, cost: cost, crossed: null, f: cost + this.getDistance(nodes[next], to) / size });
+            }
+        }
+        return { nodes, costs, parents, crossings };
+    }
+
+    /**
+     * Follow the parents of a searched node back to the start
+     * @param {Object} search - Result of explore
+     * @param {number} index - Index of the route's last node
+     * @returns {Object} {points, cost}, see findRoute
+     */
+    buildRoute(search, index) {
+        const chain = [];
+        for (let current = index; current !== -1; current = search.parents[current]) {
+            chain.unshift(current);
+        }
+        
+        const points = chain.map((current, position) => ({
+            x: search.nodes[current].x,
+            y: search.nodes[current].y,
+            crossed: position + 1 < chain.length ? search.crossings[chain[position + 1]] : []
+        }));
+        return { points: points, cost: search.costs[index] };
+    }
+
+    /**
+     * Test the edge between two nodes, remembering the answer for graph nodes
+     * @param {Object} graph - Graph from getGraph
+     * @param {Object} from - Node {id, x, y}, or the start or target {x, y, radius}
+     * @param {Object} to - Node {id, x, y}, or the start or target {x, y, radius}
+     * @returns {Array|null} Passable walls crossed, or null if the token cannot move along the edge
+     */
+    getEdge(graph, from, to) {
+        if (from.id === undefined || to.id === undefined) {
+            return this.testSegment(from, to, Math.min(from.radius ?? graph.radius, to.radius ?? graph.radius), graph.passable);
+        }
+        
+        // One-way walls make edges directional
+        const key = `${from.id}>${to.id}`;
+        let edge = graph.edges.get(key);
+        if (!edge) {
+            edge = { from: from.id, to: to.id, crossed: this.testSegment(from, to, graph.radius, graph.passable) };
+            graph.edges.set(key, edge);
+        }
+        return edge.crossed;
+    }
+
+    /**
+     * Check if a line through a graph node passes its corner without cutting into the walls meeting there
+     * Shortest routes only bend around corners, so lines cutting into one never belong to them
+     * @param {Object} node - Graph node, or the start or target
+     * @param {Object} other - Other end of the line {x, y}
+     * @returns {boolean}
+     */
+    isTangent(node, other) {
+        if (!node.walls) return true;
+        
+        const dx = other.x - node.x;
+        const dy = other.y - node.y;
+        const tolerance = 1e-6 * Math.hypot(dx, dy);
+        const [first, last] = node.walls.map(wall => dx * wall.y - dy * wall.x);
+        return !(first > tolerance && last < -tolerance) && !(first < -tolerance && last > tolerance);
+    }
+
+    /**
+     * Test if a token can move in a straight line
+     * @param {Object} a - Starting pixel position {x, y}
+     * @param {Object} b - Target pixel position {x, y}
+     * @param {number} radius - Clearance the token needs from walls, in pixels
+     * @param {Set|Map} passable - Walls the token may cross
+     * @returns {Array|null} Passable walls crossed, or null if a wall is in the way
+     */
+    testSegment(a, b, radius, passable) {
+        const minimum = Math.max(radius - CLEARANCE_TOLERANCE, Number.EPSILON);
+        const crossed = [];
+        
+        const blocked = this.queryWalls(this.getSegmentBounds(a, b), radius, wall => {
+            if (this.isObstacle(wall, passable)) {
+                return this.getSegmentDistance(a, b, wall.a, wall.b) < minimum;
+            }
+            if (!this.segmentsIntersect(a, b, wall.a, wall.b)) return false;
+            if (passable.has(wall.id)) {
+                crossed.push(wall.id);
+                return false;
+            }
+            
+            // One-way walls let tokens through from the side they face, as Edge#orientPoint
+            return this.orientPoint(wall, a) !== wall.direction;
+        });
+        return blocked ? null : crossed;
+    }
+
+    /**
+     * Find the farthest position a token can move to along the straight line toward a target
+     * @param {Object} context - Search context from getContext
+     * @param {Object} from - Starting pixel position {x, y}
+     * @param {Object} to - Target pixel position {x, y}
+     * @returns {Object|null} {point, crossed} with the route corner {x, y, crossed: []} reached and the passable walls
+     *          crossed on the way, or null if the token cannot move toward the target
+     */
+    findFarthestPointToward(context, from, to) {
+        const radius = Math.min(context.radius, this.getClearance(from, context.radius, context.graph.passable));
+        const pointAt = (time) => ({ x: from.x + (to.x - from.x) * time, y: from.y + (to.y - from.y) * time });
+        
+        // Every part of a clear line is clear, so the clear length is found by bisection
+        let crossed = this.testSegment(from, to, radius, context.graph.passable);
+        if (crossed) {
+            return { point: { ...pointAt(1), crossed: [] }, crossed: crossed };
+        }
+        
+        let low = 0;
+        let high = 1;
+        for (let step = 0; step < 20; step++) {
+            const middle = (low + high) / 2;
+            const tested = this.testSegment(from, pointAt(middle), radius, context.graph.passable);
+            if (tested) {
+                low = middle;
+                crossed = tested;
+            } else {
+                high = middle;
+            }
+        }
+        if (this.getDistance(from, to) * low < 1) return null;
+        
+        return { point: { ...pointAt(low), crossed: [] }, crossed: crossed ?? [] };
+    }
+
+    /**
+     * Get how far a position is from the nearest wall blocking it
+     * @param {Object} point - Pixel position {x, y}
+     * @param {number} limit - Distance beyond which walls are not looked for
+     * @param {Set|Map} passable - Walls the token may cross
+     * @returns {number} Distance in pixels, at most the limit
+     */
+    getClearance(point, limit, passable) {
+        let clearance = limit;
+        this.queryWalls({ left: point.x, top: point.y, right: point.x, bottom: point.y }, limit, wall => {
+            if (this.isObstacle(wall, passable)) {
+                clearance = Math.min(clearance, this.getPointSegmentDistance(point, wall.a, wall.b));
+            }
+            return false;
+        });
+        return clearance;
+    }
+
+    /**
+     * Visit the indexed walls near an area, each one once
+     * @param {Object} bounds - Area {left, top, right, bottom}
+     * @param {number} padding - Distance around the area to include, in pixels
+     * @param {Function} callback - Called with each wall, returning true ends the query
+     * @returns {boolean} True if the callback ended the query
+     */
+    queryWalls(bounds, padding, callback) {
+        const stamp = ++this.queryStamp;
+        for (const key of this.getBucketKeys(bounds, padding)) {
+            for (const id of this.wallBuckets.get(key) ?? []) {
+                const wall = this.walls.get(id);
+                if (wall.stamp === stamp) continue;
+                wall.stamp = stamp;
+                if (this.boundsOverlap(wall.bounds, bounds, padding) && callback(wall)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the keys of the wall buckets covering an area
+     * @param {Object} bounds - Area {left, top, right, bottom}
+     * @param {number} [padding] - Distance around the area to include, in pixels
+     * @returns {Array} Bucket keys
+     */
+    getBucketKeys(bounds, padding = 0) {
+        const keys = [];
+        const left = Math.floor((bounds.left - padding) / WALL_BUCKET_SIZE);
+        const right = Math.floor((bounds.right + padding) / WALL_BUCKET_SIZE);
+        const top = Math.floor((bounds.top - padding) / WALL_BUCKET_SIZE);
+        const bottom = Math.floor((bounds.bottom + padding) / WALL_BUCKET_SIZE);
+        for (let x = left; x <= right; x++) {
+            for (let y = top; y <= bottom; y++) {
+                keys.push(`${x},${y}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Check if a wall keeps tokens at a distance, rather than only blocking lines that cross it
+     * @param {Object} wall - Wall segment
+     * @param {Set|Map} passable - Walls the token may cross
+     * @returns {boolean}
+     */
+    isObstacle(wall, passable) {
+        return wall.direction === CONST.WALL_DIRECTIONS.BOTH && !passable.has(wall.id);
+    }
+
+    /**
+     * Get the fraction of a line at which it crosses a wall
+     * @param {Object} a - Starting pixel position {x, y}
+     * @param {Object} b - Target pixel position {x, y}
+     * @param {string} wallId - ID of a wall the line crosses
+     * @returns {number} Fraction between 0 and 1, 0 if the wall is not indexed
+     */
+    getCrossingTime(a, b, wallId) {
+        const wall = this.walls.get(wallId);
+        if (!wall) return 0;
+        
+        const before = foundry.utils.orient2dFast(wall.a, wall.b, a);
+        const after = foundry.utils.orient2dFast(wall.a, wall.b, b);
+        return before === after ? 0 : before / (before - after);
+    }
+
+    /**
+     * Get the side of a wall a point lies on, as Edge#orientPoint
+     * @param {Object} wall - Wall segment
+     * @param {Object} point - Pixel position {x, y}
+     * @returns {number} One of CONST.WALL_DIRECTIONS
+     */
+    orientPoint(wall, point) {
+        const orientation = foundry.utils.orient2dFast(wall.a, wall.b, point);
+        if (orientation === 0) return CONST.WALL_DIRECTIONS.BOTH;
+        return orientation < 0 ? CONST.WALL_DIRECTIONS.LEFT : CONST.WALL_DIRECTIONS.RIGHT;
+    }
+
+    /**
+     * Check if two segments intersect, touching included, collinear segments never do
+     * @returns {boolean}
+     */
+    segmentsIntersect(a, b, c, d) {
+        const xa = foundry.utils.orient2dFast(a, b, c);
+        const xb = foundry.utils.orient2dFast(a, b, d);
+        if (!xa && !xb) return false;
+        return xa * xb <= 0 && foundry.utils.orient2dFast(c, d, a) * foundry.utils.orient2dFast(c, d, b) <= 0;
+    }
+
+    /**
+     * Get the shortest distance between two segments
+     * @returns {number} Distance in pixels
+     */
+    getSegmentDistance(a, b, c, d) {
+        if (this.segmentsIntersect(a, b, c, d)) return 0;
+        return Math.min(
+            this.getPointSegmentDistance(a, c, d),
+            this.getPointSegmentDistance(b, c, d),
+            this.getPointSegmentDistance(c, a, b),
+            this.getPointSegmentDistance(d, a, b)
+        );
+    }
+
+    /**
+     * Get the shortest distance between a point and a segment
+     * @param {Object} point - Pixel position {x, y}
+     * @param {Object} a - First end of the segment
+     * @param {Object} b - Second end of the segment
+     * @returns {number} Distance in pixels
+     */
+    getPointSegmentDistance(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const time = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(point.x - a.x - dx * time, point.y - a.y - dy * time);
+    }
+
+    /**
+     * Get the distance between two positions
+     * @returns {number} Distance in pixels
+     */
+    getDistance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    /**
+     * Get the bounds of a segment
+     * @returns {Object} Bounds {left, top, right, bottom}
+     */
+    getSegmentBounds(a, b) {
+        return { left: Math.min(a.x, b.x), top: Math.min(a.y, b.y), right: Math.max(a.x, b.x), bottom: Math.max(a.y, b.y) };
+    }
+
+    /**
+     * Check if two bounds overlap once the second one is padded
+     * @returns {boolean}
+     */
+    boundsOverlap(a, b, padding = 0) {
+        return a.left <= b.right + padding && a.right >= b.left - padding &&
+            a.top <= b.bottom + padding && a.bottom >= b.top - padding;
+    }
+
+    /**
+     * Check if a position lies within padded bounds
+     * @returns {boolean}
+     */
+    isInBounds(point, bounds, padding = 0) {
+        return point.x >= bounds.left - padding && point.x <= bounds.right + padding &&
+            point.y >= bounds.top - padding && point.y <= bounds.bottom + padding;
+    }
+
+    /**
+     * Check if a position lies on the canvas
+     * @param {Object} point - Pixel position {x, y}
+     * @returns {boolean}
+     */
+    isInsideScene(point) {
+        const { width, height } = canvas.dimensions;
+        return point.x >= 0 && point.y >= 0 && point.x <= width && point.y <= height;
+    }
+
+    /**
+     * Get the key corners are stored under, shared by wall ends on the same pixel
+     * @param {Object} point - Pixel position {x, y}
+     * @returns {string}
+     */
+    getCornerKey(point) {
+        return `${Math.round(point.x)},${Math.round(point.y)}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Group Movement Service for Smart Token Routing
+ * Routes every token of a dragged selection to the drop point, keeping the group's formation where the space allows
+ *
+ * Each follower keeps its offset from the dragged token. A slot that is blocked, already taken or only reachable
+ * through a detour is replaced by the free cell closest to the leader's destination, so groups squeeze into a
+ * column in corridors. Destinations are reserved as they are assigned, so no two tokens end on the same cell.
+ */
+
+/**
+ * A formation slot is kept while walking to it from the leader's destination costs at most this factor times its grid distance
+ */
+const FORMATION_DETOUR_FACTOR = 1.5;
+
+export class GroupMovementService {
+    constructor(moduleName, settingsService, coordinateService, pathfindingService, reachabilityService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.pathfindingService = pathfindingService;
+        this.reachabilityService = reachabilityService;
+    }
+
+    /**
+     * Get the tokens that move along with a dragged token
+     * @param {Token} leader - The dragged token
+     * @returns {Array<Token>} The other controlled tokens the user may move
+     */
+    getFollowers(leader) {
+        return (canvas.tokens?.controlled ?? []).filter(token => token.id !== leader.id && token.document?.isOwner);
+    }
+
+    /**
+     * Route the followers of a dragged token to their formation slots around its destination
+     * Followers are routed one after another, each reserving its destination for the next
+     * @param {Token} leader - The dragged token
+     * @param {Object} leaderStart - Pixel position the leader started from
+     * @param {Array} leaderPath - Pixel waypoints of the leader's route
+     * @param {Array} followers - Entries {token, startPos, movementAction, budget}
+     * @returns {Promise<Array>} Entries {token, path, cost} for every follower that moves
+     */
+    async routeFollowers(leader, leaderStart, leaderPath, followers) {
+        const groupIds = new Set([leader.id, ...followers.map(follower => follower.token.id)]);
+        const leaderData = this.coordinateService.getTokenData(leader);
+        const leaderStartCell = this.coordinateService.pixelsToGridPosition(leaderStart, leaderData);
+        const leaderEndCell = this.coordinateService.pixelsToGridPosition(leaderPath[leaderPath.length - 1], leaderData);
+        
+        const reserved = new Set();
+        this.reserveCells(reserved, leaderEndCell, leaderData);
+        
+        // Followers closest to the leader pick their slots first, so the formation grows outward from the destination
+        const ordered = followers.map(follower => {
+            const tokenData = this.coordinateService.getTokenData(follower.token);
+            const startCell = this.coordinateService.pixelsToGridPosition(follower.startPos, tokenData);
+            return { ...follower, tokenData, startCell, spread: this.coordinateService.getGridDistance(leaderStartCell, startCell) };
+        }).sort((a, b) => a.spread - b.spread);
+        
+        const routes = [];
+        for (const follower of ordered) {
+            const { token, tokenData, startCell } = follower;
+            const slot = this.findFormationSlot(follower, leaderStartCell, leaderEndCell, reserved, groupIds);
+            
+            const route = slot && await this.pathfindingService.calculateDragPathfinding(token, follower.startPos,
+                this.coordinateService.gridToPixelPosition(slot, tokenData), {
+                    movementAction: follower.movementAction,
+                    budget: follower.budget,
+                    ignoredTokenIds: groupIds,
+                    reservedCells: reserved
+                });
+            
+            // A follower that cannot move stays where it is, and nobody else may end there
+            if (!route || route.path.length < 2) {
+                this.reserveCells(reserved, startCell, tokenData);
+                continue;
+            }
+            
+            const endCell = this.coordinateService.pixelsToGridPosition(route.path[route.path.length - 1], tokenData);
+            this.reserveCells(reserved, endCell, tokenData);
+            routes.push({ token: token, path: route.path, cost: route.cost });
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 👥 Routed ${routes.length} of ${followers.length} followers of ${leader.name}`);
+        }
+        return routes;
+    }
+
+    /**
+     * Find the destination of a follower
+     * The follower keeps its offset from the leader if that cell is free and close by on foot,
+     * otherwise it takes the free cell nearest to the leader's destination
+     * @param {Object} follower - Entry {token, tokenData, startCell, movementAction}
+     * @param {Object} leaderStartCell - Grid position the leader started from
+     * @param {Object} leaderEndCell - Grid position the leader ends on
+     * @param {Set<string>} reserved - Cell keys already claimed by the group's destinations
+     * @param {Set<string>} groupIds - IDs of every token in the group
+     * @returns {Object|null} Grid position {x, y}, or null if no free cell was found
+     */
+    findFormationSlot(follower, leaderStartCell, leaderEndCell, reserved, groupIds) {
+        const { token, tokenData, startCell } = follower;
+        const rules = this.pathfindingService.getRouteRules(token, follower.movementAction, tokenData, {
+            ignoredTokenIds: groupIds,
+            reservedCells: reserved
+        });
+        
+        const desired = {
+            x: leaderEndCell.x + startCell.x - leaderStartCell.x,
+            y: leaderEndCell.y + startCell.y - leaderStartCell.y
+        };
+        const spread = this.coordinateService.getGridDistance(leaderEndCell, desired);
+        const tokenSpan = Math.max(1, Math.ceil(tokenData.width ?? 1), Math.ceil(tokenData.height ?? 1));
+        
+        // Walking distances from the leader's destination tell slots behind a wall from slots next to it
+        const field = this.reachabilityService.computeCostField(leaderEndCell, token, {
+            maxCost: Math.max(spread * FORMATION_DETOUR_FACTOR, groupIds.size * tokenSpan) + 1,
+            cellRules: rules.cells,
+            allowedCells: rules.allowedCells,
+            stepCosts: rules.stepCosts,
+            doorRules: rules.doors,
+            climbableWalls: rules.climbableWalls,
+            usePreferences: false
+        });
+        
+        // Route rules already combine every cell the follower covers, only the bounds are checked cell by cell
+        const isFree = (cell) => {
+            const key = this.coordinateService.getGridPositionKey(cell);
+            const rule = rules.cells.get(key);
+            return !rule?.blocked && !rule?.noStop && (!rules.allowedCells || rules.allowedCells.has(key)) &&
+                this.coordinateService.getFootprintGridPositions(cell, tokenData).every(covered => this.coordinateService.isGridPositionInBounds(covered));
+        };
+        
+        const desiredEntry = field.get(this.coordinateService.getGridPositionKey(desired));
+        if (desiredEntry && desiredEntry.cost <= spread * FORMATION_DETOUR_FACTOR + 1e-6 && isFree(desired)) {
+            return desired;
+        }
+        
+        // Out of formation: the free cell nearest to the leader, ties going to the cell nearest the formation slot
+        let best = null;
+        let bestDistance = Infinity;
+        for (const entry of field.values()) {
+            if (!isFree(entry.cell)) continue;
+            
+            const distance = this.coordinateService.getGridDistance(entry.cell, desired);
+            if (!best || entry.cost < best.cost - 1e-6 || (Math.abs(entry.cost - best.cost) <= 1e-6 && distance < bestDistance)) {
+                best = entry;
+                bestDistance = distance;
+            }
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            const slot = best ? `(${best.cell.x}, ${best.cell.y})` : "none";
+            console.log(`[${this.MODULE_NAME}] 👥 Formation slot (${desired.x}, ${desired.y}) of ${token.name} is not available, using ${slot}`);
+        }
+        return best?.cell ?? null;
+    }
+
+    /**
+     * Claim the cells a token covers on its destination
+     * @param {Set<string>} reserved - Claimed cell keys, modified in place
+     * @param {Object} cell - Grid position {x, y} of the token's top-left cell
+     * @param {Object} tokenData - Token data with width and height in grid spaces
+     */
+    reserveCells(reserved, cell, tokenData) {
+        for (const covered of this.coordinateService.getFootprintGridPositions(cell, tokenData)) {
+            reserved.add(this.coordinateService.getGridPositionKey(covered));
+        }
+    }
+}
\ No newline at end of file
@@ -1,17 +1,22 @@
-import { setupCustomTokenRulerMethods, setCombatService, setMovementCalculationService } from './custom-token-ruler.js';
+import { setupCustomTokenRulerMethods, setMovementRangeService, setTokenMovementService } from './custom-token-ruler.js';
+import { PATROL_MODES, PATROL_TRIGGERS, DEFAULT_PATROL_INTERVAL_SECONDS } from './patrol-service.js';
 
 /**
  * Hooks Manager Service for Smart Token Routing
  * Centralizes all Foundry VTT hook management and event handling
  */
 export class HooksManagerService {
-    constructor(moduleName, settingsService, pathfindingService, dragHandlerService, combatService, movementCalculationService) {
+    constructor(moduleName, settingsService, pathfindingService, dragHandlerService, combatService, movementCalculationService, terrainService, movementRangeService, marchingOrderService, patrolService) {
         this.MODULE_NAME = moduleName;
         this.settingsService = settingsService;
         this.pathfindingService = pathfindingService;
         this.dragHandlerService = dragHandlerService;
         this.combatService = combatService;
         this.movementCalculationService = movementCalculationService;
+        this.terrainService = terrainService;
+        this.movementRangeService = movementRangeService;
+        this.marchingOrderService = marchingOrderService;
+        this.patrolService = patrolService;
         this.registeredHooks = new Set();
     }
 
@@ -22,7 +27,12 @@ export class HooksManagerService {
         this.setupRoutinglibHooks();
         this.setupCanvasHooks();
         this.setupTokenHooks();
+        this.setupWallHooks();
+        this.setupRegionHooks();
+        this.setupConfigSheetHooks();
         this.setupCombatHooks();
+        this.setupMarchingOrderHooks();
+        this.setupPatrolHooks();
     }
 
     /**
@@ -68,6 +78,72 @@ export class HooksManagerService {
         // Token control hooks
         const controlTokenHook = Hooks.on("controlToken", this.onControlToken.bind(this));
         this.registeredHooks.add({ id: controlTokenHook, event: "controlToken" });
+        
+        // A token that moved, changed elevation or switched movement action has a new reachable area
+        const updateTokenHook = Hooks.on("updateToken", this.onTokenUpdate.bind(this));
+        this.registeredHooks.add({ id: updateTokenHook, event: "updateToken" });
+        
+        // Following and patrols are controlled from the token HUD
+        const tokenHudHook = Hooks.on("renderTokenHUD", this.onRenderTokenHUD.bind(this));
+        this.registeredHooks.add({ id: tokenHudHook, event: "renderTokenHUD" });
+    }
+
+    /**
+     * Set up wall-related hooks
+     */
+    setupWallHooks() {
+        // Any wall change can open or close routes, so cached paths for that scene become stale
+        const createWallHook = Hooks.on("createWall", (wallDocument) => {
+            this.pathfindingService.updateWallSnapshot(wallDocument);
+            this.invalidateRoutes(wallDocument.parent?.id, "wall created");
+        });
+        this.registeredHooks.add({ id: createWallHook, event: "createWall" });
+        
+        const updateWallHook = Hooks.on("updateWall", this.onWallUpdate.bind(this));
+        this.registeredHooks.add({ id: updateWallHook, event: "updateWall" });
+        
+        const deleteWallHook = Hooks.on("deleteWall", (wallDocument) => {
+            this.pathfindingService.updateWallSnapshot(wallDocument, true);
+            this.invalidateRoutes(wallDocument.parent?.id, "wall deleted");
+        });
+        this.registeredHooks.add({ id: deleteWallHook, event: "deleteWall" });
+    }
+
+    /**
+     * Set up region-related hooks
+     */
+    setupRegionHooks() {
+        // Regions decide where swimming tokens may go and what terrain costs, so any region change makes cached paths stale
+        for (const event of ["createRegion", "updateRegion", "deleteRegion"]) {
+            const regionHook = Hooks.on(event, (regionDocument) => {
+                this.terrainService.invalidateRegions();
+                this.invalidateRoutes(regionDocument.parent?.id, "region changed");
+            });
+            this.registeredHooks.add({ id: regionHook, event: event });
+        }
+        
+        // Movement cost behaviors live on the region, which lives on the scene
+        for (const event of ["createRegionBehavior", "updateRegionBehavior", "deleteRegionBehavior"]) {
+            const behaviorHook = Hooks.on(event, (behaviorDocument) => {
+                this.terrainService.invalidateRegions();
+                this.invalidateRoutes(behaviorDocument.parent?.parent?.id, "region behavior changed");
+            });
+            this.registeredHooks.add({ id: behaviorHook, event: event });
+        }
+    }
+
+    /**
+     * Set up hooks that add the terrain fields to the region and wall configuration sheets
+     */
+    setupConfigSheetHooks() {
+        const regionConfigHook = Hooks.on("renderRegionConfig", this.onRenderRegionConfig.bind(this));
+        this.registeredHooks.add({ id: regionConfigHook, event: "renderRegionConfig" });
+        
+        const wallConfigHook = Hooks.on("renderWallConfig", this.onRenderWallConfig.bind(this));
+        this.registeredHooks.add({ id: wallConfigHook, event: "renderWallConfig" });
+        
+        const tokenConfigHook = Hooks.on("renderTokenConfig", this.onRenderTokenConfig.bind(this));
+        this.registeredHooks.add({ id: tokenConfigHook, event: "renderTokenConfig" });
     }
 
     /**
@@ -78,9 +154,17 @@ export class HooksManagerService {
             // Initialize combat service hooks
             this.combatService.setupCombatHooks();
             
+            // Movement spent in combat shrinks the reachable area
+            this.combatService.addMovementListener((tokenId) => {
+                if (tokenId) {
+                    this.movementRangeService.clearReachableArea(tokenId);
+                }
+                this.movementRangeService.refreshMovementRange();
+            });
+            
             // Inject services into custom token ruler for grid highlighting
-            setCombatService(this.combatService);
-            setMovementCalculationService(this.movementCalculationService);
+            setMovementRangeService(this.movementRangeService);
+            setTokenMovementService(this.pathfindingService.tokenMovementService);
             
             if (this.settingsService.isDebugMode()) {
                 console.log(`[${this.MODULE_NAME}] Combat movement tracking initialized`);
@@ -90,6 +174,40 @@ export class HooksManagerService {
         }
     }
 
+    /**
+     * Set up marching order hooks
+     */
+    setupMarchingOrderHooks() {
+        // Marching orders are for exploration, combat breaks them up
+        const combatStartHook = Hooks.on("combatStart", (combat) => {
+            if (!game.users.activeGM?.isSelf) return;
+            this.marchingOrderService.clearMarchingOrder(combat.scene ?? canvas.scene);
+        });
+        this.registeredHooks.add({ id: combatStartHook, event: "combatStart" });
+        
+        // Followers set off along the trail as soon as their leader starts moving; their own moves lead nobody
+        this.pathfindingService.tokenMovementService.addMoveListener((token, pixelPath, options) => {
+            if (options.following) return;
+            this.marchingOrderService.moveFollowers(token, pixelPath).catch(error => {
+                console.warn(`[${this.MODULE_NAME}] Failed to move the followers of ${token.name}:`, error);
+            });
+        });
+    }
+
+    /**
+     * Set up patrol hooks
+     */
+    setupPatrolHooks() {
+        // Combat turn patrols walk one leg when their token's turn starts
+        const updateCombatHook = Hooks.on("updateCombat", (combat, changes) => {
+            if (!("turn" in changes) && !("round" in changes)) return;
+            this.patrolService.onCombatTurn(combat).catch(error => {
+                console.warn(`[${this.MODULE_NAME}] Failed to advance a patrol:`, error);
+            });
+        });
+        this.registeredHooks.add({ id: updateCombatHook, event: "updateCombat" });
+    }
+
     /**
      * Set up custom token ruler with distance-based grid highlighting
      */
@@ -112,17 +230,210 @@ export class HooksManagerService {
      * @param {boolean} controlled - Whether the token is being controlled
      */
     onControlToken(token, controlled) {
-        if (!this.settingsService.isPathfindingEnabled() || !this.pathfindingService.isRoutinglibReady()) return;
+        // The overlay follows the selection, even when pathfinding is off it must be cleared
+        if (!controlled) {
+            this.movementRangeService.clearReachableArea(token.id);
+        }
+        this.movementRangeService.refreshMovementRange();
+        
+        if (!this.settingsService.isPathfindingEnabled() || !this.pathfindingService.isPathfindingAvailable()) return;
 
         if (controlled && this.settingsService.isDebugMode()) {
             console.log(`[${this.MODULE_NAME}] Token ${token.name} selected for pathfinding`);
         }
     }
 
+    /**
+     * Handle token updates that change where the token can move
+     * @param {TokenDocument} tokenDocument - The updated token
+     * @param {Object} changes - The changes that were applied
+     */
+    onTokenUpdate(tokenDocument, changes) {
+        this.patrolService.onPatrolUpdate(tokenDocument, changes);
+        
+        if (!["x", "y", "elevation", "width", "height", "movementAction"].some(key => key in changes)) return;
+        
+        this.movementRangeService.clearReachableArea(tokenDocument.id);
+        if (tokenDocument.object?.controlled) {
+            this.movementRangeService.refreshMovementRange();
+        }
+    }
+
+    /**
+     * Discard cached routes and reachable areas after the scene's walls or regions changed
+     * @param {string} sceneId - Scene whose routes are stale
+     * @param {string} reason - Reason for the invalidation, for debug logging
+     */
+    invalidateRoutes(sceneId, reason) {
+        this.pathfindingService.invalidatePathCache(sceneId, reason);
+        this.movementRangeService.clearAllReachableAreas();
+        this.movementRangeService.refreshMovementRange();
+    }
+
+    /**
+     * Handle wall updates, including door state changes
+     * @param {WallDocument} wallDocument - The updated wall
+     * @param {Object} changes - The changes that were applied
+     */
+    onWallUpdate(wallDocument, changes) {
+        const reason = "ds" in changes ? "door state changed" : "wall updated";
+        this.pathfindingService.updateWallSnapshot(wallDocument);
+        this.invalidateRoutes(wallDocument.parent?.id, reason);
+        
+        // Patrols walking through the scene must not bump into a door closed in front of them
+        if ("ds" in changes && changes.ds !== CONST.WALL_DOOR_STATES.OPEN) {
+            this.patrolService.onDoorClosed();
+        }
+    }
+
+    /**
+     * Add the terrain tag field to the region configuration sheet
+     * @param {RegionConfig} app - The region configuration sheet
+     * @param {HTMLElement} element - The rendered sheet
+     */
+    onRenderRegionConfig(app, element) {
+        const html = element instanceof HTMLElement ? element : element?.[0];
+        const anchor = html?.querySelector('[name="name"]')?.closest(".form-group");
+        if (!anchor || html.querySelector(`[name="flags.${this.MODULE_NAME}.terrain"]`)) return;
+        
+        const terrain = this.terrainService.getRegionTerrain(app.document) ?? "";
+        const options = { "": "TerrainNone", ground: "TerrainGround", water: "TerrainWater" };
+        const group = document.createElement("div");
+        group.classList.add("form-group");
+        group.innerHTML = `
+            <label>${game.i18n.localize("ROUTING_TOKEN.Config.Terrain")}</label>
+            <div class="form-fields">
+                <select name="flags.${this.MODULE_NAME}.terrain">
+                    ${Object.entries(options).map(([value, key]) => `<option value="${value}" ${value === terrain ? "selected" : ""}>${game.i18n.localize(`ROUTING_TOKEN.Config.${key}`)}</option>`).join("")}
+                </select>
+            </div>
+            <p class="hint">${game.i18n.localize("ROUTING_TOKEN.Config.TerrainHint")}</p>`;
+        anchor.after(group);
+    }
+
+    /**
+     * Add the climbable checkbox to the wall configuration sheet
+     * @param {WallConfig} app - The wall configuration sheet
+     * @param {HTMLElement} element - The rendered sheet
+     */
+    onRenderWallConfig(app, element) {
+        const html = element instanceof HTMLElement ? element : element?.[0];
+        const anchor = html?.querySelector('[name="move"]')?.closest(".form-group");
+        if (!anchor || html.querySelector(`[name="flags.${this.MODULE_NAME}.climbable"]`)) return;
+        
+        const climbable = app.document.getFlag(this.MODULE_NAME, "climbable") === true;
+        const group = document.createElement("div");
+        group.classList.add("form-group");
+        group.innerHTML = `
+            <label>${game.i18n.localize("ROUTING_TOKEN.Config.Climbable")}</label>
+            <div class="form-fields">
+                <input type="checkbox" name="flags.${this.MODULE_NAME}.climbable" ${climbable ? "checked" : ""}>
+            </div>
+            <p class="hint">${game.i18n.localize("ROUTING_TOKEN.Config.ClimbableHint")}</p>`;
+        anchor.after(group);
+    }
+
+    /**
+     * Add the follow toggle and, for the GM, the patrol controls to the token HUD
+     * @param {TokenHUD} hud - The token HUD
+     * @param {HTMLElement} element - The rendered HUD
+     */
+    onRenderTokenHUD(hud, element) {
+        const html = element instanceof HTMLElement ? element : element?.[0];
+        const column = html?.querySelector(".col.right");
+        const token = hud.object;
+        if (!column || !token?.document.isOwner || column.querySelector(`[data-${this.MODULE_NAME}-control]`)) return;
+        
+        const following = !!this.marchingOrderService.getFollowData(token.document);
+        this.addTokenHudButton(hud, column, "fa-shoe-prints", following ? "StopFollowing" : "FollowTarget", following,
+            () => this.marchingOrderService.toggleFollowing(token));
+        
+        if (!game.user.isGM) return;
+        
+        const editing = this.patrolService.isEditing(token);
+        this.addTokenHudButton(hud, column, "fa-route", editing ? "SavePatrol" : "EditPatrol", editing,
+            () => this.patrolService.toggleEditing(token));
+        
+        const patrol = this.patrolService.getPatrol(token.document);
+        if (patrol) {
+            this.addTokenHudButton(hud, column, patrol.paused ? "fa-play" : "fa-pause", patrol.paused ? "ResumePatrol" : "PausePatrol", false,
+                () => this.patrolService.togglePaused(token));
+        }
+    }
+
+    /**
+     * Add a control button to the token HUD that re-renders the HUD once its action is done
+     * @param {TokenHUD} hud - The token HUD
+     * @param {HTMLElement} column - HUD column the button is added to
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} label - Key of the tooltip under ROUTING_TOKEN.UI
+     * @param {boolean} active - Show the button as active
+     * @param {Function} action - Called when the button is clicked
+     */
+    addTokenHudButton(hud, column, icon, label, active, action) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("control-icon");
+        button.classList.toggle("active", active);
+        button.dataset.tooltip = game.i18n.localize(`ROUTING_TOKEN.UI.${label}`);
+        button.setAttribute(`data-${this.MODULE_NAME}-control`, "");
+        button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+        button.addEventListener("click", async (event) => {
+            event.preventDefault();
+            await action();
+            if (hud.rendered) hud.render();
+        });
+        column.append(button);
+    }
+
+    /**
+     * Add the patrol mode, trigger and interval fields to the configuration sheet of a token with a patrol route
+     * Tokens without one get no fields, so saving their sheet never writes patrol flags
+     * @param {TokenConfig} app - The token configuration sheet
+     * @param {HTMLElement} element - The rendered sheet
+     */
+    onRenderTokenConfig(app, element) {
+        const html = element instanceof HTMLElement ? element : element?.[0];
+        const anchor = html?.querySelector('[name="name"]')?.closest(".form-group");
+        if (!game.user.isGM || !anchor || html.querySelector(`[name="flags.${this.MODULE_NAME}.patrol.mode"]`)) return;
+        
+        const patrol = app.document.getFlag?.(this.MODULE_NAME, "patrol");
+        if (!patrol?.waypoints?.length) return;
+        const select = (field, options, value) => `
+            <select name="flags.${this.MODULE_NAME}.patrol.${field}">
+                ${Object.entries(options).map(([option, key]) => `<option value="${option}" ${option === value ? "selected" : ""}>${game.i18n.localize(`ROUTING_TOKEN.Config.${key}`)}</option>`).join("")}
+            </select>`;
+        
+        const fields = document.createElement("div");
+        fields.innerHTML = `
+            <div class="form-group">
+                <label>${game.i18n.localize("ROUTING_TOKEN.Config.PatrolMode")}</label>
+                <div class="form-fields">
+                    ${select("mode", { [PATROL_MODES.LOOP]: "PatrolModeLoop", [PATROL_MODES.PING_PONG]: "PatrolModePingPong" }, patrol.mode ?? PATROL_MODES.LOOP)}
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${game.i18n.localize("ROUTING_TOKEN.Config.PatrolTrigger")}</label>
+                <div class="form-fields">
+                    ${select("trigger", { [PATROL_TRIGGERS.INTERVAL]: "PatrolTriggerInterval", [PATROL_TRIGGERS.COMBAT_TURN]: "PatrolTriggerCombatTurn" }, patrol.trigger ?? PATROL_TRIGGERS.INTERVAL)}
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${game.i18n.localize("ROUTING_TOKEN.Config.PatrolInterval")}</label>
+                <div class="form-fields">
+                    <input type="number" name="flags.${this.MODULE_NAME}.patrol.interval" min="1" step="1" value="${patrol.interval ?? DEFAULT_PATROL_INTERVAL_SECONDS}">
+                </div>
+                <p class="hint">${game.i18n.localize("ROUTING_TOKEN.Config.PatrolHint")}</p>
+            </div>`;
+        anchor.after(...fields.children);
+    }
+
     /**
      * Handle canvas ready
      */
     onCanvasReady() {
+        this.patrolService.startPatrols();
+        
         if (this.settingsService.isDebugMode()) {
             console.log(`[${this.MODULE_NAME}] Canvas ready - pathfinding available`);
         }
@@ -138,6 +449,14 @@ export class HooksManagerService {
         // Clear drag state
         this.dragHandlerService.clearAllDragStates();
         
+        // Patrols belong to the scene being left
+        this.patrolService.stopAllPatrols();
+        
+        // Routes and wall snapshots are only reused within the scene being viewed
+        this.pathfindingService.invalidatePathCache(null, "scene changed");
+        this.pathfindingService.resetSceneSnapshots();
+        this.movementRangeService.clearAllReachableAreas();
+        
         if (this.settingsService.isDebugMode()) {
             console.log(`[${this.MODULE_NAME}] Canvas cleanup completed`);
         }
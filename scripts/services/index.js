@@ -10,4 +10,20 @@ export { PathfindingService } from './pathfinding-service.js';
 export { DragHandlerService } from './drag-handler-service.js';
 export { HooksManagerService } from './hooks-manager-service.js';
 export { CombatService } from './combat-service.js';
-export { MovementCalculationService } from './movement-calculation-service.js';
\ No newline at end of file
+export { MovementCalculationService } from './movement-calculation-service.js';
+export { BackendRegistryService } from './backend-registry-service.js';
+export { CostProviderRegistryService } from './cost-provider-registry-service.js';
+export { RoutinglibPathfindingBackend } from './routinglib-pathfinding-backend.js';
+export { NativePathfindingBackend } from './native-pathfinding-backend.js';
+export { WorkerPathfindingBackend } from './worker-pathfinding-backend.js';
+export { GridlessRoutingService } from './gridless-routing-service.js';
+export { ReachabilityService } from './reachability-service.js';
+export { TokenObstacleService } from './token-obstacle-service.js';
+export { TerrainService } from './terrain-service.js';
+export { MovementRangeService } from './movement-range-service.js';
+export { GroupMovementService } from './group-movement-service.js';
+export { MarchingOrderService } from './marching-order-service.js';
+export { PatrolService, PATROL_MODES, PATROL_TRIGGERS } from './patrol-service.js';
+export { RoutingApiService, ROUTE_TRUNCATION_REASONS } from './routing-api-service.js';
+export { RoutingError, ROUTING_ERROR_REASONS } from './routing-error.js';
+export { registerRegionBehaviorTypes, ROUTE_PREFERENCE_BEHAVIORS } from './region-behavior-types.js';
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Marching Order Service for Smart Token Routing
+ * Lets tokens follow a leader token in a marching order while exploring
+ *
+ * Followers are stored in the token's flags as {leaderId, order}. When the leader moves, every follower first walks
+ * to where the token ahead of it stood and then along that token's trail, so the column keeps its order and stops
+ * a configurable gap behind the leader. The trail is checked against each follower's own footprint, obstacles and
+ * terrain, a follower stops at the last cell of it that it may enter and the followers behind it queue up there.
+ */
+export class MarchingOrderService {
+    constructor(moduleName, settingsService, coordinateService, pathfindingService, tokenMovementService, reachabilityService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.pathfindingService = pathfindingService;
+        this.tokenMovementService = tokenMovementService;
+        this.reachabilityService = reachabilityService;
+    }
+
+    /**
+     * Get the marching order entry of a token
+     * @param {TokenDocument} tokenDocument
+     * @returns {Object|null} {leaderId, order}, or null if the token follows nobody
+     */
+    getFollowData(tokenDocument) {
+        return tokenDocument?.getFlag(this.MODULE_NAME, "follow") ?? null;
+    }
+
+    /**
+     * Get the tokens following a leader, in marching order
+     * @param {Token} leader
+     * @returns {Array<Token>} Followers, the one right behind the leader first
+     */
+    getFollowers(leader) {
+        return (canvas.tokens?.placeables ?? [])
+            .filter(token => this.getFollowData(token.document)?.leaderId === leader.id)
+            .sort((a, b) => this.getFollowData(a.document).order - this.getFollowData(b.document).order);
+    }
+
+    /**
+     * Make tokens follow a leader, joining the end of its marching order in the given sequence
+     * A token never follows itself or a token that follows it
+     * @param {Array<Token>} tokens - Tokens that start following
+     * @param {Token} leader - The token to follow
+     * @returns {Promise<number>} Number of tokens that joined the marching order
+     */
+    async setFollowing(tokens, leader) {
+        const leaderData = this.getFollowData(leader.document);
+        const joining = tokens.filter(token => token.id !== leader.id && token.id !== leaderData?.leaderId && token.document.isOwner);
+        const staying = this.getFollowers(leader).filter(token => !joining.includes(token));
+        let order = Math.max(0, ...staying.map(token => this.getFollowData(token.document).order));
+        
+        for (const token of joining) {
+            await token.document.setFlag(this.MODULE_NAME, "follow", { leaderId: leader.id, order: ++order });
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🚶 ${joining.map(token => token.name).join(", ")} now follow ${leader.name}`);
+        }
+        return joining.length;
+    }
+
+    /**
+     * Remove tokens from their marching order
+     * @param {Array<Token>} tokens
+     */
+    async stopFollowing(tokens) {
+        for (const token of tokens) {
+            if (!this.getFollowData(token.document) || !token.document.isOwner) continue;
+            await token.document.unsetFlag(this.MODULE_NAME, "follow");
+        }
+    }
+
+    /**
+     * Toggle following from a token's HUD
+     * A following token stops following together with the other controlled followers, any other token
+     * starts following the user's targeted token together with the other controlled tokens
+     * @param {Token} token - The token whose HUD was used
+     */
+    async toggleFollowing(token) {
+        const tokens = [token, ...(canvas.tokens?.controlled ?? []).filter(controlled => controlled.id !== token.id)];
+        
+        if (this.getFollowData(token.document)) {
+            await this.stopFollowing(tokens);
+            return;
+        }
+        
+        const leader = Array.from(game.user.targets).find(target => !tokens.includes(target));
+        if (!leader) {
+            ui.notifications.warn(game.i18n.localize("ROUTING_TOKEN.Notifications.FollowNeedsTarget"));
+            return;
+        }
+        await this.setFollowing(tokens, leader);
+    }
+
+    /**
+     * Clear every marching order on a scene
+     * @param {Scene} scene
+     */
+    async clearMarchingOrder(scene) {
+        const updates = (scene?.tokens ?? [])
+            .filter(tokenDocument => this.getFollowData(tokenDocument))
+            .map(tokenDocument => ({ _id: tokenDocument.id, [`flags.${this.MODULE_NAME}.-=follow`]: null }));
+        if (!updates.length) return;
+        
+        await scene.updateEmbeddedDocuments("Token", updates);
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🚶 Cleared the marching order of ${updates.length} tokens on ${scene.name}`);
+        }
+    }
+
+    /**
+     * Move a leader's followers along its trail
+     * Each follower walks to where the token ahead of it stood, then along that token's trail, and stops
+     * the configured gap behind the token ahead, or earlier where the trail is blocked for it
+     * Controlled followers are left out, they move with the dragged selection
+     * @param {Token} leader - The moving token
+     * @param {Array} pixelPath - Pixel waypoints of the leader's move, starting at its current position
+     */
+    async moveFollowers(leader, pixelPath) {
+        const followers = this.getFollowers(leader).filter(token => token.document.isOwner && !token.controlled &&
+            !this.tokenMovementService.isTokenAnimating(token.id));
+        if (!followers.length || !pixelPath || pixelPath.length < 2) return;
+        
+        const spacing = this.settingsService.getMarchingOrderGap() + 1;
+        const groupIds = new Set([leader.id, ...followers.map(token => token.id)]);
+        let trail = this.getTrailCells(pixelPath, this.coordinateService.getTokenData(leader));
+        const moves = [];
+        let rank = 0;
+        
+        for (const follower of followers) {
+            const tokenData = this.coordinateService.getTokenData(follower);
+            const startPos = { x: follower.document.x, y: follower.document.y };
+            const movementAction = pixelPath[pixelPath.length - 1].action ?? follower.document.movementAction;
+            
+            // A follower that cannot reach the trail is not worth a warning, so the route is treated like a preview
+            const approach = await this.pathfindingService.calculateDragPathfinding(follower, startPos,
+                this.coordinateService.gridToPixelPosition(trail[0].cell, tokenData), {
+                    isPreview: true,
+                    movementAction: movementAction,
+                    ignoredTokenIds: groupIds
+                });
+            const approachCells = approach?.path.length ? this.getTrailCells(approach.path, tokenData) : [];
+            
+            // A follower that cannot reach the trail stays behind, the next one catches up with the token ahead of it
+            const joined = approachCells[approachCells.length - 1]?.cell;
+            if (!joined || this.coordinateService.getGridPositionKey(joined) !== this.coordinateService.getGridPositionKey(trail[0].cell)) {
+                if (this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 🚶 ${follower.name} cannot reach the trail of ${leader.name}`);
+                }
+                continue;
+            }
+            
+            trail = [...approachCells.slice(0, -1), ...trail];
+            const end = trail.length - 1 - spacing * ++rank;
+            if (end <= 0) continue;
+            
+            // The tokens ahead walked the trail under their own rules, which may let them pass where this follower may not
+            const rules = this.pathfindingService.getRouteRules(follower, movementAction, tokenData, { ignoredTokenIds: groupIds });
+            const walkable = this.reachabilityService.findFarthestCellAlong(trail.slice(0, end + 1).map(point => point.cell), follower, {
+                cellRules: rules.cells,
+                allowedCells: rules.allowedCells,
+                stepCosts: rules.stepCosts,
+                doorRules: rules.doors,
+                climbableWalls: rules.climbableWalls
+            });
+            const stop = walkable.path.length - 1;
+            if (stop < end) {
+                // The followers behind queue up behind this one instead of walking past it
+                trail = trail.slice(0, stop + 1 + spacing * rank);
+                
+                if (this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 🚶 ${follower.name} stops ${end - stop} cells short on the trail of ${leader.name}`);
+                }
+            }
+            if (stop <= 0) continue;
+            
+            const path = this.pathfindingService.toPixelPath(trail.slice(0, stop + 1), tokenData, movementAction);
+            moves.push(this.tokenMovementService.moveTokenThroughWaypoints(follower, path, { following: true }));
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🚶 ${moves.length} of ${followers.length} followers walk behind ${leader.name}`);
+        }
+        await Promise.all(moves);
+    }
+
+    /**
+     * Expand pixel waypoints into the grid cells walked between them
+     * Door stops stay on the cell the token waits on
+     * @param {Array} pixelPath - Pixel waypoints {x, y, doorStop}
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @returns {Array} Route points {cell, doorStop}, one per cell
+     */
+    getTrailCells(pixelPath, tokenData) {
+        const trail = [];
+        for (const point of pixelPath) {
+            const cell = this.coordinateService.pixelsToGridPosition(point, tokenData);
+            const previous = trail[trail.length - 1]?.cell;
+            const cells = previous
+                ? canvas.grid.getDirectPath([{ i: previous.y, j: previous.x }, { i: cell.y, j: cell.x }]).slice(1).map(offset => ({ x: offset.j, y: offset.i }))
+                : [cell];
+            
+            trail.push(...cells.map(walked => ({ cell: walked })));
+            if (point.doorStop) trail[trail.length - 1].doorStop = point.doorStop;
+        }
+        return trail;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Min Heap for Smart Token Routing
+ * Priority queue shared by the grid searches
+ */
+
+/**
+ * Minimal binary heap ordered by the `f` score of its nodes
+ */
+export class MinHeap {
+    constructor() {
+        this.nodes = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node) {
+        const nodes = this.nodes;
+        nodes.push(node);
+        let index = nodes.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (nodes[parent].f <= nodes[index].f) break;
+            [nodes[parent], nodes[index]] = [nodes[index], nodes[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const nodes = this.nodes;
+        const top = nodes[0];
+        const last = nodes.pop();
+        if (nodes.length > 0) {
+            nodes[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < nodes.length && nodes[left].f < nodes[smallest].f) smallest = left;
+                if (right < nodes.length && nodes[right].f < nodes[smallest].f) smallest = right;
+                if (smallest === index) break;
+                [nodes[smallest], nodes[index]] = [nodes[index], nodes[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
\ No newline at end of file
@@ -2,43 +2,114 @@
  * Movement Calculation Service for Smart Token Routing
  * Handles system-specific movement range calculations and terrain-aware movement costs
  */
+
+/**
+ * Movement actions with their own speed, every other action (crawl, jump, ...) uses the walking speed
+ */
+const SPECIAL_MOVEMENT_ACTIONS = new Set(["fly", "swim", "climb", "burrow"]);
+
+/**
+ * Movement range tiers, from a normal move to cells the token cannot reach this turn
+ */
+export const MOVEMENT_BANDS = Object.freeze({
+    NORMAL: "normal",
+    EXTENDED: "extended",
+    MAXIMUM: "maximum",
+    UNREACHABLE: "unreachable"
+});
+
 export class MovementCalculationService {
-    constructor(moduleName) {
+    constructor(moduleName, costProviderRegistry) {
         this.MODULE_NAME = moduleName;
+        this.costProviderRegistry = costProviderRegistry;
     }
 
     /**
      * Calculate maximum movement range based on game system
      * @param {Actor} actor - The actor to calculate movement for
-     * @returns {number} Maximum movement range in game units
+     * @param {string} [action] - Token movement action, such as "walk", "fly", "swim", "climb" or "burrow"
+     * @returns {number} Maximum movement range in game units, 0 if the actor cannot move that way
      */
-    getSystemMovementRange(actor) {
+    getSystemMovementRange(actor, action = "walk") {
         const systemId = game.system.id;
         
         switch (systemId) {
             case 'swade':
-                return this.getSwadeMovementRange(actor);
+                return this.getSwadeMovementRange(actor, action);
             case 'dnd5e':
-                return this.getDnd5eMovementRange(actor);
+                return this.getDnd5eMovementRange(actor, action);
             case 'pf2e':
-                return this.getPf2eMovementRange(actor);
+                return this.getPf2eMovementRange(actor, action);
             default:
                 return 6; // Default fallback
         }
     }
 
+    /**
+     * Get the movement range tiers of an actor for the game system
+     * Ranges are cumulative, each tier includes the movement of the tiers before it:
+     *   SWADE - pace, then running
+     *   D&D 5e - speed, then Dash
+     *   PF2e  - one, two and three Stride actions
+     * @param {Actor} actor - The actor to calculate movement for
+     * @param {string} [action] - Token movement action
+     * @returns {Array} Tiers {band, range} with the range in game units, ordered from the shortest
+     */
+    getMovementBands(actor, action = "walk") {
+        const range = this.getSystemMovementRange(actor, action);
+        
+        switch (game.system.id) {
+            case 'swade':
+                return [
+                    { band: MOVEMENT_BANDS.NORMAL, range: range },
+                    { band: MOVEMENT_BANDS.EXTENDED, range: range > 0 ? range + this.getSwadeRunningDistance(actor) : 0 }
+                ];
+            case 'pf2e':
+                return [
+                    { band: MOVEMENT_BANDS.NORMAL, range: range },
+                    { band: MOVEMENT_BANDS.EXTENDED, range: range * 2 },
+                    { band: MOVEMENT_BANDS.MAXIMUM, range: range * 3 }
+                ];
+            case 'dnd5e':
+            default:
+                return [
+                    { band: MOVEMENT_BANDS.NORMAL, range: range },
+                    { band: MOVEMENT_BANDS.EXTENDED, range: range * 2 }
+                ];
+        }
+    }
+
+    /**
+     * Get the extra distance a SWADE actor covers when running
+     * The running die is counted at its average roll, rounded down
+     * @param {Actor} actor - The SWADE actor
+     * @returns {number} Running distance in inches
+     */
+    getSwadeRunningDistance(actor) {
+        const speed = actor?.system?.stats?.speed;
+        const runningDie = Number(speed?.runningDie) || 6;
+        const runningMod = Number(speed?.runningMod) || 0;
+        return Math.max(0, Math.floor((runningDie + 1) / 2) + runningMod);
+    }
+
     /**
      * Calculate movement range for SWADE system
+     * Climbing and swimming without a dedicated pace happen at half the ground pace
      * @param {Actor} actor - The SWADE actor
+     * @param {string} [action] - Token movement action
      * @returns {number} Movement range in inches
      */
-    getSwadeMovementRange(actor) {
+    getSwadeMovementRange(actor, action = "walk") {
         try {
             const pace = actor?.system?.pace;
             if (!pace) return 6; // Default SWADE pace
             
-            const groundPace = pace.ground?.value ?? pace.default ?? 6;
-            return Math.max(1, groundPace);
+            const groundPace = Math.max(1, pace.ground?.value ?? pace.ground ?? pace.default ?? 6);
+            if (!SPECIAL_MOVEMENT_ACTIONS.has(action)) return groundPace;
+            
+            const actionPace = Number(pace[action]?.value ?? pace[action]);
+            if (actionPace > 0) return actionPace;
+            return action === "climb" || action === "swim" ? Math.max(1, Math.floor(groundPace / 2)) : 0;
         } catch (error) {
             if (game.settings.get(this.MODULE_NAME, "debugMode")) {
                 console.warn(`[${this.MODULE_NAME}] Error calculating SWADE movement for ${actor.name}:`, error);
@@ -49,13 +120,20 @@ export class MovementCalculationService {
 
     /**
      * Calculate movement range for D&D 5e system
+     * Climbing and swimming without a dedicated speed cost double, so they cover half the walking speed
      * @param {Actor} actor - The D&D 5e actor
+     * @param {string} [action] - Token movement action
      * @returns {number} Movement range in feet
      */
-    getDnd5eMovementRange(actor) {
+    getDnd5eMovementRange(actor, action = "walk") {
         try {
-            const speed = actor?.system?.attributes?.movement?.walk ?? 30;
-            return Math.max(5, speed);
+            const movement = actor?.system?.attributes?.movement;
+            const walk = Math.max(5, movement?.walk ?? 30);
+            if (!SPECIAL_MOVEMENT_ACTIONS.has(action)) return walk;
+            
+            const speed = Number(movement?.[action]);
+            if (speed > 0) return speed;
+            return action === "climb" || action === "swim" ? Math.max(5, Math.floor(walk / 10) * 5) : 0;
         } catch (error) {
             if (game.settings.get(this.MODULE_NAME, "debugMode")) {
                 console.warn(`[${this.MODULE_NAME}] Error calculating D&D 5e movement for ${actor.name}:`, error);
@@ -66,13 +144,18 @@ export class MovementCalculationService {
 
     /**
      * Calculate movement range for Pathfinder 2e system
+     * Speeds other than land are listed in otherSpeeds, an actor without the matching speed cannot use the action
      * @param {Actor} actor - The PF2e actor
+     * @param {string} [action] - Token movement action
      * @returns {number} Movement range in feet
      */
-    getPf2eMovementRange(actor) {
+    getPf2eMovementRange(actor, action = "walk") {
         try {
-            const speed = actor?.system?.attributes?.speed?.value ?? 25;
-            return Math.max(5, speed);
+            const speedData = actor?.system?.attributes?.speed;
+            if (!SPECIAL_MOVEMENT_ACTIONS.has(action)) return Math.max(5, speedData?.total ?? speedData?.value ?? 25);
+            
+            const otherSpeed = (speedData?.otherSpeeds ?? []).find(speed => speed.type === action);
+            return Math.max(0, otherSpeed?.total ?? otherSpeed?.value ?? 0);
         } catch (error) {
             if (game.settings.get(this.MODULE_NAME, "debugMode")) {
                 console.warn(`[${this.MODULE_NAME}] Error calculating PF2e movement for ${actor.name}:`, error);
@@ -81,97 +164,51 @@ export class MovementCalculationService {
         }
     }
 
-    /**
-     * Calculate terrain-adjusted movement cost from ruler label with delay
-     * @param {Token} token - The token instance
-     * @returns {Promise<number|null>} Promise that resolves to terrain-adjusted movement cost or null if not available
-     */
-    async calculateMovementCost(token) {
-        // Wait 100ms for ruler to update properly
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        try {
-            // Extract terrain-adjusted cost from ruler label - this is the only method that works
-            const rulerLabelText = $(".total-measurement", token.ruler.labels).text();
-            if (rulerLabelText) {
-                // Extract numeric part from text like "14 in" or "12 ft"
-                const numericMatch = rulerLabelText.match(/(\d+(?:\.\d+)?)/);
-                if (numericMatch) {
-                    return parseFloat(numericMatch[1]);
-                }
-            }
-        } catch (error) {
-            // Silent fail if ruler not available
-            if (game.settings.get(this.MODULE_NAME, "debugMode")) {
-                console.warn(`[${this.MODULE_NAME}] Could not extract cost from ruler label:`, error);
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Get terrain-adjusted movement cost synchronously from ruler label
-     * @param {Token} token - The token instance
-     * @returns {number|null} Terrain-adjusted movement cost or null if not available
-     */
-    getMovementCostSync(token) {
-        try {
-            // Get ruler text immediately (no delay needed since we already waited)
-            const rulerLabelText = $(".total-measurement", token.ruler.labels).text();
-            
-            if (rulerLabelText) {
-                const numericMatch = rulerLabelText.match(/(\d+(?:\.\d+)?)/);
-                if (numericMatch) {
-                    return parseFloat(numericMatch[1]);
-                }
-            }
-        } catch (error) {
-            if (game.settings.get(this.MODULE_NAME, "debugMode")) {
-                console.warn(`[${this.MODULE_NAME}] Could not extract cost from ruler label sync:`, error);
-            }
-        }
-        return null;
-    }
-
     /**
      * Calculate terrain-aware movement cost between two positions
+     * A routed move is charged what its route cost when it was calculated, the price shown in the preview;
+     * other moves are measured on the grid, with the registered cost providers pricing the cells walked
      * @param {Token} token - The token instance
      * @param {Object} fromPos - Starting position {x, y}
      * @param {Object} toPos - Ending position {x, y}
+     * @param {Array} [walkedPath] - Waypoints {x, y, action, routeCost} of the route walked from fromPos to toPos,
+     *        the straight line if omitted
      * @returns {Promise<number>} Terrain-adjusted movement cost
      */
-    async calculateTerrainMovementCost(token, fromPos, toPos) {
+    async calculateTerrainMovementCost(token, fromPos, toPos, walkedPath = null) {
         try {
-            // Convert pixel positions to grid positions
             const grid = token.document.parent.grid;
-            const fromGrid = grid.getOffset(fromPos);
-            const toGrid = grid.getOffset(toPos);
-            
-            // Use grid measurement to get terrain-aware distance
-            const measureResult = grid.measurePath([fromGrid, toGrid]);
-            let terrainCost = measureResult.distance;
+            const path = walkedPath?.length > 1 ? walkedPath : [fromPos, toPos];
+            const first = path[0];
+            const last = path[path.length - 1];
             
-            // Try to get more accurate terrain cost if token has ruler active
-            if (token.ruler && token.ruler.active) {
-                try {
-                    const rulerLabelText = $(".total-measurement", token.ruler.labels).text();
-                    if (rulerLabelText) {
-                        const numericMatch = rulerLabelText.match(/(\d+(?:\.\d+)?)/);
-                        if (numericMatch) {
-                            terrainCost = parseFloat(numericMatch[1]);
-                        }
-                    }
-                } catch (rulerError) {
-                    // Use grid measurement as fallback
+            // Route costs are in grid spaces, converted to scene units
+            let terrainCost;
+            let method;
+            if (typeof first.routeCost === "number" && typeof last.routeCost === "number") {
+                terrainCost = Math.max(0, last.routeCost - first.routeCost) * grid.distance;
+                method = 'route cost';
+            } else {
+                // Convert pixel positions to grid positions and measure the cells walked
+                const offsets = path.map(position => grid.getOffset(position));
+                const walkedCells = [];
+                for (let index = 1; index < offsets.length; index++) {
+                    const cells = grid.getDirectPath([offsets[index - 1], offsets[index]]).map(offset => ({ x: offset.j, y: offset.i }));
+                    walkedCells.push(...(walkedCells.length ? cells.slice(1) : cells));
                 }
+                const movementAction = last.action ?? token.document.movementAction ?? "walk";
+                const providerCost = this.costProviderRegistry.measureExtraCost(token, walkedCells, movementAction) * grid.distance;
+                terrainCost = Math.max(0, grid.measurePath(offsets).distance + providerCost);
+                method = 'grid';
             }
             
             if (game.settings.get(this.MODULE_NAME, "debugMode")) {
                 console.log(`[${this.MODULE_NAME}] Movement cost calculated:`, {
                     from: fromPos,
                     to: toPos,
+                    waypoints: path.length,
                     terrainCost: `${terrainCost} ${canvas.scene.grid.units}`,
-                    method: token.ruler?.active ? 'ruler + grid' : 'grid only'
+                    method: method
                 });
             }
             
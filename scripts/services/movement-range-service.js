@@ -0,0 +1,214 @@
+/**
+ * Movement Range Service for Smart Token Routing
+ * Computes the area a token can reach with its remaining movement in a single flood fill,
+ * honouring walls, other tokens and terrain, and draws it on the grid
+ * Cells are sorted into the movement bands of the game system (normal move, dash or run, ...)
+ */
+import { MOVEMENT_BANDS } from './movement-calculation-service.js';
+
+/**
+ * Opacity factor of the reachable area overlay, kept faint so the ruler's own highlight stays readable
+ */
+const RANGE_OVERLAY_ALPHA_FACTOR = 0.5;
+
+export class MovementRangeService {
+    constructor(moduleName, settingsService, coordinateService, pathfindingService, reachabilityService, combatService, movementCalculationService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.pathfindingService = pathfindingService;
+        this.reachabilityService = reachabilityService;
+        this.combatService = combatService;
+        this.movementCalculationService = movementCalculationService;
+        this.areas = new Map(); // tokenId -> {action, budget, bands, cells}
+        this.highlightLayer = `${moduleName}.movementRange`;
+    }
+
+    /**
+     * Get the movement a token has left, in grid spaces
+     * Outside combat this is the token's full movement range for the action
+     * @param {Token} token
+     * @param {string} movementAction - Token movement action
+     * @returns {number} Remaining movement in grid spaces
+     */
+    getRemainingMovement(token, movementAction) {
+        return this.getRemainingMovementBands(token, movementAction)[0].budget;
+    }
+
+    /**
+     * Get the movement a token has left in each of its movement bands, in grid spaces
+     * Movement already spent this combat round counts against every band
+     * @param {Token} token
+     * @param {string} movementAction - Token movement action
+     * @returns {Array} Bands {band, budget}, ordered from the shortest
+     */
+    getRemainingMovementBands(token, movementAction) {
+        const used = game.combat?.started ? this.combatService.getCombatMovementUsed(token.id, game.combat.round) : 0;
+        const distance = canvas.scene.grid.distance || 1;
+        
+        return this.movementCalculationService.getMovementBands(token.actor, movementAction).map(({ band, range }) => ({
+            band: band,
+            budget: Math.max(0, range - used) / distance
+        }));
+    }
+
+    /**
+     * Compute the cost of reaching every cell within a token's widest movement band
+     * The result replaces the token's cached area
+     * @param {Token} token
+     * @param {string} [movementAction] - Token movement action, defaults to the token's active movement action
+     * @returns {Object|null} {action, budget, bands, cells} with the normal move budget, the band budgets and
+     *          cell key -> {cell, cost} for every cell the token can cover, or null if the scene cannot be measured
+     */
+    computeReachableArea(token, movementAction = token.document?.movementAction ?? "walk") {
+        try {
+            const tokenData = this.coordinateService.getTokenData(token);
+            const start = this.coordinateService.pixelsToGridPosition({ x: token.document.x, y: token.document.y }, tokenData);
+            const bands = this.getRemainingMovementBands(token, movementAction);
+            const budget = bands[0].budget;
+            const rules = this.pathfindingService.getRouteRules(token, movementAction, tokenData);
+            
+            // Route preferences only steer routes, the range is measured in real movement cost
+            const field = this.reachabilityService.computeCostField(start, token, {
+                maxCost: bands[bands.length - 1].budget + 1e-6,
+                cellRules: rules.cells,
+                allowedCells: rules.allowedCells,
+                stepCosts: rules.stepCosts,
+                doorRules: rules.doors,
+                climbableWalls: rules.climbableWalls,
+                usePreferences: false
+            });
+            
+            const cells = new Map();
+            for (const [key, entry] of field) {
+                // The token cannot end its move on cells it may only cross
+                if (entry.previous && rules.cells.get(key)?.noStop) continue;
+                
+                for (const cell of this.coordinateService.getFootprintGridPositions(entry.cell, tokenData)) {
+                    const cellKey = this.coordinateService.getGridPositionKey(cell);
+                    if (entry.cost < (cells.get(cellKey)?.cost ?? Infinity)) {
+                        cells.set(cellKey, { cell: cell, cost: entry.cost });
+                    }
+                }
+            }
+            
+            const area = { action: movementAction, budget: budget, bands: bands, cells: cells };
+            this.areas.set(token.id, area);
+            
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🗺️ ${token.name} can reach ${cells.size} cells with ${budget} grid spaces of ${movementAction} movement`);
+            }
+            return area;
+        } catch (error) {
+            if (this.settingsService.isDebugMode()) {
+                console.warn(`[${this.MODULE_NAME}] Could not compute the movement range of ${token.name}:`, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get a token's reachable area, computing it if it is not cached
+     * @param {Token} token
+     * @returns {Object|null} Reachable area, see computeReachableArea
+     */
+    getReachableArea(token) {
+        return this.areas.get(token.id) ?? this.computeReachableArea(token);
+    }
+
+    /**
+     * Get the cost for a token to cover a grid cell
+     * @param {Token} token
+     * @param {Object} offset - Grid offset {i, j}
+     * @returns {number} Cost in grid spaces, Infinity if the cell is out of reach
+     */
+    getCellCost(token, offset) {
+        const area = this.getReachableArea(token);
+        return area?.cells.get(this.coordinateService.getGridPositionKey({ x: offset.j, y: offset.i }))?.cost ?? Infinity;
+    }
+
+    /**
+     * Check if a token can cover a grid cell with its remaining movement
+     * @param {Token} token
+     * @param {Object} offset - Grid offset {i, j}
+     * @returns {boolean|null} Null if the token's range is unknown
+     */
+    isCellReachable(token, offset) {
+        const area = this.getReachableArea(token);
+        if (!area) return null;
+        return this.getCellCost(token, offset) <= area.budget + 1e-6;
+    }
+
+    /**
+     * Get the movement band a grid cell falls in for a token
+     * @param {Token} token
+     * @param {Object} offset - Grid offset {i, j}
+     * @returns {string|null} One of MOVEMENT_BANDS, null if the token's range is unknown
+     */
+    getCellBand(token, offset) {
+        const area = this.getReachableArea(token);
+        if (!area) return null;
+        
+        return this.getBandForCost(area, this.getCellCost(token, offset));
+    }
+
+    /**
+     * Get the first movement band of an area whose budget covers a cost
+     * @param {Object} area - Reachable area, see computeReachableArea
+     * @param {number} cost - Cost in grid spaces
+     * @returns {string} One of MOVEMENT_BANDS
+     */
+    getBandForCost(area, cost) {
+        return area.bands.find(band => cost <= band.budget + 1e-6)?.band ?? MOVEMENT_BANDS.UNREACHABLE;
+    }
+
+    /**
+     * Redraw the reachable area overlay for the user's controlled token
+     * The overlay is only drawn while exactly one token is controlled
+     */
+    refreshMovementRange() {
+        const grid = canvas.interface?.grid;
+        if (!grid) return;
+        
+        grid.addHighlightLayer(this.highlightLayer);
+        grid.clearHighlightLayer(this.highlightLayer);
+        
+        const controlled = canvas.tokens?.controlled ?? [];
+        if (controlled.length !== 1 || !this.settingsService.isMovementRangeOverlayEnabled()) return;
+        if (!this.settingsService.isPathfindingEnabled() || !this.pathfindingService.isPathfindingAvailable()) return;
+        
+        const token = controlled[0];
+        const area = this.computeReachableArea(token);
+        if (!area) return;
+        
+        for (const { cell, cost } of area.cells.values()) {
+            const band = this.getBandForCost(area, cost);
+            if (band === MOVEMENT_BANDS.UNREACHABLE) continue;
+            
+            const style = this.settingsService.getRangeBandStyle(band);
+            const topLeft = canvas.grid.getTopLeftPoint({ i: cell.y, j: cell.x });
+            grid.highlightPosition(this.highlightLayer, {
+                x: topLeft.x,
+                y: topLeft.y,
+                color: style.color,
+                alpha: style.alpha * RANGE_OVERLAY_ALPHA_FACTOR
+            });
+        }
+    }
+
+    /**
+     * Forget a token's reachable area
+     * @param {string} tokenId
+     */
+    clearReachableArea(tokenId) {
+        this.areas.delete(tokenId);
+    }
+
+    /**
+     * Forget every reachable area and remove the overlay
+     */
+    clearAllReachableAreas() {
+        this.areas.clear();
+        canvas.interface?.grid?.clearHighlightLayer(this.highlightLayer);
+    }
+}
\ No newline at end of file
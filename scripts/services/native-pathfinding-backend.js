@@ -0,0 +1,382 @@
+/**
+ * Native Pathfinding Backend for Smart Token Routing
+ * Self-contained grid A*, the fallback backend when routinglib is not available
+ * Walls are tested with Foundry's own movement collision backend, for every cell a larger token covers
+ */
+import { MinHeap } from './min-heap.js';
+
+/**
+ * Upper bound on expanded cells per search, protects the canvas from runaway searches
+ */
+const MAX_SEARCH_ITERATIONS = 50000;
+
+export class NativePathfindingBackend {
+    constructor(moduleName, settingsService, coordinateService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.supportsCellRules = true;
+        this.supportsDoorRules = true;
+        this.supportsStepCosts = true;
+        this.supportsSqueezing = true;
+    }
+
+    /**
+     * Check if the current scene can be routed by this backend
+     * Only square and hexagonal grids are supported
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!canvas?.grid && !canvas.grid.isGridless && !!CONFIG.Canvas?.polygonBackends?.move;
+    }
+
+    /**
+     * Find the cheapest path between two grid positions with A*
+     * @param {Object} from - Starting grid position {x, y}
+     * @param {Object} to - Target grid position {x, y}
+     * @param {Object} [options] - Search options
+     * @param {Token} [options.token] - The token being routed
+     * @param {Object} [options.tokenData] - Token data for footprint and elevation, derived from the token if omitted
+     * @param {number} [options.maxCost] - Abandon branches more expensive than this
+     * @param {Map} [options.cellRules] - Cell key -> {blocked, penalty, multiplier, preference} for the positions of the token's
+     *        top-left cell where it covers other tokens or terrain
+     * @param {Map} [options.doorRules] - Wall ID -> {cost, c} for closed doors that may be crossed
+     * @param {Set} [options.allowedCells] - Keys of the positions of the token's top-left cell the path is confined to,
+     *        such as water for a swimming token
+     * @param {Map} [options.climbableWalls] - Wall ID -> {cost, c} for walls a climbing token may cross
+     * @param {Object} [options.stepCosts] - Step costs of the registered cost providers, see CostProviderRegistryService
+     * @param {Object} [options.squeeze] - {multiplier, cellRules, allowedCells} lets a token larger than one cell squeeze
+     *        through spaces one size smaller, at the multiplied step cost, under the rules of its smaller body
+     * @returns {Object|null} {path, cost} with grid positions including both ends, or null if unreachable;
+     *          positions entered by squeezing are marked squeezed with the squeezeOffset of the smaller body
+     */
+    findPath(from, to, options = {}) {
+        const { maxCost = Infinity, cellRules = null, doorRules = null, allowedCells = null, stepCosts = null, squeeze = null } = options;
+        const tokenData = options.tokenData ?? this.getTokenData(options.token);
+        const passableWalls = this.getPassableWalls(doorRules, options.climbableWalls);
+        const rayCache = new Map(); // Large footprints share most of their rays with neighbouring steps
+        
+        // Terrain or preferred paths cheaper than normal would make the grid distance overestimate, so the heuristic is scaled down
+        const heuristicScale = Math.min(this.getMinimumMultiplier(cellRules), this.getMinimumMultiplier(squeeze?.cellRules)) * (stepCosts?.minimumMultiplier ?? 1);
+        const startKey = this.coordinateService.getGridPositionKey(from);
+        const goalKey = this.coordinateService.getGridPositionKey(to);
+        
+        if (startKey === goalKey) return { path: [from], cost: 0 };
+        if (!this.coordinateService.isGridPositionInBounds(to)) return null;
+        if (allowedCells && !allowedCells.has(goalKey)) return null;
+        
+        // A squeezing token is searched together with where its smaller body sits inside its footprint,
+        // so the body cannot jump across a wall between two steps; a token moving normally has no body offset
+        const squeezeOffsets = squeeze ? this.getSqueezeOffsets(tokenData) : [];
+        const open = new MinHeap();
+        const cameFrom = new Map(); // search state -> previous search node
+        const gScore = new Map([[startKey, 0]]);
+        const closed = new Set();
+        let iterations = 0;
+        
+        open.push({ cell: from, key: startKey, state: startKey, offset: null, g: 0, f: this.coordinateService.estimateGridDistance(from, to) * heuristicScale });
+        
+        while (open.size > 0) {
+            const current = open.pop();
+            if (closed.has(current.state)) continue;
+            
+            if (current.key === goalKey) {
+                // Step costs average the alternating diagonal rules and include route preferences, so report the exact cost of the path
+                const path = this.reconstructPath(cameFrom, current);
+                return { path: path, cost: this.coordinateService.measurePathDistance(path) + this.getExtraCost(path, tokenData, cellRules, doorRules, stepCosts, squeeze) };
+            }
+            
+            closed.add(current.state);
+            if (++iterations > MAX_SEARCH_ITERATIONS) {
+                if (this.settingsService.isDebugMode()) {
+                    console.warn(`[${this.MODULE_NAME}] Native pathfinding gave up after ${MAX_SEARCH_ITERATIONS} cells`);
+                }
+                break;
+            }
+            
+            for (const neighbor of this.coordinateService.getAdjacentGridPositions(current.cell)) {
+                const key = this.coordinateService.getGridPositionKey(neighbor);
+                if (closed.has(key) && !squeezeOffsets.length) continue;
+                
+                const step = stepCosts?.getStepCost(current.cell, neighbor);
+                if (step?.blocked) continue;
+                
+                const doorCost = this.getDoorCost(current.cell, neighbor, tokenData, doorRules);
+                const baseCost = this.coordinateService.getStepCost(current.cell, neighbor) * (step?.multiplier ?? 1);
+                const rule = cellRules?.get(key);
+                if (!rule?.blocked && (!allowedCells || allowedCells.has(key))) {
+                    const g = current.g + baseCost * (rule?.multiplier ?? 1) * (rule?.preference ?? 1) + (rule?.penalty ?? 0) + (step?.cost ?? 0) + doorCost;
+                    
+                    // Collision tests are the expensive part, so they run last
+                    const improves = g <= maxCost && !closed.has(key) && g < (gScore.get(key) ?? Infinity);
+                    if (!improves && !squeezeOffsets.length) continue;
+                    
+                    if (g <= maxCost && !this.testStep(current.cell, neighbor, tokenData, passableWalls, rayCache)) {
+                        if (improves) {
+                            gScore.set(key, g);
+                            cameFrom.set(key, current);
+                            open.push({ cell: neighbor, key: key, state: key, offset: null, g: g, f: g + this.coordinateService.estimateGridDistance(neighbor, to) * heuristicScale });
+                        }
+                        continue;
+                    }
+                }
+                if (!squeezeOffsets.length) continue;
+                
+                // Squeezing is only tried where the whole footprint does not fit, and a squeezed body keeps its place in the footprint;
+                // only the cells the smaller body covers have to be allowed and are priced
+                for (const offset of current.offset ? [current.offset] : squeezeOffsets) {
+                    const state = `${key}#${offset.x},${offset.y}`;
+                    if (closed.has(state)) continue;
+                    
+                    const bodyKey = this.coordinateService.getGridPositionKey({ x: neighbor.x + offset.x, y: neighbor.y + offset.y });
+                    const bodyRule = squeeze.cellRules?.get(bodyKey);
+                    if (bodyRule?.blocked || (squeeze.allowedCells && !squeeze.allowedCells.has(bodyKey))) continue;
+                    
+                    const squeezedG = current.g + baseCost * squeeze.multiplier * (bodyRule?.multiplier ?? 1) * (bodyRule?.preference ?? 1) +
+                        (bodyRule?.penalty ?? 0) + (step?.cost ?? 0) + doorCost;
+                    if (squeezedG > maxCost || squeezedG >= (gScore.get(state) ?? Infinity)) continue;
+                    if (this.testSqueezedStep(current.cell, neighbor, offset, tokenData, passableWalls, rayCache)) continue;
+                    
+                    gScore.set(state, squeezedG);
+                    cameFrom.set(state, current);
+                    open.push({ cell: neighbor, key: key, state: state, offset: offset, g: squeezedG, f: squeezedG + this.coordinateService.estimateGridDistance(neighbor, to) * heuristicScale });
+                }
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get the smallest combined cost multiplier and route preference of the cell rules, never more than 1
+     * @param {Map|null} cellRules - Cell rules passed to findPath
+     * @returns {number}
+     */
+    getMinimumMultiplier(cellRules) {
+        let minimum = 1;
+        for (const rule of cellRules?.values() ?? []) {
+            const factor = (rule.multiplier ?? 1) * (rule.preference ?? 1);
+            if (factor < minimum) minimum = factor;
+        }
+        return minimum;
+    }
+
+    /**
+     * Sum the terrain surcharges, token penalties, cost provider costs, squeezing and door costs along a path
+     * @param {Array} path - Grid positions, the first one is not entered
+     * @param {Object|null} tokenData - Token data for footprint
+     * @param {Map|null} cellRules - Cell rules passed to findPath
+     * @param {Map|null} doorRules - Door rules passed to findPath
+     * @param {Object|null} [stepCosts] - Step costs passed to findPath
+     * @param {Object|null} [squeeze] - Squeeze rule passed to findPath, prices the positions marked squeezed
+     * @returns {number} Extra cost in grid spaces
+     */
+    getExtraCost(path, tokenData, cellRules, doorRules, stepCosts = null, squeeze = null) {
+        let total = 0;
+        for (let index = 1; index < path.length; index++) {
+            const rule = this.getPositionRule(path[index], cellRules, squeeze);
+            const step = stepCosts?.getStepCost(path[index - 1], path[index]);
+            const squeezeMultiplier = path[index].squeezed ? (squeeze?.multiplier ?? 1) : 1;
+            if (rule || step || squeezeMultiplier !== 1) {
+                const multiplier = (rule?.multiplier ?? 1) * (step?.multiplier ?? 1) * squeezeMultiplier;
+                total += this.coordinateService.getStepCost(path[index - 1], path[index]) * (multiplier - 1) + (rule?.penalty ?? 0) + (step?.cost ?? 0);
+            }
+            total += this.getDoorCost(path[index - 1], path[index], tokenData, doorRules);
+        }
+        return total;
+    }
+
+    /**
+     * Get the cell rule a token answers to at a path position
+     * A squeezed token only covers the cells of its smaller body, whose rules the squeeze rule carries
+     * @param {Object} position - Grid position {x, y}, marked squeezed with a squeezeOffset where the token squeezed in
+     * @param {Map|null} cellRules - Cell rules passed to findPath
+     * @param {Object|null} [squeeze] - Squeeze rule passed to findPath
+     * @returns {Object|undefined} The cell rule
+     */
+    getPositionRule(position, cellRules, squeeze = null) {
+        if (!position.squeezeOffset || !squeeze) return cellRules?.get(this.coordinateService.getGridPositionKey(position));
+        return squeeze.cellRules?.get(this.coordinateService.getGridPositionKey({ x: position.x + position.squeezeOffset.x, y: position.y + position.squeezeOffset.y }));
+    }
+
+    /**
+     * Combine the walls a path may cross, closed doors and, for a climbing token, climbable walls
+     * @param {Map|null} doorRules - Door rules passed to findPath
+     * @param {Map|null} climbableWalls - Climbable walls passed to findPath
+     * @returns {Map|null} Wall ID -> rule, or null if every wall blocks
+     */
+    getPassableWalls(doorRules, climbableWalls) {
+        if (!climbableWalls?.size) return doorRules;
+        if (!doorRules?.size) return climbableWalls;
+        return new Map([...doorRules, ...climbableWalls]);
+    }
+
+    /**
+     * Cost of the closed doors crossed by a step
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Object|null} tokenData - Token data for footprint
+     * @param {Map|null} doorRules - Door rules passed to findPath
+     * @returns {number} Extra cost in grid spaces
+     */
+    getDoorCost(a, b, tokenData, doorRules) {
+        if (!doorRules?.size) return 0;
+        return this.coordinateService.getCrossedWalls(a, b, doorRules, tokenData)
+            .reduce((total, id) => total + doorRules.get(id).cost, 0);
+    }
+
+    /**
+     * Check if moving between two grid positions crosses a movement-blocking wall
+     * A token covering several cells is walked along the grid line cell by cell, so it meets the walls
+     * between its covered cells on the way
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Token} [token] - The token being routed
+     * @param {Map} [passableWalls] - Closed doors and climbable walls that do not block the step
+     * @returns {boolean} True if the step is blocked
+     */
+    collides(a, b, token = null, passableWalls = null) {
+        const tokenData = this.getTokenData(token);
+        if (!this.coordinateService.getFootprintSteps(a, b, tokenData)) return this.testStep(a, b, tokenData, passableWalls);
+        
+        const line = canvas.grid.getDirectPath([{ i: a.y, j: a.x }, { i: b.y, j: b.x }]).map(offset => ({ x: offset.j, y: offset.i }));
+        const rayCache = new Map();
+        return line.slice(1).some((cell, index) => this.testStep(line[index], cell, tokenData, passableWalls, rayCache));
+    }
+
+    /**
+     * Test a step for wall collisions with already resolved token data
+     * A token covering several cells is blocked if any covered cell's step crosses a wall,
+     * or if a wall runs between the cells it would cover after the step
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Object} [tokenData] - Token data for footprint and elevation
+     * @param {Map} [passableWalls] - Closed doors and climbable walls that do not block the step
+     * @param {Map} [rayCache] - Single-cell ray results kept for one search, keyed by the cells they join
+     * @returns {boolean} True if the step is blocked
+     */
+    testStep(a, b, tokenData = null, passableWalls = null, rayCache = null) {
+        const steps = this.coordinateService.getFootprintSteps(a, b, tokenData);
+        if (!steps) {
+            return this.testRay(this.getCellCenter(a, tokenData), this.getCellCenter(b, tokenData), passableWalls);
+        }
+        
+        // Seams are not crossed on the way, so even doors and climbable walls between the covered cells block
+        const elevation = { elevation: tokenData?.elevation ?? 0 };
+        const rays = [
+            ...steps.map(([from, to]) => ({ from, to, passableWalls, separator: ">" })),
+            ...this.coordinateService.getFootprintSeams(b, tokenData).map(([from, to]) => ({ from, to, passableWalls: null, separator: "|" }))
+        ];
+        return rays.some(ray => {
+            const key = `${this.coordinateService.getGridPositionKey(ray.from)}${ray.separator}${this.coordinateService.getGridPositionKey(ray.to)}`;
+            let blocked = rayCache?.get(key);
+            if (blocked === undefined) {
+                blocked = this.testRay(this.getCellCenter(ray.from, elevation), this.getCellCenter(ray.to, elevation), ray.passableWalls);
+                rayCache?.set(key, blocked);
+            }
+            return blocked;
+        });
+    }
+
+    /**
+     * Get where the body of a squeezing token may sit inside its footprint
+     * Squeezing shrinks the footprint by one size, a token covering a single cell cannot squeeze
+     * @param {Object|null} tokenData - Token data for footprint
+     * @returns {Array} Offsets {x, y} of the smaller body from the token's top-left cell
+     */
+    getSqueezeOffsets(tokenData) {
+        if (this.coordinateService.getFootprintGridPositions({ x: 0, y: 0 }, tokenData).length < 2) return [];
+        
+        const body = this.coordinateService.getSqueezedTokenData(tokenData);
+        const offsets = [];
+        for (let dx = 0; dx <= Math.ceil(tokenData.width) - body.width; dx++) {
+            for (let dy = 0; dy <= Math.ceil(tokenData.height) - body.height; dy++) {
+                offsets.push({ x: dx, y: dy });
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * Test a step of a squeezing token, only its smaller body has to fit
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Object} offset - Offset {x, y} of the body inside the footprint, see getSqueezeOffsets
+     * @param {Object} tokenData - Token data for footprint and elevation
+     * @param {Map} [passableWalls] - Closed doors and climbable walls that do not block the step
+     * @param {Map} [rayCache] - Single-cell ray results kept for one search
+     * @returns {boolean} True if the step is blocked even when squeezing
+     */
+    testSqueezedStep(a, b, offset, tokenData, passableWalls = null, rayCache = null) {
+        const from = { x: a.x + offset.x, y: a.y + offset.y };
+        const to = { x: b.x + offset.x, y: b.y + offset.y };
+        return this.testStep(from, to, this.coordinateService.getSqueezedTokenData(tokenData), passableWalls, rayCache);
+    }
+
+    /**
+     * Test the straight movement between two pixel positions for wall collisions
+     * @param {Object} origin - Pixel position {x, y, elevation}
+     * @param {Object} destination - Pixel position {x, y, elevation}
+     * @param {Map} [passableWalls] - Closed doors and climbable walls that do not block the movement
+     * @returns {boolean} True if the movement is blocked
+     */
+    testRay(origin, destination, passableWalls = null) {
+        if (!passableWalls?.size) {
+            return CONFIG.Canvas.polygonBackends.move.testCollision(origin, destination, {
+                type: "move",
+                mode: "any"
+            });
+        }
+        
+        // Every collision must come from a passable wall, anything else still blocks
+        const collisions = CONFIG.Canvas.polygonBackends.move.testCollision(origin, destination, {
+            type: "move",
+            mode: "all"
+        });
+        return collisions.some(vertex => {
+            const edges = Array.from(vertex.edges ?? []);
+            return edges.length === 0 || edges.some(edge => !passableWalls.has(edge.object?.id));
+        });
+    }
+
+    /**
+     * Get the pixel center of a token standing on a cell
+     * @param {Object} cell - Grid position {x, y} of the token's top-left cell
+     * @param {Object} [tokenData] - Token data with width and height in grid spaces
+     * @returns {Object} Pixel position {x, y, elevation}
+     */
+    getCellCenter(cell, tokenData = null) {
+        const center = this.coordinateService.getGridPositionCenter(cell, tokenData);
+        return { x: center.x, y: center.y, elevation: tokenData?.elevation ?? 0 };
+    }
+
+    /**
+     * Get the footprint and elevation of a token
+     * @param {Token|Object|null} token - Token placeable, or token data that is passed through
+     * @returns {Object|null} Token data {width, height, elevation}
+     */
+    getTokenData(token) {
+        if (!token) return null;
+        const document = token.document;
+        if (!document) return token;
+        return {
+            width: document.width ?? 1,
+            height: document.height ?? 1,
+            elevation: document.elevation ?? 0
+        };
+    }
+
+    /**
+     * Walk the search tree back from the goal
+     * @param {Map} cameFrom - Previous search node of every reached search state
+     * @param {Object} goal - Search node {cell, state, offset} of the goal
+     * @returns {Array} Grid positions from start to goal, marked squeezed with the body's squeezeOffset where the token squeezed in
+     */
+    reconstructPath(cameFrom, goal) {
+        const path = [];
+        for (let node = goal; node; node = cameFrom.get(node.state)) {
+            path.unshift(node.offset ? { ...node.cell, squeezed: true, squeezeOffset: node.offset } : node.cell);
+        }
+        return path;
+    }
+}
\ No newline at end of file
@@ -2,14 +2,39 @@
  * Pathfinding Service for Smart Token Routing
  * Handles all pathfinding calculations and route optimization
  */
+import { ROUTING_HOOKS } from './routing-hooks.js';
+
+/**
+ * Maximum number of cached routes kept per scene, oldest entries are evicted first
+ */
+const MAX_CACHED_ROUTES_PER_SCENE = 500;
+
+/**
+ * Why a route was not calculated although its destination may be reachable
+ */
+export const ROUTE_REFUSAL_REASONS = Object.freeze({
+    VETOED: "vetoed",
+    CANCELLED: "cancelled"
+});
+
 export class PathfindingService {
-    constructor(moduleName, settingsService, coordinateService, tokenMovementService) {
+    constructor(moduleName, settingsService, coordinateService, tokenMovementService, backendRegistry, reachabilityService, tokenObstacleService, terrainService, costProviderRegistry, gridlessRoutingService) {
         this.MODULE_NAME = moduleName;
         this.settingsService = settingsService;
         this.coordinateService = coordinateService;
         this.tokenMovementService = tokenMovementService;
+        this.backendRegistry = backendRegistry;
+        this.reachabilityService = reachabilityService;
+        this.tokenObstacleService = tokenObstacleService;
+        this.terrainService = terrainService;
+        this.costProviderRegistry = costProviderRegistry;
+        this.gridlessRoutingService = gridlessRoutingService;
         this.routinglibReady = false;
-        this.activePathfindingJobs = new Map();
+        this.activePathfindingJobs = new Map(); // job key, the token's ID unless routed on its own -> job handle
+        this.nextJobId = 1;
+        this.pathCache = new Map(); // sceneId -> Map(cacheKey -> {path, cost, backendId} or {failed, maxDistance})
+        this.pathCacheStats = { hits: 0, misses: 0, invalidations: 0 };
+        this.pathCacheGenerations = new Map(); // sceneId (null for every scene) -> invalidation count
     }
 
     /**
@@ -23,7 +48,7 @@ export class PathfindingService {
                 console.log(`[${this.MODULE_NAME}] Routinglib detected and ready`);
             }
         } else {
-            console.warn(`[${this.MODULE_NAME}] Routinglib not found - pathfinding will be disabled`);
+            console.warn(`[${this.MODULE_NAME}] Routinglib not found - using built-in grid pathfinding (square and hex grids only)`);
         }
     }
 
@@ -47,131 +72,96 @@ export class PathfindingService {
     }
 
     /**
-     * Find an accessible destination when the target is blocked by walls
+     * Check if the current scene can be routed, by a pathfinding backend or over its visibility graph when gridless
+     * @returns {boolean}
+     */
+    isPathfindingAvailable() {
+        return this.gridlessRoutingService.isAvailable() || this.backendRegistry.hasAvailableBackend();
+    }
+
+    /**
+     * Check if a single step between grid positions is blocked by a wall
      * @param {Object} gridFromPos - Starting grid position
      * @param {Object} gridToPos - Target grid position
-     * @param {Object} tokenData - Token data for collision checking
-     * @returns {Object} Object with finalDestination and pathDestination
+     * @param {Token} token - The token being routed
+     * @returns {boolean|null} True if blocked, or null if no backend can test collisions
      */
-    async findAccessibleDestination(gridFromPos, gridToPos, tokenData) {
-        // Access stepCollidesWithWall from routinglib API
-        if (!window.routinglib || !window.routinglib.stepCollidesWithWall) {
-            if (this.settingsService.isDebugMode()) {
-                console.warn(`[${this.MODULE_NAME}] stepCollidesWithWall not available, using original destination`);
-            }
-            return {
-                finalDestination: gridToPos,
-                pathDestination: gridToPos
-            };
-        }
-        
-        const stepCollidesWithWall = window.routinglib.stepCollidesWithWall;
-        
-        // Check if we can move directly to the destination
-        const originalBlocked = stepCollidesWithWall(gridFromPos, gridToPos, tokenData);
-        
-        if (!originalBlocked) {
-            // Original destination is accessible
-            if (this.settingsService.isDebugMode()) {
-                console.log(`[${this.MODULE_NAME}] 🎯 Original destination (${gridToPos.x}, ${gridToPos.y}) is accessible`);
-            }
-            return {
-                finalDestination: gridToPos,
-                pathDestination: gridToPos
-            };
-        }
-        
-        if (this.settingsService.isDebugMode()) {
-            console.log(`[${this.MODULE_NAME}] 🚫 Original destination (${gridToPos.x}, ${gridToPos.y}) is blocked, finding alternative`);
-        }
-        
-        // Find the nearest accessible cell within a reasonable radius
-        const searchRadius = 5; // Search up to 5 cells away
-        let bestAlternative = null;
-        let shortestDistance = Infinity;
-        
-        for (let radius = 1; radius <= searchRadius; radius++) {
-            // Check cells in a square pattern at this radius
-            for (let dx = -radius; dx <= radius; dx++) {
-                for (let dy = -radius; dy <= radius; dy++) {
-                    // Skip cells that aren't on the current radius perimeter
-                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
-                    
-                    const candidatePos = {
-                        x: gridToPos.x + dx,
-                        y: gridToPos.y + dy
-                    };
-                    
-                    // Check if this candidate position is accessible
-                    const candidateBlocked = stepCollidesWithWall(gridFromPos, candidatePos, tokenData);
-                    
-                    if (!candidateBlocked) {
-                        const distance = Math.abs(dx) + Math.abs(dy); // Manhattan distance
-                        if (distance < shortestDistance) {
-                            shortestDistance = distance;
-                            bestAlternative = candidatePos;
-                        }
-                    }
-                }
-            }
-            
-            // If we found an alternative at this radius, use it
-            if (bestAlternative) break;
-        }
-        
-        if (bestAlternative) {
-            if (this.settingsService.isDebugMode()) {
-                console.log(`[${this.MODULE_NAME}] 🔄 Found accessible alternative at (${bestAlternative.x}, ${bestAlternative.y}), distance: ${shortestDistance}`);
-            }
-            return {
-                finalDestination: gridToPos, // Still want to end up at the original destination
-                pathDestination: bestAlternative // But pathfind to the accessible cell
-            };
-        } else {
-            if (this.settingsService.isDebugMode()) {
-                console.log(`[${this.MODULE_NAME}] ⚠️ No accessible alternative found within ${searchRadius} cells`);
-            }
-            // Return original destination as fallback
-            return {
-                finalDestination: gridToPos,
-                pathDestination: gridToPos
-            };
-        }
+    stepCollidesWithWall(gridFromPos, gridToPos, token) {
+        return this.backendRegistry.collides(gridFromPos, gridToPos, token);
     }
 
     /**
      * Calculate pathfinding during drag operation
+     * Each leg between user-placed waypoints is routed separately and stitched into a single path
+     * Routes are the cheapest ones under the scene's terrain, not merely the shortest
+     * Gridless scenes are routed over the visibility graph of their walls instead, see calculateGridlessRoute
      * @param {Token} token - The token being dragged
      * @param {Object} startPos - Starting pixel position
      * @param {Object} targetPos - Target pixel position
-     * @returns {Array|null} Array of pixel waypoints or null if pathfinding failed
+     * @param {Object} [options] - Additional routing options
+     * @param {Array} [options.waypoints] - Intermediate pixel waypoints placed by the user during the drag
+     * @param {boolean} [options.isPreview] - Live drag preview, refused destinations are not announced
+     * @param {string} [options.movementAction] - Movement action of the drag, defaults to the token's active movement action
+     * @param {number} [options.budget] - Movement the token may spend, in grid spaces; the route stops at the last affordable cell
+     * @param {Set<string>} [options.ignoredTokenIds] - Tokens moving along with this one, which do not obstruct the route
+     * @param {Set<string>} [options.reservedCells] - Cell keys claimed by other tokens' destinations, the route may cross but not end there
+     * @param {boolean} [options.updateRuler] - Show the route on the token's ruler, on by default
+     * @param {string} [options.jobKey] - Key of the route's pathfinding job, defaults to the token's ID; a new route under
+     *        the same key cancels this one, so routes that must not supersede the token's drag preview use their own
+     * @param {Function} [options.onRefused] - Called with a ROUTE_REFUSAL_REASONS value when the route is vetoed or cancelled
+     * @returns {Promise<Object|null>} {path, cost, ghostPath} with the pixel waypoints, their weighted cost in grid spaces and
+     *          the pixel waypoints of the unaffordable remainder, or null if pathfinding failed, was refused, vetoed or cancelled
      */
-    async calculateDragPathfinding(token, startPos, targetPos) {
-        if (!this.routinglibReady || !window.routinglib) {
+    async calculateDragPathfinding(token, startPos, targetPos, options = {}) {
+        // Other modules may move the end points, change the options or veto the route
+        const { onRefused = () => {}, jobKey = token.id } = options;
+        const request = { start: startPos, end: targetPos, options: { ...options } };
+        if (Hooks.call(`${this.MODULE_NAME}.${ROUTING_HOOKS.PRE_CALCULATE_PATH}`, token, request) === false) {
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🚫 Route for ${token.name} was vetoed by a ${ROUTING_HOOKS.PRE_CALCULATE_PATH} hook`);
+            }
+            onRefused(ROUTE_REFUSAL_REASONS.VETOED);
+            return null;
+        }
+        ({ start: startPos, end: targetPos, options } = request);
+        
+        const { waypoints = [], isPreview = false, budget = Infinity, updateRuler = true } = options;
+        const movementAction = options.movementAction ?? token.document?.movementAction ?? "walk";
+        
+        if (!this.isPathfindingAvailable()) {
             if (this.settingsService.isDebugMode()) {
-                console.warn(`[${this.MODULE_NAME}] RoutingLib not ready - skipping pathfinding`);
+                console.warn(`[${this.MODULE_NAME}] No pathfinding backend ready - skipping pathfinding`);
             }
             return null;
         }
         
+        // Starting a new job supersedes any calculation still running under the same key
+        const job = this.startPathfindingJob(jobKey);
+        
         try {
+            const stops = [startPos, ...waypoints, targetPos];
+            
             // Add bounds checking to ensure coordinates are valid
-            if (!this.coordinateService.validateCoordinates(startPos) || 
-                !this.coordinateService.validateCoordinates(targetPos)) {
+            if (!stops.every(pos => this.coordinateService.validateCoordinates(pos))) {
                 if (this.settingsService.isDebugMode()) {
                     console.warn(`[${this.MODULE_NAME}] Invalid coordinates detected - skipping pathfinding`);
                 }
                 return null;
             }
             
+            // Gridless scenes are routed in straight lines around wall corners, not through virtual cells
+            if (this.gridlessRoutingService.isAvailable()) {
+                const gridlessRoute = this.calculateGridlessRoute(token, stops, movementAction, budget, isPreview);
+                return gridlessRoute && this.publishRoute(token, { ...gridlessRoute, options: options }, updateRuler);
+            }
+            
             // Get token data early for use throughout the function
             const tokenData = this.coordinateService.getTokenData(token);
             
             // Calculate pathfinding route
-            let gridFromPos, gridToPos;
+            let gridStops;
             try {
-                gridFromPos = this.coordinateService.pixelsToGridPosition(startPos, tokenData);
-                gridToPos = this.coordinateService.pixelsToGridPosition(targetPos, tokenData);
+                gridStops = stops.map(pos => this.coordinateService.pixelsToGridPosition(pos, tokenData));
             } catch (coordError) {
                 if (this.settingsService.isDebugMode()) {
                     console.warn(`[${this.MODULE_NAME}] Coordinate conversion failed:`, coordError);
@@ -181,123 +171,976 @@ export class PathfindingService {
             
             if (this.settingsService.isDebugMode()) {
                 console.log(`[${this.MODULE_NAME}] 📊 Calculating drag pathfinding:`);
-                console.log(`[${this.MODULE_NAME}]   Pixels: (${startPos.x}, ${startPos.y}) → (${targetPos.x}, ${targetPos.y})`);
-                console.log(`[${this.MODULE_NAME}]   Grid:   (${gridFromPos.x}, ${gridFromPos.y}) → (${gridToPos.x}, ${gridToPos.y})`);
+                console.log(`[${this.MODULE_NAME}]   Pixels: ${stops.map(p => `(${Math.round(p.x)}, ${Math.round(p.y)})`).join(' → ')}`);
+                console.log(`[${this.MODULE_NAME}]   Grid:   ${gridStops.map(p => `(${p.x}, ${p.y})`).join(' → ')}`);
+                console.log(`[${this.MODULE_NAME}]   Action: ${movementAction}`);
             }
             
-            // Calculate a reasonable maxDistance based on the actual move distance
-            const directDistance = this.coordinateService.calculateManhattanDistance(gridFromPos, gridToPos);
-            const maxSearchDistance2 = Math.min(
-                directDistance * 10 + 10, // Allow 3x detour plus buffer
-                this.settingsService.getMaxPathDistance(), // But respect user setting
-                300 // Hard limit to prevent runaway pathfinding
-            );
-
-            const maxSearchDistance = 1000
+            // The job travels with the rules, so cancelling it stops searches running in the background
+            const rules = { ...this.getRouteRules(token, movementAction, tokenData, options), job: job };
             
-            if (this.settingsService.isDebugMode()) {
-                console.log(`[${this.MODULE_NAME}] Direct distance: ${directDistance}, Max search: ${maxSearchDistance}`);
-            }
-
-            // Check if destination is blocked and find alternative if needed
-            const { finalDestination, pathDestination } = await this.findAccessibleDestination(gridFromPos, gridToPos, tokenData);
-
-            const result = await window.routinglib.calculatePath(gridFromPos, pathDestination, {
-                token: token,
-                maxDistance: maxSearchDistance
-            });
-
-            console.log(result);
+            // Route every leg and stitch them together, remembering where the user waypoints landed
+            const routePoints = [{ cell: gridStops[0], userWaypoint: false }];
             
-            if (result && result.path && result.path.length > 1) {
-                if (this.settingsService.isDebugMode()) {
-                    console.log(`[${this.MODULE_NAME}] 🛤️ Path calculated with ${result.path.length} waypoints`);
-                    console.log(`[${this.MODULE_NAME}] Raw grid path from routinglib:`, result.path.map(p => `(${p.x},${p.y})`).join(' → '));
-                }
+            for (let leg = 1; leg < gridStops.length; leg++) {
+                const isFinalLeg = leg === gridStops.length - 1;
                 
-                // Convert grid coordinates back to pixel coordinates using token data
-                let pixelPath = result.path.map(point => this.coordinateService.gridToPixelPosition(point, tokenData));
-                
-                // If we used an alternative destination, add the final segment to the original target
-                if (finalDestination.x !== pathDestination.x || finalDestination.y !== pathDestination.y) {
-                    const originalTargetPixel = this.coordinateService.gridToPixelPosition(finalDestination, tokenData);
-                    pixelPath.push(originalTargetPixel);
-                    
+                // A leg redirected by the blocked destination policy moves the start of the next one
+                const legStart = routePoints[routePoints.length - 1].cell;
+                const legPath = await this.calculateLegPath(token, legStart, gridStops[leg], tokenData, rules, isFinalLeg);
+                if (job.cancelled) {
                     if (this.settingsService.isDebugMode()) {
-                        console.log(`[${this.MODULE_NAME}] ➕ Added final segment to original destination (${finalDestination.x}, ${finalDestination.y})`);
+                        console.log(`[${this.MODULE_NAME}] ⏹️ Pathfinding job ${job.id} for ${token.name} was superseded, discarding result`);
                     }
+                    onRefused(ROUTE_REFUSAL_REASONS.CANCELLED);
+                    return null;
                 }
                 
-                if (this.settingsService.isDebugMode()) {
-                    console.log(`[${this.MODULE_NAME}] Converted pixel path:`, pixelPath.map(p => `(${Math.round(p.x)},${Math.round(p.y)})`).join(' → '));
+                if (!legPath) {
+                    if (!isPreview) {
+                        ui.notifications.warn(game.i18n.localize("ROUTING_TOKEN.Notifications.DestinationUnreachable"));
+                    }
+                    return null;
                 }
                 
-                // Update the token's ruler to show the calculated path
-                this.tokenMovementService.updateTokenRuler(token, pixelPath);
-                
-                // Return the calculated path
-                return pixelPath;
-                
-            } else {
-                // Create a direct path fallback
-                const directPath = await this.createDirectPathFallback(startPos, targetPos, tokenData);
-                
-                // Update the token's ruler to show the direct path
-                this.tokenMovementService.updateTokenRuler(token, directPath);
+                // Legs share their junction cell, so skip the first point of each leg
+                for (const cell of legPath.slice(1)) {
+                    const point = { cell: cell, userWaypoint: false };
+                    if (cell.squeezed) point.squeezed = true;
+                    routePoints.push(point);
+                }
+                if (!isFinalLeg) {
+                    routePoints[routePoints.length - 1].userWaypoint = true;
+                }
+            }
+            
+            // Movement pauses in front of every closed door on the route
+            this.markDoorStops(routePoints, tokenData, rules.doors);
+            this.markSqueezeBoundaries(routePoints);
+            
+            // The token stops at the first door this user may not open, so the ruler ends there too
+            let routeCells = routePoints;
+            const blockedDoorIndex = routePoints.findIndex(point => point.doorStop && !this.tokenMovementService.canOpenDoors(point.doorStop));
+            if (blockedDoorIndex !== -1) {
+                routeCells = routePoints.slice(0, blockedDoorIndex + 1);
                 
-                // Return the direct path
-                return directPath;
+                if (this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 🚪 Route ends at a closed door ${game.user.name} may not open`);
+                }
+            }
+            
+            // A limited budget ends the route at the last cell the token can afford, the rest is only shown
+            let ghostCells = [];
+            if (budget < Infinity) {
+                const lastAffordable = this.findLastAffordableIndex(routeCells, tokenData, rules, budget);
+                if (lastAffordable < routeCells.length - 1) {
+                    ghostCells = routeCells.slice(lastAffordable);
+                    
+                    // The token never reaches the door in front of the stop, so it must not open it
+                    const { doorStop, ...stop } = routeCells[lastAffordable];
+                    routeCells = [...routeCells.slice(0, lastAffordable), stop];
+                    
+                    if (this.settingsService.isDebugMode()) {
+                        console.log(`[${this.MODULE_NAME}] 💸 Budget of ${budget} grid spaces ends the route after ${lastAffordable} of ${routeCells.length + ghostCells.length - 2} steps`);
+                    }
+                }
             }
             
+            // The cost is measured cell by cell, before smoothing merges the cells into longer segments
+            const cost = this.measureRouteCost(routeCells.map(point => point.cell), tokenData, rules);
+            
+            // Collapse the one-waypoint-per-cell path into as few waypoints as the smoothing mode allows,
+            // then convert grid coordinates back to pixel coordinates using token data
+            const smoothedCells = this.smoothPath(routeCells, token, tokenData, rules);
+            this.markRouteCosts(smoothedCells, routeCells, tokenData, rules);
+            const pixelPath = this.toPixelPath(smoothedCells, tokenData, movementAction);
+            const ghostPath = ghostCells.length ? this.toPixelPath(this.smoothPath(ghostCells, token, tokenData, rules), tokenData, movementAction) : [];
+            
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] Converted pixel path:`, pixelPath.map(p => `(${Math.round(p.x)},${Math.round(p.y)})${p.userWaypoint ? '*' : ''}${p.doorStop ? '🚪' : ''}${p.squeezed ? '🤏' : ''}`).join(' → '));
+                console.log(`[${this.MODULE_NAME}] 💰 Weighted route cost: ${cost} grid spaces`);
+            }
+            
+            // Other modules may rewrite the route before it is shown
+            return this.publishRoute(token, { path: pixelPath, ghostPath: ghostPath, cost: cost, options: options }, updateRuler);
+            
         } catch (error) {
             if (this.settingsService.isDebugMode()) {
                 console.warn(`[${this.MODULE_NAME}] Drag pathfinding error:`, error);
             }
             return null;
+        } finally {
+            this.finishPathfindingJob(job);
         }
     }
 
     /**
-     * Create a normalized direct path fallback
-     * @param {Object} startPos - Starting pixel position
-     * @param {Object} targetPos - Target pixel position
-     * @param {Object} tokenData - Token data for coordinate conversion
-     * @returns {Array} Array of normalized waypoints
+     * Let other modules rewrite a calculated route, then show it on the token's ruler
+     * @param {Token} token - The routed token
+     * @param {Object} route - {path, ghostPath, cost, options} with pixel waypoints and the routing options
+     * @param {boolean} updateRuler - Show the route on the token's ruler
+     * @returns {Object} {path, cost, ghostPath} as left by the pathCalculated hooks
      */
-    async createDirectPathFallback(startPos, targetPos, tokenData) {
-        try {
-            const startGrid = this.coordinateService.pixelsToGridPosition(startPos, tokenData);
-            const targetGrid = this.coordinateService.pixelsToGridPosition(targetPos, tokenData);
+    publishRoute(token, route, updateRuler) {
+        Hooks.callAll(`${this.MODULE_NAME}.${ROUTING_HOOKS.PATH_CALCULATED}`, token, route);
+        
+        // Update the token's ruler to show the calculated path, with the unaffordable remainder faded
+        if (updateRuler) {
+            this.tokenMovementService.updateTokenRuler(token, route.path, route.ghostPath);
+        }
+        return { path: route.path, cost: route.cost, ghostPath: route.ghostPath };
+    }
+
+    /**
+     * Calculate a route on a gridless scene over the visibility graph of its walls
+     * Closed doors and climbable walls are crossed like on grids; other tokens, terrain regions and cost providers
+     * only exist as cells, so they are not considered
+     * @param {Token} token - The token being routed
+     * @param {Array} stops - Pixel positions of the start, the user waypoints and the target
+     * @param {string} movementAction - Movement action of the route
+     * @param {number} budget - Movement the token may spend, in grid spaces
+     * @param {boolean} isPreview - Live drag preview, refused destinations are not announced
+     * @returns {Object|null} {path, cost, ghostPath}, see calculateDragPathfinding, or null if the move is refused
+     */
+    calculateGridlessRoute(token, stops, movementAction, budget, isPreview) {
+        // The graph routes token centers, waypoints are top-left positions
+        const offset = { x: token.document.width * canvas.grid.size / 2, y: token.document.height * canvas.grid.size / 2 };
+        const centers = stops.map(pos => ({ x: pos.x + offset.x, y: pos.y + offset.y }));
+        const routeOptions = {
+            radius: this.gridlessRoutingService.getTokenRadius(token),
+            doors: this.getDoorRules(),
+            climbableWalls: this.terrainService.getClimbableWalls(movementAction)
+        };
+        
+        let points = [{ x: centers[0].x, y: centers[0].y, crossed: [] }];
+        for (let leg = 1; leg < centers.length; leg++) {
+            const legStart = points[points.length - 1];
+            const legRoute = this.gridlessRoutingService.findRoute(legStart, centers[leg], routeOptions) ??
+                this.resolveBlockedGridlessDestination(legStart, centers[leg], routeOptions);
+            if (!legRoute) {
+                if (!isPreview) {
+                    ui.notifications.warn(game.i18n.localize("ROUTING_TOKEN.Notifications.DestinationUnreachable"));
+                }
+                return null;
+            }
             
-            const normalizedStartPos = this.coordinateService.gridToPixelPosition(startGrid, tokenData);
-            const normalizedTargetPos = this.coordinateService.gridToPixelPosition(targetGrid, tokenData);
+            // Legs share their junction, which keeps the walls crossed on the way to the next corner
+            legStart.crossed = legRoute.points[0].crossed;
+            points.push(...legRoute.points.slice(1));
+            if (leg < centers.length - 1) {
+                points[points.length - 1].userWaypoint = true;
+            }
+        }
+        points = this.gridlessRoutingService.addDoorStops(points, routeOptions);
+        
+        // The token stops at the first door this user may not open, so the ruler ends there too
+        const getDoorStop = (point) => (point.crossed ?? []).filter(id => routeOptions.doors.has(id));
+        const blockedDoorIndex = points.findIndex(point => {
+            const doorStop = getDoorStop(point);
+            return doorStop.length > 0 && !this.tokenMovementService.canOpenDoors(doorStop);
+        });
+        if (blockedDoorIndex !== -1) {
+            points = points.slice(0, blockedDoorIndex + 1);
+        }
+        
+        // A limited budget ends the route where the token's movement runs out, the rest is only shown
+        let ghostPoints = [];
+        if (budget < Infinity) {
+            ({ points, remainder: ghostPoints } = this.gridlessRoutingService.splitRoute(points, budget, routeOptions));
+        }
+        const cost = this.gridlessRoutingService.measureRoute(points, routeOptions);
+        
+        const toPixel = (point) => {
+            const pixel = { x: Math.round(point.x - offset.x), y: Math.round(point.y - offset.y), action: movementAction };
+            if (point.userWaypoint) pixel.userWaypoint = true;
+            if (getDoorStop(point).length) pixel.doorStop = getDoorStop(point);
+            return pixel;
+        };
+        const path = points.map(toPixel);
+        const ghostPath = ghostPoints.map(toPixel);
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🕸️ Gridless route:`, path.map(p => `(${p.x},${p.y})${p.userWaypoint ? '*' : ''}${p.doorStop ? '🚪' : ''}`).join(' → '));
+            console.log(`[${this.MODULE_NAME}] 💰 Route cost: ${cost} grid spaces`);
+        }
+        return { path: path, cost: cost, ghostPath: ghostPath };
+    }
+
+    /**
+     * Apply the blocked destination policy to a gridless leg whose target cannot be reached
+     * @param {Object} from - Starting pixel position of the token's center
+     * @param {Object} to - Unreachable target pixel position of the token's center
+     * @param {Object} routeOptions - Route options, see GridlessRoutingService#findRoute
+     * @returns {Object|null} Route {points, cost} to the replacement destination, or null if refused
+     */
+    resolveBlockedGridlessDestination(from, to, routeOptions) {
+        const policy = this.settingsService.getBlockedDestinationPolicy();
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧭 Applying blocked destination policy "${policy}" on a gridless scene`);
+        }
+        
+        if (policy === "refuse") return null;
+        if (policy === "toward") {
+            return this.gridlessRoutingService.findRouteToward(from, to, routeOptions);
+        }
+        return this.gridlessRoutingService.findNearestRoute(from, to, routeOptions);
+    }
+
+    /**
+     * Collect the rules every route of a token follows
+     * Other tokens block, penalise or forbid ending on the cells they occupy, regions make terrain more or less costly
+     * and steer routes with their route preference behaviors, closed doors may be crossed at a cost, and the movement
+     * action decides where the token may go: swimmers stay in water, climbers scale climbable walls.
+     * Registered cost providers price every step on top of that, and a token larger than one cell may squeeze
+     * through narrow spaces when the squeeze setting allows it.
+     * Cell rules and allowed cells are keyed by the token's top-left cell and cover every cell the token covers there
+     * @param {Token} token - The token being routed
+     * @param {string} movementAction - Movement action of the route
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} [options] - Group movement options
+     * @param {Set<string>} [options.ignoredTokenIds] - Tokens that do not obstruct the route
+     * @param {Set<string>} [options.reservedCells] - Cell keys the route may cross but not end on
+     * @returns {Object} Route rules, see calculateGridPath
+     */
+    getRouteRules(token, movementAction, tokenData, options = {}) {
+        const cells = this.tokenObstacleService.getCellRules(token, options.ignoredTokenIds);
+        for (const key of options.reservedCells ?? []) {
+            cells.set(key, { blocked: false, penalty: 0, ...cells.get(key), noStop: true });
+        }
+        // Signed before terrain is added, regions are keyed by their version instead of cell by cell
+        const obstacleSignature = this.tokenObstacleService.getRulesSignature(cells);
+        this.terrainService.applyCostMultipliers(cells, movementAction, tokenData.elevation);
+        this.terrainService.applyRoutePreferences(cells, token, movementAction, tokenData.elevation);
+        const allowedCells = this.terrainService.getAllowedCells(movementAction, tokenData.elevation);
+        const footprint = this.getFootprintRules(cells, allowedCells, tokenData);
+        
+        return {
+            action: movementAction,
+            cells: footprint.cells,
+            doors: this.getDoorRules(),
+            allowedCells: footprint.allowedCells,
+            climbableWalls: this.terrainService.getClimbableWalls(movementAction),
+            stepCosts: this.costProviderRegistry.createStepCosts(token, movementAction),
+            squeeze: this.getSqueezeRule(tokenData, cells, allowedCells),
+            obstacleSignature: obstacleSignature,
+            terrainSignature: this.terrainService.getRulesSignature(token)
+        };
+    }
+
+    /**
+     * Get the squeeze rule of a route, tokens covering a single cell have nothing to squeeze
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Map} cells - Cell rules keyed by the cell they apply to
+     * @param {Set|null} allowedCells - Cell keys the route is confined to, null for the whole grid
+     * @returns {Object|null} {multiplier, cellRules, allowedCells} for squeezed steps, the rules keyed by the top-left cell
+     *          of the squeezed body, or null if the token may not squeeze
+     */
+    getSqueezeRule(tokenData, cells, allowedCells) {
+        if (!this.settingsService.isSqueezingEnabled()) return null;
+        if (this.coordinateService.getFootprintGridPositions({ x: 0, y: 0 }, tokenData).length < 2) return null;
+        
+        const body = this.getFootprintRules(cells, allowedCells, this.coordinateService.getSqueezedTokenData(tokenData));
+        return { multiplier: this.settingsService.getSqueezeCostMultiplier(), cellRules: body.cells, allowedCells: body.allowedCells };
+    }
+
+    /**
+     * Key cell rules by the top-left cell of a token covering several cells
+     * A position takes the most restrictive token rules, the highest terrain multiplier and the strongest route preferences
+     * of the cells the token covers there, and is allowed only if every covered cell is
+     * @param {Map} cells - Cell rules keyed by the cell they apply to
+     * @param {Set|null} allowedCells - Cell keys the route is confined to, null for the whole grid
+     * @param {Object} tokenData - Token data with width and height in grid spaces
+     * @returns {Object} {cells, allowedCells} keyed by the token's top-left cell
+     */
+    getFootprintRules(cells, allowedCells, tokenData) {
+        const footprint = this.coordinateService.getFootprintGridPositions({ x: 0, y: 0 }, tokenData);
+        if (footprint.length < 2) return { cells, allowedCells };
+        
+        // Every position whose footprint covers a ruled cell collects the rules of the cells it covers
+        const combined = new Map(); // top-left cell key -> {blocked, penalty, noStop, multiplier, lowest, highest, covered}
+        for (const [key, rule] of cells) {
+            const [x, y] = key.split(",").map(Number);
+            for (const offset of footprint) {
+                const anchor = this.coordinateService.getGridPositionKey({ x: x - offset.x, y: y - offset.y });
+                const entry = combined.get(anchor) ?? { blocked: false, penalty: 0, noStop: false, multiplier: 0, lowest: 1, highest: 1, covered: 0 };
+                combined.set(anchor, {
+                    blocked: entry.blocked || !!rule.blocked,
+                    penalty: Math.max(entry.penalty, rule.penalty ?? 0),
+                    noStop: entry.noStop || !!rule.noStop,
+                    multiplier: Math.max(entry.multiplier, rule.multiplier ?? 1),
+                    lowest: Math.min(entry.lowest, rule.preference ?? 1),
+                    highest: Math.max(entry.highest, rule.preference ?? 1),
+                    covered: entry.covered + 1
+                });
+            }
+        }
+        
+        const footprintCells = new Map();
+        for (const [key, entry] of combined) {
+            // Covered cells without a rule cost normal
+            const multiplier = entry.covered < footprint.length ? Math.max(entry.multiplier, 1) : entry.multiplier;
+            const rule = { blocked: entry.blocked, penalty: entry.penalty, noStop: entry.noStop };
+            if (multiplier !== 1) rule.multiplier = multiplier;
+            if (entry.lowest * entry.highest !== 1) rule.preference = entry.lowest * entry.highest;
+            footprintCells.set(key, rule);
+        }
+        
+        if (!allowedCells) return { cells: footprintCells, allowedCells: null };
+        const footprintAllowed = new Set();
+        for (const key of allowedCells) {
+            const [x, y] = key.split(",").map(Number);
+            if (footprint.every(offset => allowedCells.has(this.coordinateService.getGridPositionKey({ x: x + offset.x, y: y + offset.y })))) {
+                footprintAllowed.add(key);
+            }
+        }
+        return { cells: footprintCells, allowedCells: footprintAllowed };
+    }
+
+    /**
+     * Calculate the grid path for a single leg of a route
+     * Unreachable leg targets, and final targets the route may not end on, are handled by the blocked destination policy
+     * @param {Token} token - The token being routed
+     * @param {Object} gridFromPos - Starting grid position of the leg
+     * @param {Object} gridToPos - Target grid position of the leg
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @param {boolean} isFinalLeg - Whether this leg ends at the drop position
+     * @returns {Promise<Array|null>} Grid path including both ends, or null if the policy refuses the move
+     */
+    async calculateLegPath(token, gridFromPos, gridToPos, tokenData, rules, isFinalLeg) {
+        // Calculate a reasonable maxDistance based on the actual move distance, measured with the scene's grid rules
+        const directDistance = this.coordinateService.getGridDistance(gridFromPos, gridToPos);
+        const maxSearchDistance = Math.min(
+            directDistance * 10 + 10, // Allow generous detours plus buffer
+            this.settingsService.getMaxPathDistance() // But respect user setting
+        );
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] Direct distance: ${directDistance}, Max search: ${maxSearchDistance}`);
+        }
+
+        // The route may cross a friendly token's cell but not stop on it
+        if (isFinalLeg && rules.cells.get(this.coordinateService.getGridPositionKey(gridToPos))?.noStop) {
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🚫 Destination (${gridToPos.x},${gridToPos.y}) is occupied by another token`);
+            }
+            return await this.resolveBlockedDestination(token, gridFromPos, gridToPos, tokenData, maxSearchDistance, rules);
+        }
+        
+        const result = await this.calculateGridPath(token, gridFromPos, gridToPos, tokenData, maxSearchDistance, rules);
+        if (rules.job?.cancelled) return null;
+        
+        if (!result?.path?.length) {
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🚫 No route found for leg (${gridFromPos.x},${gridFromPos.y}) → (${gridToPos.x},${gridToPos.y})`);
+            }
+            return await this.resolveBlockedDestination(token, gridFromPos, gridToPos, tokenData, maxSearchDistance, rules);
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🛤️ Path calculated with ${result.path.length} waypoints`);
+            console.log(`[${this.MODULE_NAME}] Raw grid path from ${result.backendId}:`, result.path.map(p => `(${p.x},${p.y})`).join(' → '));
+        }
+        
+        return [...result.path];
+    }
+
+    /**
+     * Apply the blocked destination policy to a leg whose target cannot be reached
+     * "nearest" routes to the reachable cell closest to the target, "toward" walks the straight
+     * line until the first wall and "refuse" cancels the move
+     * @param {Token} token - The token being routed
+     * @param {Object} gridFromPos - Starting grid position of the leg
+     * @param {Object} gridToPos - Unreachable target grid position
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {number} maxDistance - Maximum search distance
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @returns {Promise<Array|null>} Grid path to the replacement destination, or null if refused
+     */
+    async resolveBlockedDestination(token, gridFromPos, gridToPos, tokenData, maxDistance, rules) {
+        const policy = this.settingsService.getBlockedDestinationPolicy();
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧭 Applying blocked destination policy "${policy}"`);
+        }
+        
+        if (policy === "refuse") return null;
+        
+        if (policy === "toward") {
+            return this.reachabilityService.findFarthestCellToward(gridFromPos, gridToPos, token, {
+                cellRules: rules.cells,
+                allowedCells: rules.allowedCells,
+                stepCosts: rules.stepCosts,
+                doorRules: rules.doors,
+                climbableWalls: rules.climbableWalls
+            }).path;
+        }
+        
+        const nearest = this.reachabilityService.findNearestReachableCell(gridFromPos, gridToPos, token, {
+            maxCost: maxDistance,
+            cellRules: rules.cells,
+            allowedCells: rules.allowedCells,
+            stepCosts: rules.stepCosts,
+            doorRules: rules.doors,
+            climbableWalls: rules.climbableWalls
+        });
+        
+        // Prefer the backend's route to the replacement cell, the flood fill path is the fallback
+        const result = await this.calculateGridPath(token, gridFromPos, nearest.cell, tokenData, maxDistance, rules);
+        return result?.path?.length ? [...result.path] : nearest.path;
+    }
+
+    /**
+     * Record on the waypoints left by smoothing what the route costs up to each of them,
+     * so combat movement is accounted exactly like the route was priced
+     * @param {Array} points - Route points kept by smoothing
+     * @param {Array} routePoints - Route points {cell}, one per cell, the points kept by smoothing among them
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} rules - Route rules, see calculateGridPath
+     */
+    markRouteCosts(points, routePoints, tokenData, rules) {
+        const cells = routePoints.map(point => point.cell);
+        for (const point of points) {
+            point.routeCost = this.measureRouteCost(cells.slice(0, routePoints.indexOf(point) + 1), tokenData, rules);
+        }
+    }
+
+    /**
+     * Convert route points to pixel waypoints
+     * @param {Array} points - Route points {cell, userWaypoint, doorStop, squeezed, routeCost}
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {string} movementAction - Movement action every waypoint is made with
+     * @returns {Array} Pixel waypoints {x, y, action, userWaypoint, doorStop, squeezed, routeCost}
+     */
+    toPixelPath(points, tokenData, movementAction) {
+        return points.map(point => {
+            const pixel = { ...this.coordinateService.gridToPixelPosition(point.cell, tokenData), action: movementAction };
+            if (point.userWaypoint) pixel.userWaypoint = true;
+            if (point.doorStop) pixel.doorStop = point.doorStop;
+            if (point.squeezed) pixel.squeezed = true;
+            if (point.routeCost !== undefined) pixel.routeCost = point.routeCost;
+            return pixel;
+        });
+    }
+
+    /**
+     * Find the last route point a token can afford with a movement budget
+     * Route costs never decrease as the route grows, so the prefixes are searched by bisection
+     * The token never stops on a cell it may only cross, so such cells are backed off
+     * @param {Array} points - Route points {cell}, one per cell
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @param {number} budget - Movement the token may spend, in grid spaces
+     * @returns {number} Index of the last affordable route point, 0 if not even the first step is affordable
+     */
+    findLastAffordableIndex(points, tokenData, rules, budget) {
+        const cells = points.map(point => point.cell);
+        let low = 0;
+        let high = cells.length - 1;
+        
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.measureRouteCost(cells.slice(0, middle + 1), tokenData, rules) <= budget + 1e-6) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        while (low > 0 && this.getPositionRule(cells[low], rules)?.noStop) low--;
+        return low;
+    }
+
+    /**
+     * Measure the cost of a route under the route rules
+     * Steps are priced with the scene's grid rules, multiplied by the terrain of the entered cell, the cost providers
+     * and squeezing, plus token penalties, provider costs and the cost of closed doors crossed on the way;
+     * route preferences are not a cost
+     * @param {Array} cells - Grid positions of the route, one per cell, marked squeezed where the token squeezed in
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @returns {number} Weighted cost in grid spaces
+     */
+    measureRouteCost(cells, tokenData, rules) {
+        let cost = this.coordinateService.measurePathDistance(cells);
+        
+        for (let index = 1; index < cells.length; index++) {
+            const rule = this.getPositionRule(cells[index], rules);
+            const step = rules.stepCosts?.getStepCost(cells[index - 1], cells[index]);
+            const squeezeMultiplier = cells[index].squeezed ? (rules.squeeze?.multiplier ?? 1) : 1;
+            if (rule || step || squeezeMultiplier !== 1) {
+                const multiplier = (rule?.multiplier ?? 1) * (step?.multiplier ?? 1) * squeezeMultiplier;
+                cost += this.coordinateService.getStepCost(cells[index - 1], cells[index]) * (multiplier - 1) + (rule?.penalty ?? 0) + (step?.cost ?? 0);
+            }
+            if (rules.doors?.size) {
+                for (const id of this.coordinateService.getCrossedWalls(cells[index - 1], cells[index], rules.doors, tokenData)) {
+                    cost += rules.doors.get(id).cost;
+                }
+            }
+        }
+        return cost;
+    }
+
+    /**
+     * Get the cell rule a token answers to at a route position
+     * A squeezed token only covers the cells of its smaller body, whose rules the squeeze rule carries
+     * @param {Object} cell - Grid position {x, y}, marked squeezed with a squeezeOffset where the token squeezed in
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @returns {Object|undefined} The cell rule
+     */
+    getPositionRule(cell, rules) {
+        if (!cell.squeezeOffset || !rules.squeeze) return rules.cells?.get(this.coordinateService.getGridPositionKey(cell));
+        return rules.squeeze.cellRules?.get(this.coordinateService.getGridPositionKey({ x: cell.x + cell.squeezeOffset.x, y: cell.y + cell.squeezeOffset.y }));
+    }
+
+    /**
+     * Post-process a grid path according to the smoothing setting
+     * "collinear" merges steps that keep the same direction, "lineOfSight" also skips
+     * waypoints that can be bypassed in a straight, unobstructed line
+     * The start, the end, user waypoints, door stops and the ends of squeezed stretches are always kept
+     * @param {Array} points - Route points {cell, userWaypoint}
+     * @param {Token} token - The token being routed
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} [rules] - Route rules, see calculateGridPath
+     * @returns {Array} Remaining route points
+     */
+    smoothPath(points, token, tokenData, rules = {}) {
+        const mode = this.settingsService.getPathSmoothingMode();
+        if (mode === "off" || points.length < 3) return points;
+        
+        let smoothed = this.removeCollinearPoints(points, tokenData);
+        if (mode === "lineOfSight") {
+            smoothed = this.pullString(smoothed, token, rules);
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] ✂️ Path smoothing (${mode}): ${points.length} → ${smoothed.length} waypoints`);
+        }
+        return smoothed;
+    }
+
+    /**
+     * Drop waypoints that lie on a straight line between their neighbours
+     * Directions are compared in pixel space so the test also holds on hex grids
+     * @param {Array} points - Route points {cell, userWaypoint}
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @returns {Array} Remaining route points
+     */
+    removeCollinearPoints(points, tokenData) {
+        const pixels = points.map(point => this.coordinateService.gridToPixelPosition(point.cell, tokenData));
+        const result = [points[0]];
+        
+        for (let index = 1; index < points.length - 1; index++) {
+            if (this.isRouteAnchor(points[index])) {
+                result.push(points[index]);
+                continue;
+            }
             
-            const directPath = [normalizedStartPos, normalizedTargetPos];
+            const previous = pixels[index - 1];
+            const current = pixels[index];
+            const next = pixels[index + 1];
+            const ax = current.x - previous.x;
+            const ay = current.y - previous.y;
+            const bx = next.x - current.x;
+            const by = next.y - current.y;
+            const cross = ax * by - ay * bx;
+            const dot = ax * bx + ay * by;
             
-            if (this.settingsService.isDebugMode()) {
-                console.log(`[${this.MODULE_NAME}] 🎯 No complex path found, using normalized direct path:`);
-                console.log(`[${this.MODULE_NAME}]   Original: (${Math.round(startPos.x)},${Math.round(startPos.y)}) → (${Math.round(targetPos.x)},${Math.round(targetPos.y)})`);
-                console.log(`[${this.MODULE_NAME}]   Grid: (${startGrid.x},${startGrid.y}) → (${targetGrid.x},${targetGrid.y})`);
-                console.log(`[${this.MODULE_NAME}]   Normalized: (${Math.round(normalizedStartPos.x)},${Math.round(normalizedStartPos.y)}) → (${Math.round(normalizedTargetPos.x)},${Math.round(normalizedTargetPos.y)})`);
+            // Keep the waypoint whenever the direction changes
+            if (Math.abs(cross) > 1e-6 * Math.hypot(ax, ay) * Math.hypot(bx, by) || dot <= 0) {
+                result.push(points[index]);
+            }
+        }
+        
+        result.push(points[points.length - 1]);
+        return result;
+    }
+
+    /**
+     * Skip waypoints that can be bypassed in a straight line without crossing a wall
+     * A shortcut is only taken if it costs no more than the steps it replaces, so the
+     * grid-measured cost of the movement is unchanged for systems that price every cell
+     * Shortcuts never cut through cells occupied by other tokens, costly terrain or steps priced by a cost provider,
+     * nor leave the cells the movement action is confined to
+     * @param {Array} points - Route points {cell, userWaypoint}
+     * @param {Token} token - The token being routed
+     * @param {Object} [rules] - Route rules, see calculateGridPath
+     * @returns {Array} Remaining route points
+     */
+    pullString(points, token, rules = {}) {
+        const result = [points[0]];
+        let anchor = 0;
+        
+        while (anchor < points.length - 1) {
+            // Never shortcut past a user waypoint, a door stop or the end of a squeezed stretch
+            let limit = anchor + 1;
+            while (limit < points.length - 1 && !this.isRouteAnchor(points[limit])) limit++;
+            
+            // Take the farthest reachable point, falling back to the next one
+            let next = anchor + 1;
+            for (let candidate = limit; candidate > anchor + 1; candidate--) {
+                const replacedCells = points.slice(anchor, candidate + 1).map(point => point.cell);
+                const replacedCost = this.coordinateService.measurePathDistance(replacedCells);
+                const directCost = this.coordinateService.measurePathDistance([points[anchor].cell, points[candidate].cell]);
+                if (directCost > replacedCost + 1e-6) continue;
+                if (this.segmentCrossesCellRules(points[anchor].cell, points[candidate].cell, rules)) continue;
+                
+                if (this.stepCollidesWithWall(points[anchor].cell, points[candidate].cell, token) === false) {
+                    next = candidate;
+                    break;
+                }
+            }
+            
+            result.push(points[next]);
+            anchor = next;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Check if a route point must survive smoothing
+     * @param {Object} point - Route point {cell, userWaypoint, doorStop, squeezeBoundary}
+     * @returns {boolean}
+     */
+    isRouteAnchor(point) {
+        return point.userWaypoint === true || !!point.doorStop || point.squeezeBoundary === true;
+    }
+
+    /**
+     * Get the closed doors a route may cross, according to the closed door setting
+     * Locked doors always block and secret doors are only known to a GM
+     * @returns {Map} Wall ID -> {cost, c} for every crossable closed door
+     */
+    getDoorRules() {
+        const doors = new Map();
+        if (this.settingsService.getClosedDoorMode() !== "cost") return doors;
+        
+        const cost = this.settingsService.getClosedDoorCost();
+        for (const wall of canvas.walls?.doors ?? []) {
+            if (this.isCrossableDoor(wall)) {
+                doors.set(wall.id, { cost: cost, c: wall.document.c });
+            }
+        }
+        return doors;
+    }
+
+    /**
+     * Check if a closed door may be routed through by the current user
+     * @param {Wall} wall - A door wall
+     * @returns {boolean}
+     */
+    isCrossableDoor(wall) {
+        const { door, ds } = wall.document;
+        if (ds !== CONST.WALL_DOOR_STATES.CLOSED) return false;
+        if (door === CONST.WALL_DOOR_TYPES.SECRET) return game.user.isGM;
+        return door === CONST.WALL_DOOR_TYPES.DOOR;
+    }
+
+    /**
+     * Mark the route points in front of closed doors with the doors crossed by the next step
+     * @param {Array} points - Route points {cell, userWaypoint}
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Map} doorRules - Crossable closed doors from getDoorRules
+     */
+    markDoorStops(points, tokenData, doorRules) {
+        if (!doorRules?.size) return;
+        
+        for (let index = 1; index < points.length; index++) {
+            const crossed = this.coordinateService.getCrossedWalls(points[index - 1].cell, points[index].cell, doorRules, tokenData);
+            if (crossed.length) {
+                points[index - 1].doorStop = crossed;
+            }
+        }
+    }
+
+    /**
+     * Mark the route points where a squeezed stretch starts or ends, so smoothing keeps the stretch apart
+     * and the ruler highlights exactly the squeezed segments
+     * @param {Array} points - Route points {cell, userWaypoint, squeezed}
+     */
+    markSqueezeBoundaries(points) {
+        for (let index = 0; index < points.length - 1; index++) {
+            if (!!points[index].squeezed !== !!points[index + 1].squeezed) {
+                points[index].squeezeBoundary = true;
             }
+        }
+    }
+
+    /**
+     * Check if the straight grid line between two cells enters a cell with a rule, a cell outside the allowed cells,
+     * or takes a step a cost provider prices differently
+     * @param {Object} a - Grid position {x, y}
+     * @param {Object} b - Grid position {x, y}
+     * @param {Object} rules - Route rules, see calculateGridPath
+     * @returns {boolean}
+     */
+    segmentCrossesCellRules(a, b, rules) {
+        const { cells = null, allowedCells = null, stepCosts = null } = rules;
+        if (!cells?.size && !allowedCells && !stepCosts) return false;
+        const line = canvas.grid.getDirectPath([{ i: a.y, j: a.x }, { i: b.y, j: b.x }]).map(offset => ({ x: offset.j, y: offset.i }));
+        return line.slice(1).some((cell, index) => {
+            const key = this.coordinateService.getGridPositionKey(cell);
+            if (cells?.has(key) || (allowedCells && !allowedCells.has(key))) return true;
+            const step = stepCosts?.getStepCost(line[index], cell);
+            return !!step && (step.blocked || step.multiplier !== 1 || step.cost !== 0);
+        });
+    }
+
+    /**
+     * Calculate a grid path with the registered backends, reusing cached routes for the current scene
+     * @param {Token} token - The token being routed
+     * @param {Object} gridFromPos - Starting grid position
+     * @param {Object} gridToPos - Target grid position
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {number} maxDistance - Maximum search distance
+     * @param {Object} [rules] - Route rules
+     * @param {Map} [rules.cells] - Cell key -> {blocked, penalty, noStop, multiplier, preference} for the positions of the token's
+     *        top-left cell where it covers other tokens, terrain or route preference regions
+     * @param {Map} [rules.doors] - Wall ID -> {cost} for closed doors the route may cross
+     * @param {Set} [rules.allowedCells] - Keys of the top-left cell positions the route is confined to, null for the whole grid
+     * @param {Map} [rules.climbableWalls] - Wall ID -> {cost} for walls a climbing token may cross
+     * @param {string} [rules.action] - Movement action the route is calculated for
+     * @param {Object} [rules.stepCosts] - Step costs of the registered cost providers, null if none is registered
+     * @param {Object} [rules.squeeze] - {multiplier, cellRules, allowedCells} for squeezed steps, null if the token may not squeeze
+     * @param {string} [rules.obstacleSignature] - Cache key part for the cells of other tokens and reserved cells
+     * @param {string} [rules.terrainSignature] - Cache key part for the regions' terrain and route preferences
+     * @param {Object} [rules.job] - Pathfinding job of the route, a cancelled job's searches are abandoned and not cached
+     * @returns {Promise<Object|null>} {path, cost, backendId}, or null if no route exists
+     */
+    async calculateGridPath(token, gridFromPos, gridToPos, tokenData, maxDistance, rules = {}) {
+        const sceneId = token.document?.parent?.id ?? canvas.scene?.id;
+        const cacheKey = this.getPathCacheKey(token, gridFromPos, gridToPos, tokenData, rules);
+        
+        // A failed search only answers searches limited no further than it was
+        let sceneCache = this.pathCache.get(sceneId);
+        const entry = sceneCache?.get(cacheKey);
+        if (entry && (!entry.failed || maxDistance <= entry.maxDistance)) {
+            const cached = entry.failed ? null : entry;
+            
+            // Re-insert so frequently used routes are evicted last
+            sceneCache.delete(cacheKey);
+            sceneCache.set(cacheKey, entry);
+            this.pathCacheStats.hits++;
             
-            return directPath;
-        } catch (normalizeError) {
             if (this.settingsService.isDebugMode()) {
-                console.warn(`[${this.MODULE_NAME}] Failed to normalize direct path coordinates:`, normalizeError);
+                console.log(`[${this.MODULE_NAME}] 💾 Path cache hit for ${cacheKey} (hit rate ${this.formatCacheHitRate()})`);
             }
-            // Fallback to original coordinates if normalization fails
-            return [startPos, targetPos];
+            return cached;
+        }
+        
+        this.pathCacheStats.misses++;
+        const generation = this.getPathCacheGeneration(sceneId);
+        
+        const result = await this.backendRegistry.findPath(gridFromPos, gridToPos, {
+            token: token,
+            tokenData: tokenData,
+            maxCost: maxDistance,
+            cellRules: rules.cells ?? null,
+            doorRules: rules.doors ?? null,
+            allowedCells: rules.allowedCells ?? null,
+            climbableWalls: rules.climbableWalls ?? null,
+            stepCosts: rules.stepCosts ?? null,
+            squeeze: rules.squeeze ?? null,
+            jobId: rules.job?.id ?? null
+        });
+        
+        // A search stopped by a newer drag says nothing about the route, so it is not cached
+        if (rules.job?.cancelled) return null;
+        
+        // Failed searches are cached too, they are the most expensive ones to repeat, together with their search limit
+        const cached = result?.path ? { path: result.path, cost: result.cost, backendId: result.backendId } : null;
+        
+        // A route searched across an invalidation may be stale, so it is returned but not cached
+        if (this.getPathCacheGeneration(sceneId) !== generation) return cached;
+        
+        sceneCache = this.pathCache.get(sceneId);
+        if (!sceneCache) {
+            sceneCache = new Map();
+            this.pathCache.set(sceneId, sceneCache);
+        }
+        sceneCache.set(cacheKey, cached ?? { failed: true, maxDistance: maxDistance });
+        if (sceneCache.size > MAX_CACHED_ROUTES_PER_SCENE) {
+            sceneCache.delete(sceneCache.keys().next().value);
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 💾 Path cache miss for ${cacheKey} (hit rate ${this.formatCacheHitRate()}, ${sceneCache.size} routes cached)`);
+        }
+        return cached;
+    }
+
+    /**
+     * Build the cache key for a route
+     * Routes depend on the start and end cells, the token footprint, its elevation, the preferred backend,
+     * the movement action, the cells occupied by other tokens or reserved, the region version, the closed doors that may
+     * be crossed, the squeeze rule and, with cost providers registered, the token itself
+     * Terrain, route preferences and water cells follow from the regions, climbable walls from the action and the walls
+     * @param {Token} token - The token being routed
+     * @param {Object} gridFromPos - Starting grid position
+     * @param {Object} gridToPos - Target grid position
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {Object} [rules] - Route rules, see calculateGridPath
+     * @returns {string} Cache key
+     */
+    getPathCacheKey(token, gridFromPos, gridToPos, tokenData, rules = {}) {
+        const width = tokenData?.width ?? token.document?.width ?? 1;
+        const height = tokenData?.height ?? token.document?.height ?? 1;
+        const elevation = tokenData?.elevation ?? token.document?.elevation ?? 0;
+        const backendId = this.backendRegistry.getActiveBackendId({
+            cellRules: rules.cells?.size > 0 || !!rules.allowedCells,
+            blockedCells: !!rules.allowedCells || Array.from(rules.cells?.values() ?? []).some(rule => rule.blocked),
+            doorRules: rules.doors?.size > 0 || rules.climbableWalls?.size > 0,
+            stepCosts: !!rules.stepCosts,
+            squeeze: !!rules.squeeze
+        });
+        const doors = rules.doors?.size ? Array.from(rules.doors, ([id, door]) => `${id}:${door.cost}`).sort().join(';') : "";
+        return `${gridFromPos.x},${gridFromPos.y}>${gridToPos.x},${gridToPos.y}|${width}x${height}@${elevation}|${rules.action ?? "walk"}|${backendId}|${rules.obstacleSignature ?? ""}|${rules.terrainSignature ?? ""}|${doors}|${rules.stepCosts?.signature ?? ""}|${rules.squeeze?.multiplier ?? ""}`;
+    }
+
+    /**
+     * Invalidate cached routes
+     * @param {string|null} sceneId - Scene whose routes are stale, or null to clear every scene
+     * @param {string} reason - Why the cache was invalidated (for debugging)
+     */
+    invalidatePathCache(sceneId = null, reason = "manual") {
+        // Bumped even when nothing is cached yet, a search may be running for the scene
+        this.pathCacheGenerations.set(sceneId, (this.pathCacheGenerations.get(sceneId) ?? 0) + 1);
+        
+        if (sceneId) {
+            if (!this.pathCache.delete(sceneId)) return;
+        } else {
+            if (this.pathCache.size === 0) return;
+            this.pathCache.clear();
+        }
+        this.pathCacheStats.invalidations++;
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧹 Path cache invalidated (${reason})${sceneId ? ` for scene ${sceneId}` : ''}`);
         }
     }
 
+    /**
+     * Get how often a scene's cached routes were invalidated
+     * @param {string} sceneId - Scene ID
+     * @returns {string} Generation covering invalidations of the scene and of every scene
+     */
+    getPathCacheGeneration(sceneId) {
+        return `${this.pathCacheGenerations.get(null) ?? 0}:${this.pathCacheGenerations.get(sceneId) ?? 0}`;
+    }
+
+    /**
+     * Get path cache statistics
+     * @returns {Object} Hits, misses, invalidations, hit rate and number of cached routes
+     */
+    getPathCacheStats() {
+        const { hits, misses, invalidations } = this.pathCacheStats;
+        let entries = 0;
+        for (const sceneCache of this.pathCache.values()) {
+            entries += sceneCache.size;
+        }
+        return {
+            hits,
+            misses,
+            invalidations,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            entries
+        };
+    }
+
+    /**
+     * Format the cache hit rate for debug output
+     * @returns {string} Hit rate with the raw counters
+     */
+    formatCacheHitRate() {
+        const { hits, misses, hitRate } = this.getPathCacheStats();
+        return `${Math.round(hitRate * 100)}%, ${hits}/${hits + misses}`;
+    }
+
     /**
      * Move token through waypoints (delegates to token movement service)
      * @param {Token} token - The token to move
      * @param {Array} pixelPath - Array of pixel coordinates for waypoints
+     * @param {Object} [options] - Movement options, see TokenMovementService#moveTokenThroughWaypoints
+     */
+    async moveTokenThroughWaypoints(token, pixelPath, options = {}) {
+        return await this.tokenMovementService.moveTokenThroughWaypoints(token, pixelPath, options);
+    }
+
+    /**
+     * Keep the wall snapshots of background backends and the gridless visibility graphs in step with a created,
+     * changed or deleted wall
+     * @param {WallDocument} wallDocument
+     * @param {boolean} [removed] - Whether the wall was deleted
+     */
+    updateWallSnapshot(wallDocument, removed = false) {
+        this.backendRegistry.updateWall(wallDocument, removed);
+        this.gridlessRoutingService.updateWall(wallDocument, removed);
+    }
+
+    /**
+     * Drop the scene snapshots of background backends and the gridless visibility graphs when the viewed scene is left
+     */
+    resetSceneSnapshots() {
+        this.backendRegistry.resetScene();
+        this.gridlessRoutingService.resetScene();
+    }
+
+    /**
+     * Register a new pathfinding job, cancelling the one already in flight under the same key
+     * @param {string} jobKey - The token's ID, or a key of its own for routes that must not supersede the token's others
+     * @returns {Object} Job handle with id, key, cancelled flag and cancel()
+     */
+    startPathfindingJob(jobKey) {
+        this.cancelPathfindingJob(jobKey);
+        
+        const job = {
+            id: this.nextJobId++,
+            key: jobKey,
+            cancelled: false,
+            cancel: () => {
+                job.cancelled = true;
+                this.backendRegistry.cancelJob(job.id);
+            }
+        };
+        this.activePathfindingJobs.set(jobKey, job);
+        return job;
+    }
+
+    /**
+     * Remove a finished job, unless it has already been replaced by a newer one
+     * @param {Object} job - Job handle returned by startPathfindingJob
+     */
+    finishPathfindingJob(job) {
+        if (this.activePathfindingJobs.get(job.key) === job) {
+            this.activePathfindingJobs.delete(job.key);
+        }
+    }
+
+    /**
+     * Cancel the active pathfinding job for a token, if any
+     * @param {string} tokenId - The token's ID
+     */
+    cancelPathfindingJob(tokenId) {
+        const job = this.activePathfindingJobs.get(tokenId);
+        if (!job) return;
+        
+        try {
+            job.cancel();
+        } catch (error) {
+            console.warn(`[${this.MODULE_NAME}] Error canceling pathfinding job for token ${tokenId}:`, error);
+        }
+        this.activePathfindingJobs.delete(tokenId);
+    }
+
+    /**
+     * Check if a token has a pathfinding calculation in flight
+     * @param {string} tokenId - The token's ID
+     * @returns {boolean}
      */
-    async moveTokenThroughWaypoints(token, pixelPath) {
-        return await this.tokenMovementService.moveTokenThroughWaypoints(token, pixelPath);
+    hasActivePathfindingJob(tokenId) {
+        return this.activePathfindingJobs.has(tokenId);
     }
 
     /**
@@ -0,0 +1,401 @@
+/**
+ * Patrol Service for Smart Token Routing
+ * Walks tokens along patrol routes stored on their TokenDocument, for guards that keep walking a loop
+ *
+ * A patrol is stored in the token's flags as {waypoints, mode, trigger, interval, paused, index, direction}.
+ * Each leg is routed from the token's current position to the next waypoint, so a door that closes across
+ * the patrol is walked around. Patrols are run by the active GM only.
+ */
+
+/**
+ * How a patrol continues after its last waypoint
+ */
+export const PATROL_MODES = Object.freeze({
+    LOOP: "loop",
+    PING_PONG: "pingPong"
+});
+
+/**
+ * When a patrol walks its next leg
+ */
+export const PATROL_TRIGGERS = Object.freeze({
+    INTERVAL: "interval",
+    COMBAT_TURN: "combatTurn"
+});
+
+/**
+ * Seconds between two legs of an interval patrol when the token does not set its own interval
+ */
+export const DEFAULT_PATROL_INTERVAL_SECONDS = 5;
+
+export class PatrolService {
+    constructor(moduleName, settingsService, coordinateService, pathfindingService, tokenMovementService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.pathfindingService = pathfindingService;
+        this.tokenMovementService = tokenMovementService;
+        this.patrols = new Map(); // tokenId -> { timer, walking, reroute }
+        this.editing = null; // { token, waypoints, onPointerDown }
+        this.highlightLayer = `${moduleName}.patrol`;
+    }
+
+    /**
+     * Get the patrol stored on a token
+     * @param {TokenDocument} tokenDocument
+     * @returns {Object|null} Patrol with its defaults applied, or null if the token has no patrol route
+     */
+    getPatrol(tokenDocument) {
+        const patrol = tokenDocument?.getFlag(this.MODULE_NAME, "patrol");
+        if (!patrol?.waypoints?.length) return null;
+        
+        return {
+            mode: PATROL_MODES.LOOP,
+            trigger: PATROL_TRIGGERS.INTERVAL,
+            interval: DEFAULT_PATROL_INTERVAL_SECONDS,
+            paused: false,
+            index: 0,
+            direction: 1,
+            ...patrol
+        };
+    }
+
+    /**
+     * Check if this client runs the patrols
+     * @returns {boolean}
+     */
+    isPatrolRunner() {
+        return !!game.users.activeGM?.isSelf;
+    }
+
+    /**
+     * Get the runtime state of a token's patrol
+     * @param {string} tokenId
+     * @returns {Object} {timer, walking, reroute}
+     */
+    getPatrolState(tokenId) {
+        if (!this.patrols.has(tokenId)) {
+            this.patrols.set(tokenId, { timer: null, walking: false, reroute: false });
+        }
+        return this.patrols.get(tokenId);
+    }
+
+    /**
+     * Start the interval patrols of every token on the scene
+     */
+    startPatrols() {
+        for (const token of canvas.tokens?.placeables ?? []) {
+            this.schedulePatrol(token);
+        }
+    }
+
+    /**
+     * Schedule the next leg of a token's interval patrol, replacing any leg already scheduled
+     * Interval patrols rest while a combat is running
+     * @param {Token} token
+     */
+    schedulePatrol(token) {
+        if (!token) return;
+        this.cancelScheduledLeg(token.id);
+        if (!this.isPatrolRunner()) return;
+        
+        const patrol = this.getPatrol(token.document);
+        if (!patrol || patrol.paused || patrol.trigger !== PATROL_TRIGGERS.INTERVAL) return;
+        
+        const state = this.getPatrolState(token.id);
+        state.timer = setTimeout(async () => {
+            state.timer = null;
+            if (token.destroyed) return;
+            
+            // A leg that fails is retried on the next interval rather than ending the patrol
+            try {
+                if (!game.combat?.started) {
+                    await this.advancePatrol(token);
+                }
+            } catch (error) {
+                console.warn(`[${this.MODULE_NAME}] Patrol leg of ${token.name} failed:`, error);
+            } finally {
+                this.schedulePatrol(token);
+            }
+        }, Math.max(0, patrol.interval) * 1000);
+    }
+
+    /**
+     * Cancel the scheduled leg of a token's patrol, a leg already being walked is finished
+     * @param {string} tokenId
+     */
+    cancelScheduledLeg(tokenId) {
+        const state = this.patrols.get(tokenId);
+        if (state?.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+    }
+
+    /**
+     * Walk the next leg of a token's patrol and move on to the following waypoint
+     * @param {Token} token
+     * @returns {Promise<boolean>} True if the token reached the waypoint
+     */
+    async advancePatrol(token) {
+        const patrol = this.getPatrol(token.document);
+        if (!patrol || patrol.paused) return false;
+        
+        const index = Math.min(patrol.index, patrol.waypoints.length - 1);
+        if (!(await this.walkLeg(token, patrol.waypoints[index]))) return false;
+        
+        const next = this.getNextWaypoint(patrol, index);
+        await token.document.update({
+            [`flags.${this.MODULE_NAME}.patrol.index`]: next.index,
+            [`flags.${this.MODULE_NAME}.patrol.direction`]: next.direction
+        });
+        return true;
+    }
+
+    /**
+     * Find the waypoint a patrol heads for after reaching one
+     * @param {Object} patrol - Patrol, see getPatrol
+     * @param {number} index - Index of the waypoint reached
+     * @returns {Object} {index, direction}
+     */
+    getNextWaypoint(patrol, index) {
+        const count = patrol.waypoints.length;
+        if (patrol.mode !== PATROL_MODES.PING_PONG) {
+            return { index: (index + 1) % count, direction: 1 };
+        }
+        
+        // Turn around at either end of the route
+        let direction = patrol.direction < 0 ? -1 : 1;
+        if (index + direction < 0 || index + direction >= count) {
+            direction = -direction;
+        }
+        return { index: Math.max(0, Math.min(count - 1, index + direction)), direction: direction };
+    }
+
+    /**
+     * Route a token to a patrol waypoint and walk there
+     * The route is walked as one move; when a door closes on the way, the move ends at the next door it would open
+     * and the rest is routed again
+     * @param {Token} token
+     * @param {Object} target - Pixel position {x, y} of the waypoint
+     * @returns {Promise<boolean>} True if the token reached the waypoint
+     */
+    async walkLeg(token, target) {
+        const state = this.getPatrolState(token.id);
+        if (state.walking || this.tokenMovementService.isTokenAnimating(token.id)) return false;
+        
+        state.walking = true;
+        try {
+            let path = await this.routeTo(token, target);
+            while (path) {
+                state.reroute = false;
+                await this.tokenMovementService.moveTokenThroughWaypoints(token, path, {
+                    patrol: true,
+                    isInterrupted: () => state.reroute
+                });
+                
+                // A door that could not be opened ends the leg where the token stands
+                if (!state.reroute) break;
+                
+                if (this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 💂 A door closed across the patrol of ${token.name}, routing again`);
+                }
+                path = await this.routeTo(token, target);
+            }
+            return this.isAt(token, target);
+        } finally {
+            state.walking = false;
+        }
+    }
+
+    /**
+     * Calculate a patrol route from a token's position
+     * @param {Token} token
+     * @param {Object} target - Pixel position {x, y}
+     * @returns {Promise<Array|null>} Pixel waypoints, null if the token cannot get there or already is there
+     */
+    async routeTo(token, target) {
+        if (this.isAt(token, target)) return null;
+        
+        // An unreachable waypoint is retried on the next leg rather than announced
+        const result = await this.pathfindingService.calculateDragPathfinding(token, { x: token.document.x, y: token.document.y }, target, {
+            isPreview: true
+        });
+        return result?.path.length >= 2 ? result.path : null;
+    }
+
+    /**
+     * Check if a token stands on the grid cell of a pixel position
+     * @param {Token} token
+     * @param {Object} point - Pixel position {x, y}
+     * @returns {boolean}
+     */
+    isAt(token, point) {
+        const tokenData = this.coordinateService.getTokenData(token);
+        const current = this.coordinateService.pixelsToGridPosition({ x: token.document.x, y: token.document.y }, tokenData);
+        return this.coordinateService.getGridPositionKey(current) === this.coordinateService.getGridPositionKey(this.coordinateService.pixelsToGridPosition(point, tokenData));
+    }
+
+    /**
+     * Walk one leg of the patrol of the token whose combat turn starts
+     * @param {Combat} combat
+     */
+    async onCombatTurn(combat) {
+        const token = combat.combatant?.token?.object;
+        if (!token || !this.isPatrolRunner()) return;
+        
+        const patrol = this.getPatrol(token.document);
+        if (!patrol || patrol.trigger !== PATROL_TRIGGERS.COMBAT_TURN) return;
+        
+        await this.advancePatrol(token);
+    }
+
+    /**
+     * Reroute the patrols being walked after a door closed
+     */
+    onDoorClosed() {
+        for (const state of this.patrols.values()) {
+            if (state.walking) state.reroute = true;
+        }
+    }
+
+    /**
+     * Reschedule a token's patrol when its route or settings changed
+     * Progress updates written by the patrol itself are ignored
+     * @param {TokenDocument} tokenDocument - The updated token
+     * @param {Object} changes - The changes that were applied
+     */
+    onPatrolUpdate(tokenDocument, changes) {
+        const flags = changes.flags?.[this.MODULE_NAME];
+        if (!flags) return;
+        
+        const changed = "-=patrol" in flags || Object.keys(flags.patrol ?? {}).some(key => !["index", "direction"].includes(key));
+        if (changed) {
+            this.schedulePatrol(tokenDocument.object);
+        }
+    }
+
+    /**
+     * Pause or resume a token's patrol
+     * @param {Token} token
+     */
+    async togglePaused(token) {
+        const patrol = this.getPatrol(token.document);
+        if (!patrol) return;
+        
+        await token.document.setFlag(this.MODULE_NAME, "patrol", { paused: !patrol.paused });
+    }
+
+    /**
+     * Check if the patrol route of a token is being edited
+     * @param {Token} token
+     * @returns {boolean}
+     */
+    isEditing(token) {
+        return this.editing?.token.id === token.id;
+    }
+
+    /**
+     * Start or finish editing a token's patrol route
+     * While editing, clicking a cell adds a waypoint and right-clicking removes the last one
+     * @param {Token} token
+     */
+    async toggleEditing(token) {
+        if (this.isEditing(token)) {
+            await this.finishEditing();
+            return;
+        }
+        
+        await this.finishEditing();
+        const onPointerDown = this.onEditPointerDown.bind(this);
+        this.editing = {
+            token: token,
+            waypoints: [...(this.getPatrol(token.document)?.waypoints ?? [])],
+            onPointerDown: onPointerDown
+        };
+        canvas.stage.on("pointerdown", onPointerDown);
+        this.drawEditedRoute();
+        
+        ui.notifications.info(game.i18n.format("ROUTING_TOKEN.Notifications.PatrolEditing", { name: token.name }));
+    }
+
+    /**
+     * Add or remove a waypoint of the patrol route being edited
+     * Clicks on tokens are left alone, so tokens can still be selected while editing
+     * @param {PIXI.FederatedPointerEvent} event
+     */
+    onEditPointerDown(event) {
+        if (!this.editing || ![0, 2].includes(event.button)) return;
+        
+        const point = event.getLocalPosition(canvas.stage);
+        if (canvas.tokens.placeables.some(token => token.bounds.contains(point.x, point.y))) return;
+        
+        if (event.button === 2) {
+            this.editing.waypoints.pop();
+        } else {
+            const offset = canvas.grid.getOffset(point);
+            this.editing.waypoints.push(canvas.grid.getTopLeftPoint(offset));
+        }
+        this.drawEditedRoute();
+    }
+
+    /**
+     * Save the patrol route being edited, a route without waypoints removes the patrol
+     * The patrol restarts from its first waypoint
+     */
+    async finishEditing() {
+        if (!this.editing) return;
+        
+        const { token, waypoints, onPointerDown } = this.editing;
+        this.editing = null;
+        canvas.stage?.off("pointerdown", onPointerDown);
+        canvas.interface?.grid?.clearHighlightLayer(this.highlightLayer);
+        
+        if (token.destroyed) return;
+        if (!waypoints.length) {
+            await token.document.unsetFlag(this.MODULE_NAME, "patrol");
+            return;
+        }
+        
+        await token.document.setFlag(this.MODULE_NAME, "patrol", {
+            waypoints: waypoints.map(point => ({ x: point.x, y: point.y })),
+            index: 0,
+            direction: 1
+        });
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 💂 Saved a patrol route of ${waypoints.length} waypoints for ${token.name}`);
+        }
+    }
+
+    /**
+     * Highlight the waypoints of the patrol route being edited
+     */
+    drawEditedRoute() {
+        const grid = canvas.interface?.grid;
+        if (!grid) return;
+        
+        grid.addHighlightLayer(this.highlightLayer);
+        grid.clearHighlightLayer(this.highlightLayer);
+        
+        for (const point of this.editing?.waypoints ?? []) {
+            grid.highlightPosition(this.highlightLayer, { x: point.x, y: point.y, color: 0x3399ff, alpha: 0.5 });
+        }
+    }
+
+    /**
+     * Stop every patrol and any route being edited (cleanup)
+     * Legs already being walked are finished
+     */
+    stopAllPatrols() {
+        for (const tokenId of this.patrols.keys()) {
+            this.cancelScheduledLeg(tokenId);
+        }
+        this.patrols.clear();
+        
+        if (this.editing) {
+            canvas.stage?.off("pointerdown", this.editing.onPointerDown);
+            this.editing = null;
+        }
+    }
+}
\ No newline at end of file
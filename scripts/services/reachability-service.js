@@ -0,0 +1,208 @@
+/**
+ * Reachability Service for Smart Token Routing
+ * Flood fills the grid from a token's cell to find where it can actually go
+ */
+import { MinHeap } from './min-heap.js';
+
+/**
+ * Upper bound on cells visited by a single flood fill, protects the canvas from runaway searches
+ */
+const MAX_FLOOD_FILL_CELLS = 20000;
+
+export class ReachabilityService {
+    constructor(moduleName, settingsService, coordinateService, backendRegistry) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.backendRegistry = backendRegistry;
+    }
+
+    /**
+     * Flood fill the grid from a cell with Dijkstra's algorithm
+     * Every step is tested for walls, so only cells the token can walk to are reached; closed doors and climbable walls
+     * the route may cross are passed like routes pass them, doors at their cost
+     * @param {Object} start - Starting grid position {x, y}
+     * @param {Token} token - The token being routed
+     * @param {Object} [options] - Flood fill options
+     * @param {number} [options.maxCost] - Stop expanding beyond this path cost
+     * @param {number} [options.maxCells] - Stop after this many cells
+     * @param {Map} [options.cellRules] - Cell key -> {blocked, penalty, multiplier, preference} for cells occupied by other tokens or terrain
+     * @param {Set} [options.allowedCells] - Cell keys the flood fill is confined to, null for the whole grid
+     * @param {Object} [options.stepCosts] - Step costs of the registered cost providers, null if none is registered
+     * @param {Map} [options.doorRules] - Wall ID -> {cost, c} for closed doors that may be crossed
+     * @param {Map} [options.climbableWalls] - Wall ID -> {cost, c} for walls a climbing token may cross
+     * @param {boolean} [options.usePreferences] - Weight costs by route preferences, off to measure real movement cost
+     * @returns {Map} Cell key -> {cell, cost, previous} for every reached cell
+     */
+    computeCostField(start, token, options = {}) {
+        const { maxCost = Infinity, maxCells = MAX_FLOOD_FILL_CELLS, cellRules = null, allowedCells = null, stepCosts = null, usePreferences = true } = options;
+        const tokenData = this.coordinateService.getTokenData(token);
+        const passableWalls = this.getPassableWalls(options.doorRules, options.climbableWalls);
+        const startKey = this.coordinateService.getGridPositionKey(start);
+        const field = new Map([[startKey, { cell: start, cost: 0, previous: null }]]);
+        const settled = new Set();
+        const open = new MinHeap();
+        
+        open.push({ cell: start, key: startKey, f: 0 });
+        
+        while (open.size > 0 && settled.size < maxCells) {
+            const current = open.pop();
+            if (settled.has(current.key)) continue;
+            settled.add(current.key);
+            
+            for (const neighbor of this.coordinateService.getAdjacentGridPositions(current.cell)) {
+                const key = this.coordinateService.getGridPositionKey(neighbor);
+                if (settled.has(key)) continue;
+                
+                const rule = cellRules?.get(key);
+                if (rule?.blocked || (allowedCells && !allowedCells.has(key))) continue;
+                
+                const step = stepCosts?.getStepCost(current.cell, neighbor);
+                if (step?.blocked) continue;
+                
+                const preference = usePreferences ? (rule?.preference ?? 1) : 1;
+                const multiplier = (rule?.multiplier ?? 1) * preference * (step?.multiplier ?? 1);
+                const cost = current.f + this.coordinateService.getStepCost(current.cell, neighbor) * multiplier + (rule?.penalty ?? 0) + (step?.cost ?? 0) +
+                    this.getDoorCost(current.cell, neighbor, tokenData, options.doorRules);
+                if (cost > maxCost || cost >= (field.get(key)?.cost ?? Infinity)) continue;
+                
+                // A step no backend can test is treated as blocked
+                if (this.backendRegistry.collides(current.cell, neighbor, token, passableWalls) !== false) continue;
+                
+                field.set(key, { cell: neighbor, cost: cost, previous: current.cell });
+                open.push({ cell: neighbor, key: key, f: cost });
+            }
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🌊 Flood fill from (${start.x}, ${start.y}) reached ${field.size} cells`);
+        }
+        return field;
+    }
+
+    /**
+     * Find the reachable cell closest to a target
+     * Closeness is measured with the scene's grid rules; ties go to the cheaper cell
+     * Cells whose rule forbids ending a route there are never chosen, except the start
+     * @param {Object} start - Starting grid position {x, y}
+     * @param {Object} target - Target grid position {x, y}
+     * @param {Token} token - The token being routed
+     * @param {Object} [options] - Flood fill options, see computeCostField
+     * @returns {Object} {cell, cost, path} with the grid path from the start
+     */
+    findNearestReachableCell(start, target, token, options = {}) {
+        const field = this.computeCostField(start, token, options);
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const [key, entry] of field) {
+            if (entry.previous && options.cellRules?.get(key)?.noStop) continue;
+            
+            const distance = this.coordinateService.getGridDistance(entry.cell, target);
+            if (distance < bestDistance - 1e-6 || (Math.abs(distance - bestDistance) <= 1e-6 && entry.cost < best.cost)) {
+                best = entry;
+                bestDistance = distance;
+            }
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🎯 Nearest reachable cell to (${target.x}, ${target.y}) is (${best.cell.x}, ${best.cell.y}) at cost ${best.cost}`);
+        }
+        return { cell: best.cell, cost: best.cost, path: this.reconstructPath(field, best.cell) };
+    }
+
+    /**
+     * Walk the straight grid line toward a target until the first blocked step
+     * @param {Object} start - Starting grid position {x, y}
+     * @param {Object} target - Target grid position {x, y}
+     * @param {Token} token - The token being routed
+     * @param {Object} [options] - Walk options
+     * @param {Map} [options.cellRules] - Cell rules for cells occupied by other tokens
+     * @param {Set} [options.allowedCells] - Cell keys the walk is confined to, null for the whole grid
+     * @param {Object} [options.stepCosts] - Step costs of the registered cost providers, steps they forbid block the walk
+     * @param {Map} [options.doorRules] - Wall ID -> {cost, c} for closed doors the walk may cross
+     * @param {Map} [options.climbableWalls] - Wall ID -> {cost, c} for walls a climbing token may cross
+     * @returns {Object} {cell, path} with the last unblocked cell and the cells walked
+     */
+    findFarthestCellToward(start, target, token, options = {}) {
+        const line = canvas.grid.getDirectPath([{ i: start.y, j: start.x }, { i: target.y, j: target.x }])
+            .map(offset => ({ x: offset.j, y: offset.i }));
+        const path = this.findFarthestCellAlong([start, ...line.slice(1)], token, options).path;
+        
+        if (this.settingsService.isDebugMode()) {
+            const last = path[path.length - 1];
+            console.log(`[${this.MODULE_NAME}] ➡️ Walked ${path.length - 1} cells toward (${target.x}, ${target.y}), stopping at (${last.x}, ${last.y})`);
+        }
+        return { cell: path[path.length - 1], path: path };
+    }
+
+    /**
+     * Walk a sequence of adjacent cells until the first blocked step
+     * @param {Array} cells - Grid positions {x, y} to walk, starting with the token's cell
+     * @param {Token} token - The token being routed
+     * @param {Object} [options] - Walk options, see findFarthestCellToward
+     * @returns {Object} {cell, path} with the last unblocked cell the token may end on and the cells walked up to it
+     */
+    findFarthestCellAlong(cells, token, options = {}) {
+        const { cellRules = null, allowedCells = null, stepCosts = null } = options;
+        const passableWalls = this.getPassableWalls(options.doorRules, options.climbableWalls);
+        const path = [cells[0]];
+        
+        for (const cell of cells.slice(1)) {
+            if (!this.coordinateService.isGridPositionInBounds(cell)) break;
+            const key = this.coordinateService.getGridPositionKey(cell);
+            if (cellRules?.get(key)?.blocked || (allowedCells && !allowedCells.has(key))) break;
+            if (stepCosts?.getStepCost(path[path.length - 1], cell).blocked) break;
+            if (this.backendRegistry.collides(path[path.length - 1], cell, token, passableWalls) !== false) break;
+            path.push(cell);
+        }
+        
+        // Back off cells that may be crossed but not ended on
+        while (path.length > 1 && cellRules?.get(this.coordinateService.getGridPositionKey(path[path.length - 1]))?.noStop) {
+            path.pop();
+        }
+        return { cell: path[path.length - 1], path: path };
+    }
+
+    /**
+     * Combine the walls a step may cross, closed doors and, for a climbing token, climbable walls
+     * @param {Map|null} [doorRules] - Wall ID -> {cost, c} for closed doors that may be crossed
+     * @param {Map|null} [climbableWalls] - Wall ID -> {cost, c} for walls a climbing token may cross
+     * @returns {Map|null} Wall ID -> rule, or null if every wall blocks
+     */
+    getPassableWalls(doorRules = null, climbableWalls = null) {
+        if (!climbableWalls?.size) return doorRules?.size ? doorRules : null;
+        if (!doorRules?.size) return climbableWalls;
+        return new Map([...doorRules, ...climbableWalls]);
+    }
+
+    /**
+     * Cost of the closed doors crossed by a step, priced like routes price them
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Object|null} tokenData - Token data for footprint
+     * @param {Map|null} [doorRules] - Wall ID -> {cost, c} for closed doors that may be crossed
+     * @returns {number} Extra cost in grid spaces
+     */
+    getDoorCost(a, b, tokenData, doorRules = null) {
+        if (!doorRules?.size) return 0;
+        return this.coordinateService.getCrossedWalls(a, b, doorRules, tokenData)
+            .reduce((total, id) => total + doorRules.get(id).cost, 0);
+    }
+
+    /**
+     * Walk a cost field back from a reached cell to the start
+     * @param {Map} field - Cost field from computeCostField
+     * @param {Object} goal - Reached grid position
+     * @returns {Array} Grid positions from start to goal
+     */
+    reconstructPath(field, goal) {
+        const path = [goal];
+        let entry = field.get(this.coordinateService.getGridPositionKey(goal));
+        while (entry?.previous) {
+            path.unshift(entry.previous);
+            entry = field.get(this.coordinateService.getGridPositionKey(entry.previous));
+        }
+        return path;
+    }
+}
\ No newline at end of file
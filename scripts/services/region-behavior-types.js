@@ -0,0 +1,82 @@
+/**
+ * Region Behavior Types for Smart Token Routing
+ * Region behaviors that let a GM shape automatic routes without placing walls
+ *
+ *   preferredPath - lowers the routing cost of the region's cells, for roads and corridors
+ *   avoid         - raises the routing cost of the region's cells, for traps and hazards
+ *   forbidden     - routes never enter the region, optionally only for NPCs or only for players
+ * The behaviors only steer routing, they do not change the movement cost measured by the ruler.
+ */
+
+/**
+ * Behavior type names, registered as "<module id>.<name>" and declared in module.json
+ */
+export const ROUTE_PREFERENCE_BEHAVIORS = Object.freeze({
+    PREFERRED_PATH: "preferredPath",
+    AVOID: "avoid",
+    FORBIDDEN: "forbidden"
+});
+
+/**
+ * Register the route preference behavior types
+ * Must run during the init hook, before the region behavior sheets are built
+ * @param {string} moduleName - The module ID
+ * @returns {boolean} True if the behavior types were registered
+ */
+export function registerRegionBehaviorTypes(moduleName) {
+    const RegionBehaviorType = foundry.data.regionBehaviors?.RegionBehaviorType;
+    if (!RegionBehaviorType || !CONFIG.RegionBehavior) return false;
+    
+    const fields = foundry.data.fields;
+    
+    class PreferredPathBehaviorType extends RegionBehaviorType {
+        static LOCALIZATION_PREFIXES = ["ROUTING_TOKEN.RegionBehavior.PreferredPath"];
+        
+        static defineSchema() {
+            return {
+                multiplier: new fields.NumberField({ required: true, nullable: false, min: 0.1, max: 1, step: 0.05, initial: 0.5 })
+            };
+        }
+    }
+    
+    class AvoidBehaviorType extends RegionBehaviorType {
+        static LOCALIZATION_PREFIXES = ["ROUTING_TOKEN.RegionBehavior.Avoid"];
+        
+        static defineSchema() {
+            return {
+                multiplier: new fields.NumberField({ required: true, nullable: false, min: 1, max: 10, step: 0.5, initial: 3 })
+            };
+        }
+    }
+    
+    class ForbiddenBehaviorType extends RegionBehaviorType {
+        static LOCALIZATION_PREFIXES = ["ROUTING_TOKEN.RegionBehavior.Forbidden"];
+        
+        static defineSchema() {
+            return {
+                scope: new fields.StringField({
+                    required: true,
+                    blank: false,
+                    initial: "all",
+                    choices: {
+                        all: "ROUTING_TOKEN.RegionBehavior.Forbidden.ScopeAll",
+                        npcs: "ROUTING_TOKEN.RegionBehavior.Forbidden.ScopeNPCs",
+                        players: "ROUTING_TOKEN.RegionBehavior.Forbidden.ScopePlayers"
+                    }
+                })
+            };
+        }
+    }
+    
+    const types = [
+        [ROUTE_PREFERENCE_BEHAVIORS.PREFERRED_PATH, PreferredPathBehaviorType, "fa-solid fa-road"],
+        [ROUTE_PREFERENCE_BEHAVIORS.AVOID, AvoidBehaviorType, "fa-solid fa-triangle-exclamation"],
+        [ROUTE_PREFERENCE_BEHAVIORS.FORBIDDEN, ForbiddenBehaviorType, "fa-solid fa-ban"]
+    ];
+    for (const [name, dataModel, icon] of types) {
+        const type = `${moduleName}.${name}`;
+        CONFIG.RegionBehavior.dataModels[type] = dataModel;
+        CONFIG.RegionBehavior.typeIcons[type] = icon;
+    }
+    return true;
+}
\ No newline at end of file
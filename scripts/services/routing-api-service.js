@@ -0,0 +1,202 @@
+/**
+ * Routing API Service for Smart Token Routing
+ * Backs the findPath and moveTo entry points of the public API
+ *
+ * Tokens may be given as a Token, a TokenDocument or the ID of a token on the viewed scene. Positions are the
+ * top-left pixel position of the token, like TokenDocument#x and #y, or grid positions {x, y} with x as the column
+ * and y as the row when options.coordinates is "grid". Failures reject with a RoutingError.
+ */
+import { RoutingError, ROUTING_ERROR_REASONS } from './routing-error.js';
+import { ROUTE_REFUSAL_REASONS } from './pathfinding-service.js';
+
+/**
+ * Why a found route ends short of the requested destination
+ */
+export const ROUTE_TRUNCATION_REASONS = Object.freeze({
+    BUDGET: "budget",
+    DESTINATION_UNREACHABLE: "destinationUnreachable"
+});
+
+export class RoutingApiService {
+    constructor(moduleName, settingsService, coordinateService, pathfindingService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.pathfindingService = pathfindingService;
+        this.nextRouteId = 1;
+    }
+
+    /**
+     * Find a token's route to a destination without moving it
+     * @param {Token|TokenDocument|string} tokenOrId - The token to route
+     * @param {Object} destination - Destination position {x, y}
+     * @param {Object} [options] - Routing options
+     * @param {string} [options.coordinates] - "pixel" (default) or "grid", for the positions passed and returned
+     * @param {Array} [options.waypoints] - Positions the route must pass through, in order
+     * @param {string} [options.movementAction] - Movement action, defaults to the token's active movement action
+     * @param {number} [options.budget] - Movement the token may spend, in grid spaces
+     * @returns {Promise<Object>} {path, cost, truncated, reason} with the route's positions, its cost in grid spaces,
+     *          and whether and why it ends short of the destination (one of ROUTE_TRUNCATION_REASONS, or null)
+     */
+    async findPath(tokenOrId, destination, options = {}) {
+        const token = this.resolveToken(tokenOrId);
+        const route = await this.calculateRoute(token, destination, { ...options, updateRuler: false });
+        return this.formatRoute(token, route, options.coordinates);
+    }
+
+    /**
+     * Route a token to a destination and move it there
+     * @param {Token|TokenDocument|string} tokenOrId - The token to move
+     * @param {Object} destination - Destination position {x, y}
+     * @param {Object} [options] - Routing options, see findPath
+     * @returns {Promise<Object>} The route walked, see findPath, once the token finished moving
+     */
+    async moveTo(tokenOrId, destination, options = {}) {
+        const token = this.resolveToken(tokenOrId);
+        if (!token.document.isOwner) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.PERMISSION_DENIED, { token: token.id });
+        }
+        
+        const route = await this.calculateRoute(token, destination, options);
+        const end = route.path[route.path.length - 1];
+        await this.pathfindingService.moveTokenThroughWaypoints(token, route.path, { cost: route.cost });
+        
+        // The move stops early at a door the user may not open, when a hook vetoes it or when Foundry refuses it
+        if (!this.isSameCell(token, { x: token.document.x, y: token.document.y }, end)) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.MOVEMENT_FAILED, { token: token.id, destination: end });
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧭 API moved ${token.name} to (${Math.round(end.x)}, ${Math.round(end.y)})`);
+        }
+        return this.formatRoute(token, route, options.coordinates);
+    }
+
+    /**
+     * Calculate a token's route in pixel positions
+     * @param {Token} token - The token to route
+     * @param {Object} destination - Destination position {x, y}
+     * @param {Object} options - Routing options, see findPath, plus updateRuler
+     * @returns {Promise<Object>} {path, cost, ghostPath, reason} with pixel waypoints
+     */
+    async calculateRoute(token, destination, options) {
+        if (!this.pathfindingService.isPathfindingAvailable()) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.ROUTINGLIB_UNAVAILABLE);
+        }
+        
+        const tokenData = this.coordinateService.getTokenData(token);
+        const target = this.resolvePosition(destination, tokenData, options.coordinates);
+        if (options.waypoints !== undefined && !Array.isArray(options.waypoints)) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.INVALID_PARAMETERS, { waypoints: options.waypoints });
+        }
+        if (options.budget !== undefined && !(options.budget >= 0)) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.INVALID_PARAMETERS, { budget: options.budget });
+        }
+        
+        const waypoints = (options.waypoints ?? []).map(point => this.resolvePosition(point, tokenData, options.coordinates));
+        const start = { x: token.document.x, y: token.document.y };
+        
+        // Unreachable destinations are reported through the rejection, not a notification. Every call routes under
+        // a job of its own, so concurrent calls and the user's drag preview of the same token do not cancel each other
+        let refusal = null;
+        const result = await this.pathfindingService.calculateDragPathfinding(token, start, target, {
+            waypoints: waypoints,
+            isPreview: true,
+            updateRuler: options.updateRuler ?? true,
+            movementAction: options.movementAction,
+            budget: options.budget ?? Infinity,
+            jobKey: `api-${this.nextRouteId++}`,
+            onRefused: (reason) => { refusal = reason; }
+        });
+        if (refusal === ROUTE_REFUSAL_REASONS.VETOED) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.ROUTE_VETOED, { token: token.id, destination: target });
+        }
+        if (refusal === ROUTE_REFUSAL_REASONS.CANCELLED) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.ROUTE_CANCELLED, { token: token.id, destination: target });
+        }
+        if (!result?.path.length) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.PATHFINDING_FAILED, { token: token.id, destination: target });
+        }
+        
+        let reason = null;
+        if (result.ghostPath.length) {
+            reason = ROUTE_TRUNCATION_REASONS.BUDGET;
+        } else if (!this.isSameCell(token, result.path[result.path.length - 1], target)) {
+            reason = ROUTE_TRUNCATION_REASONS.DESTINATION_UNREACHABLE;
+        }
+        return { ...result, reason: reason };
+    }
+
+    /**
+     * Convert a calculated route into the result returned by the API
+     * @param {Token} token - The routed token
+     * @param {Object} route - Route from calculateRoute
+     * @param {string} [coordinates] - "pixel" or "grid"
+     * @returns {Object} {path, cost, truncated, reason}
+     */
+    formatRoute(token, route, coordinates = "pixel") {
+        const tokenData = this.coordinateService.getTokenData(token);
+        const path = coordinates === "grid"
+            ? route.path.map(point => this.coordinateService.pixelsToGridPosition(point, tokenData))
+            : route.path.map(point => ({ x: point.x, y: point.y }));
+        
+        return {
+            path: path,
+            cost: route.cost,
+            truncated: route.reason !== null,
+            reason: route.reason
+        };
+    }
+
+    /**
+     * Find the token an API call refers to
+     * @param {Token|TokenDocument|string} tokenOrId
+     * @returns {Token} Token on the viewed scene
+     */
+    resolveToken(tokenOrId) {
+        let token = null;
+        if (typeof tokenOrId === "string") {
+            token = canvas.tokens?.get(tokenOrId) ?? null;
+        } else if (tokenOrId?.documentName === "Token") {
+            token = tokenOrId.object ?? null;
+        } else if (tokenOrId?.document?.documentName === "Token") {
+            token = tokenOrId;
+        }
+        
+        if (!token || token.scene !== canvas.scene) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.TOKEN_NOT_FOUND, { token: tokenOrId?.id ?? tokenOrId });
+        }
+        return token;
+    }
+
+    /**
+     * Convert a position passed to the API into a pixel position
+     * @param {Object} position - Position {x, y}
+     * @param {Object} tokenData - Token data from the coordinate service
+     * @param {string} [coordinates] - "pixel" or "grid"
+     * @returns {Object} Pixel position {x, y}
+     */
+    resolvePosition(position, tokenData, coordinates = "pixel") {
+        if (!Number.isFinite(position?.x) || !Number.isFinite(position?.y) || !["pixel", "grid"].includes(coordinates)) {
+            throw new RoutingError(ROUTING_ERROR_REASONS.INVALID_PARAMETERS, { position: position, coordinates: coordinates });
+        }
+        
+        if (coordinates === "grid") {
+            return this.coordinateService.gridToPixelPosition({ x: position.x, y: position.y }, tokenData);
+        }
+        return { x: position.x, y: position.y };
+    }
+
+    /**
+     * Check if two pixel positions put a token on the same grid cell
+     * @param {Token} token
+     * @param {Object} a - Pixel position {x, y}
+     * @param {Object} b - Pixel position {x, y}
+     * @returns {boolean}
+     */
+    isSameCell(token, a, b) {
+        const tokenData = this.coordinateService.getTokenData(token);
+        return this.coordinateService.getGridPositionKey(this.coordinateService.pixelsToGridPosition(a, tokenData)) ===
+            this.coordinateService.getGridPositionKey(this.coordinateService.pixelsToGridPosition(b, tokenData));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Routing Error for Smart Token Routing
+ * Error thrown by the public API, carrying a reason macros and other modules can test for
+ */
+
+/**
+ * Reasons a public API call fails, each with a message under ROUTING_TOKEN.API.Errors
+ */
+export const ROUTING_ERROR_REASONS = Object.freeze({
+    NOT_INITIALIZED: "NotInitialized",
+    ROUTINGLIB_UNAVAILABLE: "RoutinglibUnavailable",
+    INVALID_PARAMETERS: "InvalidParameters",
+    PATHFINDING_FAILED: "PathfindingFailed",
+    ROUTE_VETOED: "RouteVetoed",
+    ROUTE_CANCELLED: "RouteCancelled",
+    TOKEN_NOT_FOUND: "TokenNotFound",
+    PERMISSION_DENIED: "PermissionDenied",
+    MOVEMENT_FAILED: "MovementFailed"
+});
+
+export class RoutingError extends Error {
+    /**
+     * @param {string} reason - One of ROUTING_ERROR_REASONS
+     * @param {Object} [details] - Extra information about the failure, such as the token or the destination
+     */
+    constructor(reason, details = {}) {
+        super(game.i18n.localize(`ROUTING_TOKEN.API.Errors.${reason}`));
+        this.name = "RoutingError";
+        this.reason = reason;
+        this.details = details;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Routing Hooks for Smart Token Routing
+ * Hooks fired around route calculation and execution, so other modules can steer or veto routing
+ *
+ * Every hook is namespaced with the module ID, e.g. "routing-token.preCalculatePath", and receives the token
+ * followed by a data object. Pixel positions are the token's top-left position, like TokenDocument#x and #y.
+ *
+ *   preCalculatePath(token, {start, end, options})
+ *     Before a route is calculated. Handlers may replace start, end or fields of options
+ *     (waypoints, movementAction, budget, isPreview, ...). Returning false vetoes the route.
+ *   pathCalculated(token, {path, ghostPath, cost, options})
+ *     After a route is calculated, before it is shown on the ruler. Handlers may replace path, ghostPath and cost.
+ *   preMoveAlongPath(token, {path, options})
+ *     Before a token walks a route. Returning false vetoes the move and the token stays where it is.
+ *   moveComplete(token, {path, position, cost, completed, options})
+ *     After a token stopped walking a route, with its final position {x, y, elevation}, the route's cost in grid
+ *     spaces when known (null otherwise) and whether it reached the end of the route.
+ */
+
+/**
+ * Hook names, fired as "<module id>.<name>"
+ */
+export const ROUTING_HOOKS = Object.freeze({
+    PRE_CALCULATE_PATH: "preCalculatePath",
+    PATH_CALCULATED: "pathCalculated",
+    PRE_MOVE_ALONG_PATH: "preMoveAlongPath",
+    MOVE_COMPLETE: "moveComplete"
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Routinglib Pathfinding Backend for Smart Token Routing
+ * Adapts window.routinglib to the pathfinding backend contract
+ */
+export class RoutinglibPathfindingBackend {
+    constructor(moduleName, settingsService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+    }
+
+    /**
+     * Check if routinglib is loaded
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof window.routinglib?.calculatePath === 'function';
+    }
+
+    /**
+     * Find a path between two grid positions with routinglib
+     * @param {Object} from - Starting grid position {x, y}
+     * @param {Object} to - Target grid position {x, y}
+     * @param {Object} [options] - Search options
+     * @param {Token} [options.token] - The token being routed
+     * @param {number} [options.maxCost] - Maximum search distance
+     * @returns {Promise<Object|null>} {path, cost} with grid positions including both ends, or null if unreachable
+     */
+    async findPath(from, to, options = {}) {
+        const result = await window.routinglib.calculatePath(from, to, {
+            token: options.token,
+            maxDistance: options.maxCost
+        });
+        if (!result?.path) return null;
+        
+        return {
+            path: result.path,
+            cost: result.cost ?? result.path.length - 1
+        };
+    }
+
+    /**
+     * Check if a single step between grid positions is blocked by a wall
+     * @param {Object} a - Starting grid position {x, y}
+     * @param {Object} b - Target grid position {x, y}
+     * @param {Token} [token] - The token being routed
+     * @returns {boolean} True if the step is blocked
+     */
+    collides(a, b, token = null) {
+        if (typeof window.routinglib?.stepCollidesWithWall !== 'function') {
+            throw new Error("routinglib.stepCollidesWithWall is not available");
+        }
+        const tokenData = token && window.routinglib.coordinateHelper ?
+            window.routinglib.coordinateHelper.getTokenData(token) : token;
+        return window.routinglib.stepCollidesWithWall(a, b, tokenData);
+    }
+}
\ No newline at end of file
@@ -16,6 +16,19 @@ export class SettingsService {
         this.registerMaxPathDistanceSetting();
         this.registerDebugModeSetting();
         this.registerAutoFollowPathSetting();
+        this.registerLivePathPreviewSetting();
+        this.registerPathfindingBackendSetting();
+        this.registerPathSmoothingSetting();
+        this.registerBlockedDestinationPolicySetting();
+        this.registerGridlessRoutingSetting();
+        this.registerSqueezeSettings();
+        this.registerTokenObstacleSettings();
+        this.registerDoorSettings();
+        this.registerCombatBudgetSetting();
+        this.registerMovementRangeOverlaySetting();
+        this.registerRangeBandSettings();
+        this.registerMarchingOrderSetting();
+        this.registerKeybindings();
     }
 
     /**
@@ -51,6 +64,9 @@ export class SettingsService {
                 min: 100,
                 max: 5000,
                 step: 100
+            },
+            onChange: (value) => {
+                this.notifyListeners("maxPathDistance", value);
             }
         });
     }
@@ -83,6 +99,324 @@ export class SettingsService {
         });
     }
 
+    /**
+     * Register live path preview setting
+     */
+    registerLivePathPreviewSetting() {
+        game.settings.register(this.MODULE_NAME, "livePathPreview", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.LivePathPreview"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.LivePathPreviewHint"),
+            scope: "client",
+            config: true,
+            type: Boolean,
+            default: true
+        });
+    }
+
+    /**
+     * Register pathfinding backend selection setting
+     * Backends registered by other modules are added to the choices when they register
+     */
+    registerPathfindingBackendSetting() {
+        game.settings.register(this.MODULE_NAME, "pathfindingBackend", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.PathfindingBackend"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.PathfindingBackendHint"),
+            scope: "client",
+            config: true,
+            type: String,
+            choices: {
+                auto: game.i18n.localize("ROUTING_TOKEN.Settings.PathfindingBackendAuto")
+            },
+            default: "auto",
+            onChange: (value) => {
+                this.notifyListeners("pathfindingBackend", value);
+            }
+        });
+    }
+
+    /**
+     * Register path smoothing mode setting
+     */
+    registerPathSmoothingSetting() {
+        game.settings.register(this.MODULE_NAME, "pathSmoothing", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.PathSmoothing"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.PathSmoothingHint"),
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                off: game.i18n.localize("ROUTING_TOKEN.Settings.PathSmoothingOff"),
+                collinear: game.i18n.localize("ROUTING_TOKEN.Settings.PathSmoothingCollinear"),
+                lineOfSight: game.i18n.localize("ROUTING_TOKEN.Settings.PathSmoothingLineOfSight")
+            },
+            default: "collinear"
+        });
+    }
+
+    /**
+     * Register the policy for drops on cells the token cannot reach
+     */
+    registerBlockedDestinationPolicySetting() {
+        game.settings.register(this.MODULE_NAME, "blockedDestinationPolicy", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.BlockedDestinationPolicy"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.BlockedDestinationPolicyHint"),
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                nearest: game.i18n.localize("ROUTING_TOKEN.Settings.BlockedDestinationNearest"),
+                toward: game.i18n.localize("ROUTING_TOKEN.Settings.BlockedDestinationToward"),
+                refuse: game.i18n.localize("ROUTING_TOKEN.Settings.BlockedDestinationRefuse")
+            },
+            default: "nearest"
+        });
+    }
+
+    /**
+     * Register the visibility graph routing of gridless scenes
+     */
+    registerGridlessRoutingSetting() {
+        game.settings.register(this.MODULE_NAME, "gridlessRouting", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.GridlessRouting"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.GridlessRoutingHint"),
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: true
+        });
+    }
+
+    /**
+     * Register whether tokens larger than one cell may squeeze through spaces one size smaller, and what it costs
+     */
+    registerSqueezeSettings() {
+        game.settings.register(this.MODULE_NAME, "squeezing", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.Squeezing"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.SqueezingHint"),
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: false
+        });
+        
+        game.settings.register(this.MODULE_NAME, "squeezeCostMultiplier", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.SqueezeCostMultiplier"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.SqueezeCostMultiplierHint"),
+            scope: "world",
+            config: true,
+            type: Number,
+            default: 2,
+            range: {
+                min: 1,
+                max: 4,
+                step: 0.5
+            }
+        });
+    }
+
+    /**
+     * Register how other tokens obstruct routes, per disposition relative to the moving token
+     */
+    registerTokenObstacleSettings() {
+        const choices = {
+            ignore: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstacleIgnore"),
+            passThrough: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstaclePassThrough"),
+            penalty: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstaclePenalty"),
+            block: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstacleBlock")
+        };
+        const defaults = { Hostile: "block", Neutral: "penalty", Friendly: "passThrough" };
+        
+        for (const [relation, defaultBehavior] of Object.entries(defaults)) {
+            game.settings.register(this.MODULE_NAME, `tokenObstacle${relation}`, {
+                name: game.i18n.localize(`ROUTING_TOKEN.Settings.TokenObstacle${relation}`),
+                hint: game.i18n.localize(`ROUTING_TOKEN.Settings.TokenObstacle${relation}Hint`),
+                scope: "world",
+                config: true,
+                type: String,
+                choices: choices,
+                default: defaultBehavior
+            });
+        }
+        
+        game.settings.register(this.MODULE_NAME, "tokenObstaclePenaltyCost", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstaclePenaltyCost"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.TokenObstaclePenaltyCostHint"),
+            scope: "world",
+            config: true,
+            type: Number,
+            default: 1,
+            range: {
+                min: 1,
+                max: 10,
+                step: 1
+            }
+        });
+    }
+
+    /**
+     * Register how routes treat closed doors and who may open them during movement
+     */
+    registerDoorSettings() {
+        game.settings.register(this.MODULE_NAME, "closedDoorMode", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorMode"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorModeHint"),
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                block: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorBlock"),
+                cost: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorCost")
+            },
+            default: "block"
+        });
+        
+        game.settings.register(this.MODULE_NAME, "closedDoorCost", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorExtraCost"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.ClosedDoorExtraCostHint"),
+            scope: "world",
+            config: true,
+            type: Number,
+            default: 1,
+            range: {
+                min: 0,
+                max: 10,
+                step: 1
+            }
+        });
+        
+        game.settings.register(this.MODULE_NAME, "doorOpening", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.DoorOpening"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.DoorOpeningHint"),
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                never: game.i18n.localize("ROUTING_TOKEN.Settings.DoorOpeningNever"),
+                gm: game.i18n.localize("ROUTING_TOKEN.Settings.DoorOpeningGM"),
+                permitted: game.i18n.localize("ROUTING_TOKEN.Settings.DoorOpeningPermitted")
+            },
+            default: "gm"
+        });
+    }
+
+    /**
+     * Register the combat movement budget setting
+     */
+    registerCombatBudgetSetting() {
+        game.settings.register(this.MODULE_NAME, "combatMovementBudget", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.CombatMovementBudget"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.CombatMovementBudgetHint"),
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: false
+        });
+    }
+
+    /**
+     * Register the movement range overlay setting
+     */
+    registerMovementRangeOverlaySetting() {
+        game.settings.register(this.MODULE_NAME, "showMovementRange", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.ShowMovementRange"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.ShowMovementRangeHint"),
+            scope: "client",
+            config: true,
+            type: Boolean,
+            default: true,
+            onChange: (value) => {
+                this.notifyListeners("showMovementRange", value);
+            }
+        });
+    }
+
+    /**
+     * Register the colour and opacity of each movement band in the ruler highlight and range overlay
+     */
+    registerRangeBandSettings() {
+        const defaults = {
+            Normal: { color: "#00ff00", alpha: 0.3 },
+            Extended: { color: "#ffd700", alpha: 0.3 },
+            Maximum: { color: "#ff8c00", alpha: 0.3 },
+            Unreachable: { color: "#ff0000", alpha: 0.2 }
+        };
+        
+        for (const [band, style] of Object.entries(defaults)) {
+            game.settings.register(this.MODULE_NAME, `rangeBand${band}Color`, {
+                name: game.i18n.localize(`ROUTING_TOKEN.Settings.RangeBand${band}Color`),
+                hint: game.i18n.localize(`ROUTING_TOKEN.Settings.RangeBand${band}ColorHint`),
+                scope: "client",
+                config: true,
+                type: new foundry.data.fields.ColorField({ nullable: false, initial: style.color }),
+                default: style.color,
+                onChange: (value) => {
+                    this.notifyListeners("rangeBands", value);
+                }
+            });
+            
+            game.settings.register(this.MODULE_NAME, `rangeBand${band}Alpha`, {
+                name: game.i18n.localize(`ROUTING_TOKEN.Settings.RangeBand${band}Alpha`),
+                hint: game.i18n.localize("ROUTING_TOKEN.Settings.RangeBandAlphaHint"),
+                scope: "client",
+                config: true,
+                type: Number,
+                default: style.alpha,
+                range: {
+                    min: 0,
+                    max: 1,
+                    step: 0.05
+                },
+                onChange: (value) => {
+                    this.notifyListeners("rangeBands", value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register the gap kept between tokens walking in a marching order
+     */
+    registerMarchingOrderSetting() {
+        game.settings.register(this.MODULE_NAME, "marchingOrderGap", {
+            name: game.i18n.localize("ROUTING_TOKEN.Settings.MarchingOrderGap"),
+            hint: game.i18n.localize("ROUTING_TOKEN.Settings.MarchingOrderGapHint"),
+            scope: "world",
+            config: true,
+            type: Number,
+            default: 0,
+            range: {
+                min: 0,
+                max: 5,
+                step: 1
+            }
+        });
+    }
+
+    /**
+     * Register the module's keybindings
+     */
+    registerKeybindings() {
+        game.keybindings.register(this.MODULE_NAME, "ignoreMovementBudget", {
+            name: "ROUTING_TOKEN.Keybindings.IgnoreMovementBudget",
+            hint: "ROUTING_TOKEN.Keybindings.IgnoreMovementBudgetHint",
+            editable: [{ key: "AltLeft" }],
+            restricted: true
+        });
+    }
+
+    /**
+     * Add a choice to a registered choice setting
+     * @param {string} settingName 
+     * @param {string} value - Stored value of the choice
+     * @param {string} label - Displayed label of the choice
+     */
+    addSettingChoice(settingName, value, label) {
+        const setting = game.settings.settings.get(`${this.MODULE_NAME}.${settingName}`);
+        if (setting?.choices) {
+            setting.choices[value] = label;
+        }
+    }
+
     /**
      * Get a setting value
      * @param {string} settingName 
@@ -172,4 +506,147 @@ export class SettingsService {
     isAutoFollowPathEnabled() {
         return this.get("autoFollowPath");
     }
+
+    /**
+     * Check if the route should be previewed while dragging
+     * @returns {boolean}
+     */
+    isLivePathPreviewEnabled() {
+        return this.get("livePathPreview");
+    }
+
+    /**
+     * Get the selected pathfinding backend ID
+     * @returns {string} Backend ID, or "auto" to pick the best available one
+     */
+    getPathfindingBackend() {
+        return this.get("pathfindingBackend");
+    }
+
+    /**
+     * Get the path smoothing mode
+     * @returns {string} "off", "collinear" or "lineOfSight"
+     */
+    getPathSmoothingMode() {
+        return this.get("pathSmoothing");
+    }
+
+    /**
+     * Get the policy for drops on cells the token cannot reach
+     * @returns {string} "nearest", "toward" or "refuse"
+     */
+    getBlockedDestinationPolicy() {
+        return this.get("blockedDestinationPolicy");
+    }
+
+    /**
+     * Check if gridless scenes are routed over a visibility graph of their walls
+     * @returns {boolean}
+     */
+    isGridlessRoutingEnabled() {
+        return this.get("gridlessRouting");
+    }
+
+    /**
+     * Check if tokens larger than one cell may squeeze through spaces one size smaller
+     * @returns {boolean}
+     */
+    isSqueezingEnabled() {
+        return this.get("squeezing");
+    }
+
+    /**
+     * Get the cost multiplier of squeezed steps
+     * @returns {number}
+     */
+    getSqueezeCostMultiplier() {
+        return this.get("squeezeCostMultiplier");
+    }
+
+    /**
+     * Get how tokens with a given relation to the moving token obstruct routes
+     * @param {string} relation - "hostile", "neutral" or "friendly"
+     * @returns {string} "ignore", "passThrough", "penalty" or "block"
+     */
+    getTokenObstacleBehavior(relation) {
+        return this.get(`tokenObstacle${relation.charAt(0).toUpperCase()}${relation.slice(1)}`);
+    }
+
+    /**
+     * Get the extra cost of entering a cell occupied by a penalised token
+     * @returns {number} Cost in grid spaces
+     */
+    getTokenObstaclePenalty() {
+        return this.get("tokenObstaclePenaltyCost");
+    }
+
+    /**
+     * Get how routes treat closed doors
+     * @returns {string} "block" or "cost"
+     */
+    getClosedDoorMode() {
+        return this.get("closedDoorMode");
+    }
+
+    /**
+     * Get the extra cost of routing through a closed door
+     * @returns {number} Cost in grid spaces
+     */
+    getClosedDoorCost() {
+        return this.get("closedDoorCost");
+    }
+
+    /**
+     * Get who may open closed doors on a route during movement
+     * @returns {string} "never", "gm" or "permitted"
+     */
+    getDoorOpeningPolicy() {
+        return this.get("doorOpening");
+    }
+
+    /**
+     * Check if routes in combat stop where the token's remaining movement runs out
+     * @returns {boolean}
+     */
+    isCombatBudgetEnabled() {
+        return this.get("combatMovementBudget");
+    }
+
+    /**
+     * Check if a key bound to the movement budget override is held down
+     * @returns {boolean}
+     */
+    isBudgetOverrideKeyDown() {
+        const bindings = game.keybindings.get(this.MODULE_NAME, "ignoreMovementBudget") ?? [];
+        return bindings.some(binding => game.keyboard.downKeys.has(binding.key));
+    }
+
+    /**
+     * Check if the reachable area of the selected token should be shown
+     * @returns {boolean}
+     */
+    isMovementRangeOverlayEnabled() {
+        return this.get("showMovementRange");
+    }
+
+    /**
+     * Get the highlight style of a movement band
+     * @param {string} band - "normal", "extended", "maximum" or "unreachable"
+     * @returns {Object} {color, alpha}
+     */
+    getRangeBandStyle(band) {
+        const name = `${band.charAt(0).toUpperCase()}${band.slice(1)}`;
+        return {
+            color: Number(foundry.utils.Color.from(this.get(`rangeBand${name}Color`))),
+            alpha: this.get(`rangeBand${name}Alpha`)
+        };
+    }
+
+    /**
+     * Get the number of empty cells left between tokens walking in a marching order
+     * @returns {number}
+     */
+    getMarchingOrderGap() {
+        return this.get("marchingOrderGap");
+    }
 }
\ No newline at end of file
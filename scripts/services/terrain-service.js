@@ -0,0 +1,302 @@
+/**
+ * Terrain Service for Smart Token Routing
+ * Turns terrain tags on regions and walls into routing rules for a token's movement action
+ *
+ * Regions are tagged with the module flag "terrain":
+ *   ground - terrain that only matters on the ground, flying tokens ignore the region
+ *   water  - swimming tokens are confined to cells inside water regions
+ * Walls flagged "climbable" may be crossed by climbing tokens.
+ * Regions with a "modifyMovementCost" behavior multiply the cost of entering their cells.
+ * The module's own route preference behaviors steer routes without changing the movement cost.
+ */
+import { ROUTE_PREFERENCE_BEHAVIORS } from './region-behavior-types.js';
+
+/**
+ * Movement actions that leave the ground, regions tagged as ground terrain do not apply to them
+ */
+const AIRBORNE_MOVEMENT_ACTIONS = new Set(["fly"]);
+
+export class TerrainService {
+    constructor(moduleName, settingsService, coordinateService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+        this.regionVersion = 0; // bumped whenever a region or one of its behaviors changes
+    }
+
+    /**
+     * Record that a region or one of its behaviors changed, so route rules built before are stale
+     */
+    invalidateRegions() {
+        this.regionVersion++;
+    }
+
+    /**
+     * Build a compact description of the region rules a token's routes follow, for cache keys
+     * Regions are described by their version, forbidden regions also depend on whether a player owns the token
+     * @param {Token} token - The token being routed
+     * @returns {string}
+     */
+    getRulesSignature(token) {
+        return `${this.regionVersion}${token.actor?.hasPlayerOwner ? 'p' : 'n'}`;
+    }
+
+    /**
+     * Get the terrain tag of a region
+     * @param {Region|RegionDocument} region - A region placeable or document
+     * @returns {string|null} "ground", "water" or null if the region is not tagged
+     */
+    getRegionTerrain(region) {
+        const document = region.document ?? region;
+        return document.getFlag?.(this.MODULE_NAME, "terrain") || null;
+    }
+
+    /**
+     * Check if a wall is flagged as climbable
+     * Doors are never climbable, they are opened instead
+     * @param {Wall} wall - A wall placeable
+     * @returns {boolean}
+     */
+    isClimbable(wall) {
+        const document = wall.document;
+        return document.door === CONST.WALL_DOOR_TYPES.NONE && document.getFlag(this.MODULE_NAME, "climbable") === true;
+    }
+
+    /**
+     * Check if a movement action leaves the ground
+     * @param {string} action - Token movement action
+     * @returns {boolean}
+     */
+    isAirborne(action) {
+        return AIRBORNE_MOVEMENT_ACTIONS.has(action);
+    }
+
+    /**
+     * Get the regions that affect a movement action
+     * Flying tokens pass over regions tagged as ground terrain
+     * @param {string} action - Token movement action
+     * @returns {Array<Region>} Region placeables on the scene
+     */
+    getRegionsForAction(action) {
+        const regions = canvas.regions?.placeables ?? [];
+        if (!this.isAirborne(action)) return regions;
+        return regions.filter(region => this.getRegionTerrain(region) !== "ground");
+    }
+
+    /**
+     * Get the cells a movement action is confined to
+     * Swimming is only possible inside water regions, every other action may use the whole grid
+     * @param {string} action - Token movement action
+     * @param {number} [elevation] - Elevation of the token
+     * @returns {Set|null} Cell keys the route may enter, or null if the action is not confined
+     */
+    getAllowedCells(action, elevation = 0) {
+        if (action !== "swim") return null;
+        
+        const cells = new Set();
+        for (const region of this.getRegionsForAction(action)) {
+            if (this.getRegionTerrain(region) !== "water") continue;
+            for (const cell of this.getRegionCells(region, elevation)) {
+                cells.add(this.coordinateService.getGridPositionKey(cell));
+            }
+        }
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🌊 Swimming is confined to ${cells.size} water cells`);
+        }
+        return cells;
+    }
+
+    /**
+     * Get the movement cost multipliers of the scene's regions for a movement action
+     * Difficult terrain does not stack, a cell covered by several regions uses the highest multiplier
+     * @param {string} action - Token movement action
+     * @param {number} [elevation] - Elevation of the token
+     * @returns {Map} Cell key -> multiplier for every cell whose cost differs from normal
+     */
+    getCostMultipliers(action, elevation = 0) {
+        const multipliers = new Map();
+        for (const region of this.getRegionsForAction(action)) {
+            const difficulty = this.getRegionDifficulty(region, action);
+            if (difficulty === 1) continue;
+            
+            for (const cell of this.getRegionCells(region, elevation)) {
+                const key = this.coordinateService.getGridPositionKey(cell);
+                multipliers.set(key, Math.max(multipliers.get(key) ?? 0, difficulty));
+            }
+        }
+        
+        if (this.settingsService.isDebugMode() && multipliers.size > 0) {
+            console.log(`[${this.MODULE_NAME}] 🌿 ${multipliers.size} cells with modified movement cost for ${action}`);
+        }
+        return multipliers;
+    }
+
+    /**
+     * Get the movement cost multiplier a region applies to a movement action
+     * @param {Region} region - A region placeable
+     * @param {string} action - Token movement action
+     * @returns {number} Highest multiplier of the region's enabled movement cost behaviors, 1 if it has none
+     */
+    getRegionDifficulty(region, action) {
+        const difficulties = [];
+        for (const behavior of region.document.behaviors ?? []) {
+            if (behavior.disabled || behavior.type !== "modifyMovementCost") continue;
+            
+            const difficulty = behavior.system?.difficulties?.[action];
+            if (typeof difficulty === "number" && difficulty >= 0) difficulties.push(difficulty);
+        }
+        return difficulties.length ? Math.max(...difficulties) : 1;
+    }
+
+    /**
+     * Add the regions' movement cost multipliers to a set of cell rules
+     * Cells a region makes impassable for the action are blocked
+     * @param {Map} cellRules - Cell rules to extend, modified in place
+     * @param {string} action - Token movement action
+     * @param {number} [elevation] - Elevation of the token
+     * @returns {Map} The extended cell rules
+     */
+    applyCostMultipliers(cellRules, action, elevation = 0) {
+        for (const [key, multiplier] of this.getCostMultipliers(action, elevation)) {
+            const rule = cellRules.get(key) ?? { blocked: false, penalty: 0, noStop: false };
+            cellRules.set(key, {
+                ...rule,
+                blocked: rule.blocked || multiplier === Infinity,
+                multiplier: multiplier
+            });
+        }
+        return cellRules;
+    }
+
+    /**
+     * Add the route preference behaviors of the scene's regions to a set of cell rules
+     * Preferred paths and avoided regions scale the routing cost of their cells by their strongest multiplier,
+     * forbidden regions block their cells for the tokens in their scope
+     * @param {Map} cellRules - Cell rules to extend, modified in place
+     * @param {Token} token - The token being routed
+     * @param {string} action - Token movement action
+     * @param {number} [elevation] - Elevation of the token
+     * @returns {Map} The extended cell rules
+     */
+    applyRoutePreferences(cellRules, token, action, elevation = 0) {
+        const preferences = new Map(); // cell key -> {lowest, highest, forbidden}
+        
+        for (const region of this.getRegionsForAction(action)) {
+            const effect = this.getRoutePreference(region, token);
+            if (!effect) continue;
+            
+            for (const cell of this.getRegionCells(region, elevation)) {
+                const key = this.coordinateService.getGridPositionKey(cell);
+                const current = preferences.get(key) ?? { lowest: 1, highest: 1, forbidden: false };
+                preferences.set(key, {
+                    lowest: Math.min(current.lowest, effect.lowest),
+                    highest: Math.max(current.highest, effect.highest),
+                    forbidden: current.forbidden || effect.forbidden
+                });
+            }
+        }
+        
+        for (const [key, preference] of preferences) {
+            const rule = cellRules.get(key) ?? { blocked: false, penalty: 0, noStop: false };
+            cellRules.set(key, {
+                ...rule,
+                blocked: rule.blocked || preference.forbidden,
+                noStop: rule.noStop || preference.forbidden,
+                preference: preference.lowest * preference.highest
+            });
+        }
+        
+        if (this.settingsService.isDebugMode() && preferences.size > 0) {
+            console.log(`[${this.MODULE_NAME}] 🛣️ ${preferences.size} cells with route preferences for ${token.name}`);
+        }
+        return cellRules;
+    }
+
+    /**
+     * Get the combined route preference of a region's enabled behaviors for a token
+     * @param {Region} region - A region placeable
+     * @param {Token} token - The token being routed
+     * @returns {Object|null} {lowest, highest, forbidden}, or null if the region has no route preference
+     */
+    getRoutePreference(region, token) {
+        let effect = null;
+        for (const behavior of region.document.behaviors ?? []) {
+            if (behavior.disabled) continue;
+            
+            const name = behavior.type?.startsWith(`${this.MODULE_NAME}.`) ? behavior.type.slice(this.MODULE_NAME.length + 1) : null;
+            if (!Object.values(ROUTE_PREFERENCE_BEHAVIORS).includes(name)) continue;
+            
+            effect ??= { lowest: 1, highest: 1, forbidden: false };
+            if (name === ROUTE_PREFERENCE_BEHAVIORS.PREFERRED_PATH) {
+                effect.lowest = Math.min(effect.lowest, behavior.system.multiplier);
+            } else if (name === ROUTE_PREFERENCE_BEHAVIORS.AVOID) {
+                effect.highest = Math.max(effect.highest, behavior.system.multiplier);
+            } else if (this.isInForbiddenScope(behavior.system.scope, token)) {
+                effect.forbidden = true;
+            }
+        }
+        return effect;
+    }
+
+    /**
+     * Check if a token is kept out by a forbidden region with the given scope
+     * Tokens without a player owner count as NPCs
+     * @param {string} scope - "all", "npcs" or "players"
+     * @param {Token} token - The token being routed
+     * @returns {boolean}
+     */
+    isInForbiddenScope(scope, token) {
+        const playerOwned = !!token.actor?.hasPlayerOwner;
+        if (scope === "npcs") return !playerOwned;
+        if (scope === "players") return playerOwned;
+        return true;
+    }
+
+    /**
+     * Get the walls a movement action may cross
+     * @param {string} action - Token movement action
+     * @returns {Map} Wall ID -> {cost, c} for every climbable wall, empty unless the token is climbing
+     */
+    getClimbableWalls(action) {
+        const walls = new Map();
+        if (action !== "climb") return walls;
+        
+        for (const wall of canvas.walls?.placeables ?? []) {
+            if (this.isClimbable(wall)) {
+                walls.set(wall.id, { cost: 0, c: wall.document.c });
+            }
+        }
+        
+        if (this.settingsService.isDebugMode() && walls.size > 0) {
+            console.log(`[${this.MODULE_NAME}] 🧗 ${walls.size} climbable walls on the scene`);
+        }
+        return walls;
+    }
+
+    /**
+     * Get the grid cells whose center lies inside a region
+     * @param {Region} region - A region placeable
+     * @param {number} [elevation] - Elevation to test the region at
+     * @returns {Array} Grid positions {x, y}
+     */
+    getRegionCells(region, elevation = 0) {
+        const cells = [];
+        const bounds = region.bounds;
+        if (!bounds) return cells;
+        
+        const [i0, j0, i1, j1] = canvas.grid.getOffsetRange(bounds);
+        for (let i = i0; i < i1; i++) {
+            for (let j = j0; j < j1; j++) {
+                const cell = { x: j, y: i };
+                if (!this.coordinateService.isGridPositionInBounds(cell)) continue;
+                
+                const center = canvas.grid.getCenterPoint({ i, j });
+                if (region.document.testPoint({ x: center.x, y: center.y, elevation: elevation })) {
+                    cells.push(cell);
+                }
+            }
+        }
+        return cells;
+    }
+}
\ No newline at end of file
@@ -2,24 +2,49 @@
  * Token Movement Service for Smart Token Routing
  * Handles token movement and animations through waypoints
  */
+import { ROUTING_HOOKS } from './routing-hooks.js';
+
+/**
+ * Pause after opening a door before the token walks through it
+ */
+const DOOR_PAUSE_MS = 300;
+
 export class TokenMovementService {
     constructor(moduleName, settingsService) {
         this.MODULE_NAME = moduleName;
         this.settingsService = settingsService;
         this.animatingTokens = new Set(); // Track tokens currently animating through waypoints
+        this.rulerAnnotations = new Map(); // tokenId -> { userWaypoints, doorStops, squeezedWaypoints, ghostWaypoints } as Sets of point keys
+        this.moveListeners = new Set();
     }
 
     /**
      * Move token through waypoints using FoundryVTT v13 native waypoint system
+     * The movement is split at door stops, where the token pauses while the doors are opened
      * @param {Token} token - The token to move
      * @param {Array} pixelPath - Array of pixel coordinates for waypoints
+     * @param {Object} [options] - Movement options, passed on to the move listeners and the routing hooks
+     * @param {boolean} [options.following] - The token walks behind a leader in a marching order
+     * @param {boolean} [options.patrol] - The token walks a leg of its patrol
+     * @param {number} [options.cost] - Cost of the route in grid spaces, reported when the move completes
+     * @param {Function} [options.isInterrupted] - Asked at every door stop, the move ends there when it returns true
      */
-    async moveTokenThroughWaypoints(token, pixelPath) {
+    async moveTokenThroughWaypoints(token, pixelPath, options = {}) {
         if (!pixelPath || pixelPath.length < 2) return;
         
+        // Other modules may veto the move, the token then stays where it is
+        if (Hooks.call(`${this.MODULE_NAME}.${ROUTING_HOOKS.PRE_MOVE_ALONG_PATH}`, token, { path: pixelPath, options: options }) === false) {
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🚫 Movement of ${token.name} was vetoed by a ${ROUTING_HOOKS.PRE_MOVE_ALONG_PATH} hook`);
+            }
+            return;
+        }
+        
+        let completed = false;
         try {
             // Mark token as animating
             this.animatingTokens.add(token.id);
+            this.notifyMoveListeners(token, pixelPath, options);
             
             if (this.settingsService.isDebugMode()) {
                 console.log(`[${this.MODULE_NAME}] 🎬 Starting FoundryVTT v13 waypoint movement for ${token.name}`);
@@ -28,7 +53,7 @@ export class TokenMovementService {
             
             // Convert pixel path to FoundryVTT v13 waypoint format
             // Skip the first waypoint (current position) - FoundryVTT move() expects destinations only
-            const destinationWaypoints = pixelPath.slice(1).map((point, index) => {
+            const destinationWaypoints = pixelPath.slice(1).map((point, index, destinations) => {
                 // Don't use FoundryVTT's snapping since it's causing issues
                 // Use our pixel coordinates directly since they're already calculated correctly
                 // These coordinates represent the centers of grid cells
@@ -38,11 +63,21 @@ export class TokenMovementService {
                     console.log(`[${this.MODULE_NAME}] Waypoint ${index + 1}: (${Math.round(point.x)},${Math.round(point.y)}) → using directly (${finalPoint.x},${finalPoint.y})`);
                 }
                 
-                return {
+                // User-placed waypoints, door stops and the drop point are explicit checkpoints, routed steps are intermediate
+                const explicit = point.userWaypoint === true || !!point.doorStop || index === destinations.length - 1;
+                
+                const waypoint = {
                     x: finalPoint.x,
                     y: finalPoint.y,
-                    snapped: true  // FoundryVTT v13 waypoint property
+                    snapped: true,  // FoundryVTT v13 waypoint property
+                    explicit: explicit,
+                    checkpoint: explicit,
+                    intermediate: !explicit
                 };
+                
+                // The movement action selected the route, so Foundry records the move with the same action
+                if (point.action) waypoint.action = point.action;
+                return waypoint;
             });
             
             if (this.settingsService.isDebugMode()) {
@@ -50,11 +85,26 @@ export class TokenMovementService {
                 console.log(`[${this.MODULE_NAME}] Moving token through ${destinationWaypoints.length} waypoints`);
             }
             
-            // Use FoundryVTT's native TokenDocument.move() exactly like the examples
-            await token.document.move(destinationWaypoints, { 
-                showRuler: true,
-                routing_token_movement: true  // Flag to prevent our hooks from interfering
-            });
+            // A door right in front of the token is opened before it starts moving
+            if (pixelPath[0].doorStop && !(await this.openDoors(token, pixelPath[0].doorStop))) return;
+            
+            let segment = [];
+            let segmentStart = 0;
+            for (let index = 0; index < destinationWaypoints.length; index++) {
+                segment.push(destinationWaypoints[index]);
+                
+                const doorStop = pixelPath[index + 1].doorStop;
+                if (!doorStop || index === destinationWaypoints.length - 1) continue;
+                
+                await this.moveSegment(token, segment, pixelPath.slice(segmentStart, index + 2));
+                segment = [];
+                segmentStart = index + 1;
+                if (options.isInterrupted?.() || !(await this.openDoors(token, doorStop))) return;
+            }
+            if (segment.length) {
+                await this.moveSegment(token, segment, pixelPath.slice(segmentStart));
+            }
+            completed = true;
             
             if (this.settingsService.isDebugMode()) {
                 console.log(`[${this.MODULE_NAME}] ✅ Native waypoint movement completed for ${token.name}`);
@@ -67,25 +117,131 @@ export class TokenMovementService {
         } finally {
             // Clear animation flag
             this.animatingTokens.delete(token.id);
+            
+            Hooks.callAll(`${this.MODULE_NAME}.${ROUTING_HOOKS.MOVE_COMPLETE}`, token, {
+                path: pixelPath,
+                position: { x: token.document.x, y: token.document.y, elevation: token.document.elevation },
+                cost: options.cost ?? null,
+                completed: completed,
+                options: options
+            });
         }
     }
 
+    /**
+     * Move a token through a run of waypoints and wait for the animation to finish
+     * @param {Token} token - The token to move
+     * @param {Array} waypoints - FoundryVTT v13 waypoints
+     * @param {Array} trail - Pixel waypoints of the run, from where it starts, with the route cost up to each of them
+     */
+    async moveSegment(token, waypoints, trail) {
+        // Use FoundryVTT's native TokenDocument.move() exactly like the examples
+        await token.document.move(waypoints, { 
+            showRuler: true,
+            routing_token_movement: true,  // Flag to prevent our hooks from interfering
+            // Route walked and what it cost, so combat tracking records the price the route was shown with
+            routing_token_path: trail.map(point => ({ x: point.x, y: point.y, action: point.action, routeCost: point.routeCost }))
+        });
+        await token.movementAnimationPromise;
+    }
+
+    /**
+     * Open the closed doors at a door stop, pausing briefly so the token does not clip through them
+     * @param {Token} token - The moving token
+     * @param {Array<string>} wallIds - IDs of the doors crossed after the stop
+     * @returns {Promise<boolean>} True if the token may continue
+     */
+    async openDoors(token, wallIds) {
+        let opened = false;
+        for (const wallId of wallIds) {
+            const wall = canvas.walls?.get(wallId);
+            if (!wall || wall.document.ds === CONST.WALL_DOOR_STATES.OPEN) continue;
+            
+            if (!this.canOpenDoor(wallId)) {
+                if (this.settingsService.isDebugMode()) {
+                    console.log(`[${this.MODULE_NAME}] 🚪 ${token.name} stopped at a closed door`);
+                }
+                return false;
+            }
+            
+            await wall.document.update({ ds: CONST.WALL_DOOR_STATES.OPEN });
+            opened = true;
+        }
+        
+        if (opened) {
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] 🚪 Opened ${wallIds.length} door(s) for ${token.name}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, DOOR_PAUSE_MS));
+        }
+        return true;
+    }
+
+    /**
+     * Check if the current user may open a door while moving along a route
+     * Locked doors are never opened, players may only open regular doors and not while the game is paused
+     * @param {string} wallId - ID of the door wall
+     * @returns {boolean} True if the door is open or may be opened
+     */
+    canOpenDoor(wallId) {
+        const wall = canvas.walls?.get(wallId);
+        if (!wall) return false;
+        
+        const { door, ds } = wall.document;
+        if (ds === CONST.WALL_DOOR_STATES.OPEN) return true;
+        if (ds === CONST.WALL_DOOR_STATES.LOCKED) return false;
+        
+        const policy = this.settingsService.getDoorOpeningPolicy();
+        if (policy === "never") return false;
+        if (game.user.isGM) return true;
+        return policy === "permitted" && door === CONST.WALL_DOOR_TYPES.DOOR && !game.paused;
+    }
+
+    /**
+     * Check if the current user may open every door at a door stop
+     * @param {Array<string>} wallIds - IDs of the door walls
+     * @returns {boolean}
+     */
+    canOpenDoors(wallIds) {
+        return wallIds.every(wallId => this.canOpenDoor(wallId));
+    }
+
     /**
      * Update the token's ruler to display the calculated path
      * Uses FoundryVTT v13's native updateDragRulerPath method if available
      * @param {Token} token - The token whose ruler to update
      * @param {Array} pixelPath - Array of pixel coordinates for the path
+     * @param {Array} [ghostPath] - Pixel coordinates of the part of the route the token cannot afford, starting where the path ends
      */
-    updateTokenRuler(token, pixelPath) {
-        if (!token || !pixelPath || pixelPath.length < 2) return;
+    updateTokenRuler(token, pixelPath, ghostPath = []) {
+        if (!token || !pixelPath || pixelPath.length < 2 && ghostPath.length < 2) return;
         
         try {
-            // Convert pixel path to FoundryVTT v13 waypoint format
-            const waypoints = pixelPath.map(point => ({
-                x: point.x,
-                y: point.y,
-                elevation: token.document.elevation || 0
-            }));
+            // Convert pixel path to FoundryVTT v13 waypoint format, the ghost path continues from the last affordable point
+            const ghostPoints = ghostPath.slice(1);
+            const shownPath = [...pixelPath, ...ghostPoints];
+            const waypoints = shownPath.map((point, index) => {
+                const explicit = index === 0 || index === pixelPath.length - 1 || index === shownPath.length - 1 ||
+                    point.userWaypoint === true || !!point.doorStop;
+                const waypoint = {
+                    x: point.x,
+                    y: point.y,
+                    elevation: token.document.elevation || 0,
+                    explicit: explicit,
+                    intermediate: !explicit
+                };
+                if (point.action) waypoint.action = point.action;
+                return waypoint;
+            });
+            
+            // Remember which waypoints the user placed, where the token stops for doors, which waypoints it squeezes into
+            // and which it cannot afford, so the ruler can style them distinctly
+            this.rulerAnnotations.set(token.id, {
+                userWaypoints: new Set(shownPath.filter(point => point.userWaypoint).map(point => this.getPointKey(point))),
+                doorStops: new Set(shownPath.filter(point => point.doorStop).map(point => this.getPointKey(point))),
+                squeezedWaypoints: new Set(shownPath.filter(point => point.squeezed).map(point => this.getPointKey(point))),
+                ghostWaypoints: new Set(ghostPoints.map(point => this.getPointKey(point)))
+            });
             
             // Try to use FoundryVTT v13's native updateDragRulerPath method
             if (typeof token.updateDragRulerPath === 'function') {
@@ -114,6 +270,96 @@ export class TokenMovementService {
         }
     }
 
+    /**
+     * Get the ruler annotations of the last path shown for a token
+     * @param {string} tokenId - The token's ID
+     * @returns {Object|null} Annotations with the user waypoint, door stop, squeezed waypoint and ghost waypoint keys, or null if none
+     */
+    getRulerAnnotations(tokenId) {
+        return this.rulerAnnotations.get(tokenId) ?? null;
+    }
+
+    /**
+     * Check if a ruler waypoint was placed by the user in the last path shown for a token
+     * @param {string} tokenId - The token's ID
+     * @param {Object} point - Waypoint position {x, y}
+     * @returns {boolean}
+     */
+    isUserWaypoint(tokenId, point) {
+        return this.rulerAnnotations.get(tokenId)?.userWaypoints.has(this.getPointKey(point)) ?? false;
+    }
+
+    /**
+     * Check if a ruler waypoint is a door stop in the last path shown for a token
+     * @param {string} tokenId - The token's ID
+     * @param {Object} point - Waypoint position {x, y}
+     * @returns {boolean}
+     */
+    isDoorStop(tokenId, point) {
+        return this.rulerAnnotations.get(tokenId)?.doorStops.has(this.getPointKey(point)) ?? false;
+    }
+
+    /**
+     * Check if the token squeezes through a narrow space to reach a ruler waypoint in the last path shown for it
+     * @param {string} tokenId - The token's ID
+     * @param {Object} point - Waypoint position {x, y}
+     * @returns {boolean}
+     */
+    isSqueezedWaypoint(tokenId, point) {
+        return this.rulerAnnotations.get(tokenId)?.squeezedWaypoints.has(this.getPointKey(point)) ?? false;
+    }
+
+    /**
+     * Check if a ruler waypoint lies beyond what the token can afford in the last path shown for a token
+     * @param {string} tokenId - The token's ID
+     * @param {Object} point - Waypoint position {x, y}
+     * @returns {boolean}
+     */
+    isGhostWaypoint(tokenId, point) {
+        return this.rulerAnnotations.get(tokenId)?.ghostWaypoints.has(this.getPointKey(point)) ?? false;
+    }
+
+    /**
+     * Build a lookup key for a pixel position
+     * @param {Object} point - Position {x, y}
+     * @returns {string}
+     */
+    getPointKey(point) {
+        return `${Math.round(point.x)},${Math.round(point.y)}`;
+    }
+
+    /**
+     * Add a listener for token moves started through waypoints
+     * @param {Function} callback - Called with the token, its pixel path and the movement options
+     */
+    addMoveListener(callback) {
+        this.moveListeners.add(callback);
+    }
+
+    /**
+     * Remove a listener for token moves started through waypoints
+     * @param {Function} callback 
+     */
+    removeMoveListener(callback) {
+        this.moveListeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of a token move started through waypoints
+     * @param {Token} token - The moving token
+     * @param {Array} pixelPath - Pixel waypoints of the move
+     * @param {Object} options - Movement options
+     */
+    notifyMoveListeners(token, pixelPath, options) {
+        this.moveListeners.forEach(callback => {
+            try {
+                callback(token, pixelPath, options);
+            } catch (error) {
+                console.warn(`[${this.MODULE_NAME}] Error in token move listener:`, error);
+            }
+        });
+    }
+
     /**
      * Check if a token is currently animating
      * @param {string} tokenId - The token's ID
@@ -136,6 +382,7 @@ export class TokenMovementService {
      */
     clearAllAnimations() {
         this.animatingTokens.clear();
+        this.rulerAnnotations.clear();
     }
 
     /**
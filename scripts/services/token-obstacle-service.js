@@ -0,0 +1,124 @@
+/**
+ * Token Obstacle Service for Smart Token Routing
+ * Turns the other tokens on the scene into per-cell routing rules
+ *
+ * A cell rule is an object with:
+ *   blocked - the cell cannot be entered
+ *   penalty - extra cost for entering the cell, in grid spaces
+ *   noStop  - the cell can be crossed but a route may not end there
+ * Terrain adds an optional multiplier, the factor applied to the cost of entering the cell, and route
+ * preferences an optional preference, a factor that only steers the route and is not part of its cost.
+ */
+export class TokenObstacleService {
+    constructor(moduleName, settingsService, coordinateService) {
+        this.MODULE_NAME = moduleName;
+        this.settingsService = settingsService;
+        this.coordinateService = coordinateService;
+    }
+
+    /**
+     * Build the cell rules for every token that obstructs a moving token
+     * @param {Token} movingToken - The token being routed, which never obstructs itself
+     * @param {Set<string>} [ignoredTokenIds] - Tokens that do not obstruct either, such as the rest of a moving group
+     * @returns {Map} Cell key -> cell rule {blocked, penalty, noStop}
+     */
+    getCellRules(movingToken, ignoredTokenIds = null) {
+        const rules = new Map();
+        const tokens = canvas.tokens?.placeables ?? [];
+        
+        for (const other of tokens) {
+            if (other.id === movingToken.id || ignoredTokenIds?.has(other.id) || !this.canObstruct(other)) continue;
+            
+            const relation = this.getRelation(movingToken, other);
+            const behavior = this.settingsService.getTokenObstacleBehavior(relation);
+            const rule = this.createRule(behavior);
+            if (!rule) continue;
+            
+            // Large tokens claim every cell they cover
+            for (const offset of other.document.getOccupiedGridSpaceOffsets()) {
+                const key = this.coordinateService.getGridPositionKey({ x: offset.j, y: offset.i });
+                rules.set(key, this.mergeRules(rules.get(key), rule));
+            }
+        }
+        
+        if (this.settingsService.isDebugMode() && rules.size > 0) {
+            console.log(`[${this.MODULE_NAME}] 🧱 ${rules.size} cells occupied by other tokens for ${movingToken.name}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Check if a token may influence routes for the current user
+     * Tokens a player cannot see are ignored so routes never reveal their position
+     * @param {Token} token - A token on the scene
+     * @returns {boolean}
+     */
+    canObstruct(token) {
+        if (!token.document) return false;
+        if (game.user.isGM) return true;
+        return !token.document.hidden && token.isVisible !== false;
+    }
+
+    /**
+     * Classify another token relative to the moving token
+     * Opposing friendly and hostile dispositions are hostile to each other, equal dispositions
+     * are friendly, anything involving a neutral or secret token is neutral
+     * @param {Token} movingToken - The token being routed
+     * @param {Token} other - The obstructing token
+     * @returns {string} "hostile", "neutral" or "friendly"
+     */
+    getRelation(movingToken, other) {
+        const { FRIENDLY, HOSTILE } = CONST.TOKEN_DISPOSITIONS;
+        const mine = movingToken.document?.disposition;
+        const theirs = other.document.disposition;
+        
+        if (mine === theirs && (mine === FRIENDLY || mine === HOSTILE)) return "friendly";
+        if ((mine === FRIENDLY && theirs === HOSTILE) || (mine === HOSTILE && theirs === FRIENDLY)) return "hostile";
+        return "neutral";
+    }
+
+    /**
+     * Create the cell rule for an obstacle behavior setting
+     * @param {string} behavior - "ignore", "passThrough", "penalty" or "block"
+     * @returns {Object|null} Cell rule, or null if the token is ignored
+     */
+    createRule(behavior) {
+        switch (behavior) {
+            case "block":
+                return { blocked: true, penalty: 0, noStop: true };
+            case "penalty":
+                return { blocked: false, penalty: this.settingsService.getTokenObstaclePenalty(), noStop: true };
+            case "passThrough":
+                return { blocked: false, penalty: 0, noStop: true };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Combine the rules of tokens sharing a cell, keeping the most restrictive of each
+     * @param {Object|undefined} existing - Rule already set for the cell
+     * @param {Object} rule - Rule to add
+     * @returns {Object} Combined cell rule
+     */
+    mergeRules(existing, rule) {
+        if (!existing) return { ...rule };
+        return {
+            blocked: existing.blocked || rule.blocked,
+            penalty: Math.max(existing.penalty, rule.penalty),
+            noStop: existing.noStop || rule.noStop
+        };
+    }
+
+    /**
+     * Build a compact description of cell rules for cache keys
+     * @param {Map} rules - Cell rules from getCellRules
+     * @returns {string}
+     */
+    getRulesSignature(rules) {
+        if (!rules?.size) return "";
+        return Array.from(rules, ([key, rule]) => `${key}:${rule.blocked ? 'b' : rule.penalty}${rule.multiplier ? 'x' + rule.multiplier : ''}${rule.preference ? 'p' + rule.preference : ''}${rule.noStop ? 's' : ''}`)
+            .sort()
+            .join(';');
+    }
+}
\ No newline at end of file
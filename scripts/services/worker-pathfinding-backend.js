@@ -0,0 +1,231 @@
+/**
+ * Worker Pathfinding Backend for Smart Token Routing
+ * Runs the built-in grid A* in a Web Worker (scripts/workers/pathfinding-worker.js), so long routes do not freeze the canvas
+ *
+ * The worker is sent a snapshot of the viewed scene's walls when the scene is first routed, then only the walls that
+ * changed. Cell rules are sent as the changes since the previous search. Every search carries the ID of the
+ * pathfinding job it belongs to, and cancelling the job stops its searches in the worker. Square grids only;
+ * single steps are still tested on the main thread, like the built-in backend does.
+ */
+import { NativePathfindingBackend } from './native-pathfinding-backend.js';
+
+export class WorkerPathfindingBackend extends NativePathfindingBackend {
+    constructor(moduleName, settingsService, coordinateService) {
+        super(moduleName, settingsService, coordinateService);
+        this.supportsStepCosts = false;
+        this.supportsSqueezing = false;
+        this.worker = null;
+        this.failed = false;
+        this.sceneId = null; // Scene whose snapshot the worker holds
+        this.sentCellRules = new Map(); // cell key -> rule signature the worker holds
+        this.pendingRequests = new Map(); // requestId -> { jobId, resolve, reject }
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Check if the current scene can be routed in the worker
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !this.failed && typeof Worker === 'function' && super.isAvailable() && canvas.grid.isSquare;
+    }
+
+    /**
+     * Find the cheapest path between two grid positions in the worker
+     * Cancelled searches resolve as unreachable, their job discards the result
+     * @param {Object} from - Starting grid position {x, y}
+     * @param {Object} to - Target grid position {x, y}
+     * @param {Object} [options] - Search options, see NativePathfindingBackend#findPath
+     * @param {number} [options.jobId] - Pathfinding job the search belongs to
+     * @returns {Promise<Object|null>} {path, cost} with grid positions including both ends, or null if unreachable
+     */
+    async findPath(from, to, options = {}) {
+        const { cellRules = null, doorRules = null, allowedCells = null, climbableWalls = null } = options;
+        const tokenData = options.tokenData ?? this.getTokenData(options.token);
+        const worker = this.getWorker();
+        this.syncScene(worker);
+        this.syncCellRules(worker, cellRules);
+        
+        const requestId = this.nextRequestId++;
+        const jobId = options.jobId ?? null;
+        const path = await new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, { jobId, resolve, reject });
+            worker.postMessage({
+                type: "findPath",
+                requestId: requestId,
+                jobId: jobId,
+                from: { x: from.x, y: from.y },
+                to: { x: to.x, y: to.y },
+                options: {
+                    maxCost: options.maxCost ?? Infinity,
+                    width: tokenData?.width ?? 1,
+                    height: tokenData?.height ?? 1,
+                    allowedCells: allowedCells ? Array.from(allowedCells) : null,
+                    doors: doorRules ? Array.from(doorRules, ([id, door]) => [id, door.cost]) : [],
+                    climbableWalls: climbableWalls ? Array.from(climbableWalls.keys()) : []
+                }
+            });
+        });
+        if (!path) return null;
+        
+        return { path: path, cost: this.coordinateService.measurePathDistance(path) + this.getExtraCost(path, tokenData, cellRules, doorRules) };
+    }
+
+    /**
+     * Stop the worker's searches for a pathfinding job
+     * @param {number} jobId - Job ID passed to findPath
+     */
+    cancel(jobId) {
+        if (!this.worker) return;
+        for (const request of this.pendingRequests.values()) {
+            if (request.jobId !== jobId) continue;
+            this.worker.postMessage({ type: "cancel", jobId: jobId });
+            
+            if (this.settingsService.isDebugMode()) {
+                console.log(`[${this.MODULE_NAME}] ⏹️ Cancelling worker searches of pathfinding job ${jobId}`);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Send a created, changed or deleted wall of the snapshotted scene to the worker
+     * @param {WallDocument} wallDocument
+     * @param {boolean} [removed] - Whether the wall was deleted
+     */
+    updateWall(wallDocument, removed = false) {
+        if (!this.worker || wallDocument.parent?.id !== this.sceneId) return;
+        
+        const wall = removed ? null : this.serializeWall(wallDocument);
+        this.worker.postMessage({
+            type: "walls",
+            upsert: wall ? [wall] : [],
+            remove: wall ? [] : [wallDocument.id]
+        });
+    }
+
+    /**
+     * Forget the snapshot of the scene being left, the next search sends a new one
+     */
+    resetScene() {
+        this.sceneId = null;
+        this.sentCellRules.clear();
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     * @returns {Worker}
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        
+        this.worker = new Worker(new URL('../workers/pathfinding-worker.js', import.meta.url), {
+            type: "module",
+            name: `${this.MODULE_NAME}-pathfinding`
+        });
+        this.worker.addEventListener("message", (event) => this.onWorkerMessage(event.data));
+        this.worker.addEventListener("error", (event) => this.onWorkerError(event));
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧵 Pathfinding worker started`);
+        }
+        return this.worker;
+    }
+
+    /**
+     * Send the viewed scene's grid and walls, unless the worker already holds them
+     * @param {Worker} worker
+     */
+    syncScene(worker) {
+        if (this.sceneId === canvas.scene.id) return;
+        
+        const { width, height, sceneRect } = canvas.dimensions;
+        worker.postMessage({
+            type: "scene",
+            grid: {
+                sizeX: canvas.grid.sizeX,
+                sizeY: canvas.grid.sizeY,
+                width: width,
+                height: height,
+                diagonalCost: this.coordinateService.getStepCost({ x: 0, y: 0 }, { x: 1, y: 1 }),
+                sceneRect: { x: sceneRect.x, y: sceneRect.y, width: sceneRect.width, height: sceneRect.height }
+            },
+            walls: canvas.scene.walls.contents.map(wallDocument => this.serializeWall(wallDocument)).filter(wall => wall)
+        });
+        this.sceneId = canvas.scene.id;
+        this.sentCellRules.clear();
+        
+        if (this.settingsService.isDebugMode()) {
+            console.log(`[${this.MODULE_NAME}] 🧵 Sent the walls of ${canvas.scene.name} to the pathfinding worker`);
+        }
+    }
+
+    /**
+     * Send the cell rules that changed since the previous search
+     * @param {Worker} worker
+     * @param {Map|null} cellRules - Cell rules passed to findPath
+     */
+    syncCellRules(worker, cellRules) {
+        const upsert = [];
+        const remove = [];
+        for (const [key, rule] of cellRules ?? []) {
+            const signature = `${rule.blocked ? 1 : 0}|${rule.penalty ?? 0}|${rule.multiplier ?? 1}|${rule.preference ?? 1}`;
+            if (this.sentCellRules.get(key) === signature) continue;
+            this.sentCellRules.set(key, signature);
+            upsert.push([key, { blocked: !!rule.blocked, penalty: rule.penalty ?? 0, multiplier: rule.multiplier ?? 1, preference: rule.preference ?? 1 }]);
+        }
+        for (const key of this.sentCellRules.keys()) {
+            if (cellRules?.has(key)) continue;
+            this.sentCellRules.delete(key);
+            remove.push(key);
+        }
+        
+        if (upsert.length || remove.length) {
+            worker.postMessage({ type: "terrain", upsert: upsert, remove: remove });
+        }
+    }
+
+    /**
+     * Serialise a wall that blocks movement
+     * @param {WallDocument} wallDocument
+     * @returns {Object|null} {id, c, direction}, or null if the wall does not block movement
+     */
+    serializeWall(wallDocument) {
+        if (wallDocument.move === CONST.WALL_SENSE_TYPES.NONE) return null;
+        if (wallDocument.door !== CONST.WALL_DOOR_TYPES.NONE && wallDocument.ds === CONST.WALL_DOOR_STATES.OPEN) return null;
+        return { id: wallDocument.id, c: [...wallDocument.c], direction: wallDocument.dir ?? CONST.WALL_DIRECTIONS.BOTH };
+    }
+
+    /**
+     * Settle the request a worker message answers
+     * @param {Object} message - Message posted by the worker
+     */
+    onWorkerMessage(message) {
+        const request = this.pendingRequests.get(message.requestId);
+        if (!request) return;
+        this.pendingRequests.delete(message.requestId);
+        
+        if (message.type === "error") {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message.type === "result" ? message.path : null);
+        }
+    }
+
+    /**
+     * Give up on the worker after it failed to start or crashed, the other backends take over
+     * @param {ErrorEvent} event
+     */
+    onWorkerError(event) {
+        console.warn(`[${this.MODULE_NAME}] Pathfinding worker failed, routes are calculated on the main thread:`, event.message ?? event);
+        this.failed = true;
+        this.worker?.terminate();
+        this.worker = null;
+        this.resetScene();
+        
+        for (const request of this.pendingRequests.values()) {
+            request.reject(new Error("Pathfinding worker failed"));
+        }
+        this.pendingRequests.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,386 @@
+/**
+ * Pathfinding Worker for Smart Token Routing
+ * Runs the grid A* of the background backend off the main thread, so long routes do not freeze the canvas
+ *
+ * The worker keeps a snapshot of the viewed scene: its square grid, the walls that block movement and the cell
+ * rules of the routes it is asked for. The main thread sends the whole snapshot once per scene and only the
+ * changes after that. Snapshots are replaced rather than changed, so a search keeps the state it started with.
+ * Searches yield between batches of cells, which lets a cancel message for their job stop them early.
+ *
+ * Messages received:
+ *   {type: "scene", grid, walls}                     Replace the snapshot, grid {sizeX, sizeY, width, height, diagonalCost, sceneRect}
+ *   {type: "walls", upsert, remove}                  Add or replace walls {id, c, direction}, remove walls by ID
+ *   {type: "terrain", upsert, remove}                Add or replace [cell key, rule] pairs, remove cell keys
+ *   {type: "findPath", requestId, jobId, from, to, options}
+ *   {type: "cancel", jobId}                          Abandon every search of a pathfinding job
+ * Messages posted:
+ *   {type: "result", requestId, path}                Grid positions including both ends, or null if unreachable
+ *   {type: "cancelled", requestId}
+ *   {type: "error", requestId, message}
+ */
+import { MinHeap } from '../services/min-heap.js';
+
+/**
+ * Upper bound on expanded cells per search, far above the main-thread limit since the canvas keeps running
+ */
+const MAX_SEARCH_ITERATIONS = 400000;
+
+/**
+ * Cells expanded between two looks at the message queue for cancellations
+ */
+const CANCELLATION_CHECK_INTERVAL = 2000;
+
+/**
+ * Wall directions, as CONST.WALL_DIRECTIONS
+ */
+const WALL_DIRECTIONS = Object.freeze({ BOTH: 0, LEFT: 1, RIGHT: 2 });
+
+/**
+ * Square grid neighbours, orthogonal steps first
+ */
+const NEIGHBOR_OFFSETS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Footprint of a single covered cell
+ */
+const SINGLE_CELL = Object.freeze({ width: 1, height: 1 });
+
+let grid = null;
+let walls = new Map(); // wallId -> {id, a, b, direction}
+let wallIndex = null; // Buckets of walls by grid cell, rebuilt lazily after wall changes
+let cellRules = new Map(); // key of the token's top-left cell -> {blocked, penalty, multiplier, preference} over its footprint
+const runningJobs = new Map(); // jobId -> number of searches in flight
+const cancelledJobs = new Set();
+let queryStamp = 0;
+
+self.addEventListener("message", (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case "scene":
+            grid = message.grid;
+            walls = new Map(message.walls.map(wall => [wall.id, toSegment(wall)]));
+            wallIndex = null;
+            cellRules = new Map();
+            break;
+        case "walls":
+            walls = new Map(walls);
+            for (const id of message.remove) walls.delete(id);
+            for (const wall of message.upsert) walls.set(wall.id, toSegment(wall));
+            wallIndex = null;
+            break;
+        case "terrain":
+            cellRules = new Map(cellRules);
+            for (const key of message.remove) cellRules.delete(key);
+            for (const [key, rule] of message.upsert) cellRules.set(key, rule);
+            break;
+        case "findPath":
+            runSearch(message);
+            break;
+        case "cancel":
+            if (runningJobs.has(message.jobId)) cancelledJobs.add(message.jobId);
+            break;
+    }
+});
+
+/**
+ * Run a search and post its outcome
+ * @param {Object} message - findPath message
+ */
+async function runSearch(message) {
+    const { requestId, jobId } = message;
+    runningJobs.set(jobId, (runningJobs.get(jobId) ?? 0) + 1);
+    
+    try {
+        const path = await findPath(message.from, message.to, message.options, () => cancelledJobs.has(jobId));
+        self.postMessage(path === undefined ? { type: "cancelled", requestId } : { type: "result", requestId, path });
+    } catch (error) {
+        self.postMessage({ type: "error", requestId, message: error?.message ?? String(error) });
+    } finally {
+        const remaining = runningJobs.get(jobId) - 1;
+        if (remaining > 0) {
+            runningJobs.set(jobId, remaining);
+        } else {
+            runningJobs.delete(jobId);
+            cancelledJobs.delete(jobId);
+        }
+    }
+}
+
+/**
+ * Find the cheapest path between two grid positions with A*, like the built-in backend
+ * @param {Object} from - Starting grid position {x, y}
+ * @param {Object} to - Target grid position {x, y}
+ * @param {Object} options - {maxCost, width, height, allowedCells, doors, climbableWalls}
+ * @param {Function} isCancelled - Whether the search's job was cancelled
+ * @returns {Promise<Array|null|undefined>} Grid positions including both ends, null if unreachable, undefined if cancelled
+ */
+async function findPath(from, to, options, isCancelled) {
+    if (!grid) throw new Error("No scene snapshot");
+    
+    // The snapshot may be replaced while the search yields, the search keeps the one it started with
+    const rules = cellRules;
+    const index = getWallIndex();
+    const allowedCells = options.allowedCells ? new Set(options.allowedCells) : null;
+    const doorCosts = new Map(options.doors);
+    const passableWalls = new Set([...doorCosts.keys(), ...options.climbableWalls]);
+    const maxCost = options.maxCost ?? Infinity;
+    
+    // Movement starting inside the scene may not leave it, like Foundry's inner bounds
+    const startCenter = getCellCenter(from, options);
+    const sceneRect = grid.sceneRect;
+    const insideScene = !!sceneRect && startCenter.x > sceneRect.x && startCenter.x < sceneRect.x + sceneRect.width &&
+        startCenter.y > sceneRect.y && startCenter.y < sceneRect.y + sceneRect.height;
+    
+    let heuristicScale = 1;
+    for (const rule of rules.values()) {
+        heuristicScale = Math.min(heuristicScale, (rule.multiplier ?? 1) * (rule.preference ?? 1));
+    }
+    
+    const startKey = getKey(from);
+    const goalKey = getKey(to);
+    if (startKey === goalKey) return [from];
+    if (!isInBounds(to) || (allowedCells && !allowedCells.has(goalKey))) return null;
+    
+    const open = new MinHeap();
+    const cameFrom = new Map();
+    const gScore = new Map([[startKey, 0]]);
+    const closed = new Set();
+    let iterations = 0;
+    
+    open.push({ cell: from, key: startKey, g: 0, f: estimate(from, to) * heuristicScale });
+    
+    while (open.size > 0) {
+        const current = open.pop();
+        if (closed.has(current.key)) continue;
+        if (current.key === goalKey) return reconstructPath(cameFrom, current.cell);
+        
+        closed.add(current.key);
+        if (++iterations > MAX_SEARCH_ITERATIONS) break;
+        if (iterations % CANCELLATION_CHECK_INTERVAL === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) return undefined;
+        }
+        
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const neighbor = { x: current.cell.x + dx, y: current.cell.y + dy };
+            const key = getKey(neighbor);
+            if (closed.has(key) || !isInBounds(neighbor)) continue;
+            
+            const rule = rules.get(key);
+            if (rule?.blocked || (allowedCells && !allowedCells.has(key))) continue;
+            
+            const baseCost = dx !== 0 && dy !== 0 ? grid.diagonalCost : 1;
+            if (baseCost === Infinity) continue;
+            
+            const g = current.g + baseCost * (rule?.multiplier ?? 1) * (rule?.preference ?? 1) + (rule?.penalty ?? 0);
+            if (g > maxCost || g >= (gScore.get(key) ?? Infinity)) continue;
+            
+            // Collision tests are the expensive part, so they run last
+            const crossed = getStepCrossings(current.cell, neighbor, options, index, insideScene);
+            if (crossed === null || crossed.some(id => !passableWalls.has(id))) continue;
+            const total = g + crossed.reduce((sum, id) => sum + (doorCosts.get(id) ?? 0), 0);
+            if (total > maxCost || total >= (gScore.get(key) ?? Infinity)) continue;
+            
+            gScore.set(key, total);
+            cameFrom.set(key, current.cell);
+            open.push({ cell: neighbor, key: key, g: total, f: total + estimate(neighbor, to) * heuristicScale });
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Convert a serialised wall into a segment
+ * @param {Object} wall - {id, c, direction}
+ * @returns {Object} {id, a, b, direction, stamp}
+ */
+function toSegment(wall) {
+    const [x0, y0, x1, y1] = wall.c;
+    return { id: wall.id, a: { x: x0, y: y0 }, b: { x: x1, y: y1 }, direction: wall.direction ?? WALL_DIRECTIONS.BOTH, stamp: 0 };
+}
+
+/**
+ * Get the buckets of walls by grid cell, building them after a wall change
+ * Walls are sampled every quarter cell, so a step meets every wall it may cross in the buckets around it
+ * @returns {Map} Cell key -> walls
+ */
+function getWallIndex() {
+    if (wallIndex) return wallIndex;
+    
+    wallIndex = new Map();
+    const size = Math.min(grid.sizeX, grid.sizeY);
+    for (const wall of walls.values()) {
+        const samples = Math.max(1, Math.ceil(Math.hypot(wall.b.x - wall.a.x, wall.b.y - wall.a.y) / (size / 4)));
+        const buckets = new Set();
+        for (let sample = 0; sample <= samples; sample++) {
+            const x = wall.a.x + (wall.b.x - wall.a.x) * sample / samples;
+            const y = wall.a.y + (wall.b.y - wall.a.y) * sample / samples;
+            buckets.add(`${Math.floor(x / grid.sizeX)},${Math.floor(y / grid.sizeY)}`);
+        }
+        for (const key of buckets) {
+            if (!wallIndex.has(key)) wallIndex.set(key, []);
+            wallIndex.get(key).push(wall);
+        }
+    }
+    return wallIndex;
+}
+
+/**
+ * Get the walls a token crosses stepping between two cells
+ * Every cell a larger token covers takes the same step, and a wall between the cells it covers after the step blocks it
+ * @param {Object} from - Grid position {x, y} of the token's top-left cell
+ * @param {Object} to - Target grid position {x, y}
+ * @param {Object} footprint - {width, height} in grid spaces
+ * @param {Map} index - Wall buckets from getWallIndex
+ * @param {boolean} insideScene - Whether the scene's edges block the movement
+ * @returns {Array<string>|null} IDs of the crossed walls, or null if the step is blocked or leaves the scene
+ */
+function getStepCrossings(from, to, footprint, index, insideScene) {
+    const width = Math.max(1, Math.ceil(footprint.width ?? 1));
+    const height = Math.max(1, Math.ceil(footprint.height ?? 1));
+    if (width === 1 && height === 1) {
+        return getCrossedWalls(getCellCenter(from, footprint), getCellCenter(to, footprint), index, insideScene);
+    }
+    
+    const crossed = new Set();
+    for (let dx = 0; dx < width; dx++) {
+        for (let dy = 0; dy < height; dy++) {
+            const cell = { x: to.x + dx, y: to.y + dy };
+            const walls = getCrossedWalls(getCellCenter({ x: from.x + dx, y: from.y + dy }, SINGLE_CELL), getCellCenter(cell, SINGLE_CELL), index, insideScene);
+            if (walls === null) return null;
+            for (const id of walls) crossed.add(id);
+            
+            // Seams are not crossed on the way, so even doors and climbable walls between the covered cells block
+            const seams = [];
+            if (dx < width - 1) seams.push({ x: cell.x + 1, y: cell.y });
+            if (dy < height - 1) seams.push({ x: cell.x, y: cell.y + 1 });
+            for (const neighbor of seams) {
+                if (getCrossedWalls(getCellCenter(cell, SINGLE_CELL), getCellCenter(neighbor, SINGLE_CELL), index, false).length) return null;
+            }
+        }
+    }
+    return Array.from(crossed);
+}
+
+/**
+ * Get the walls a straight movement crosses
+ * One-way walls only block movement coming from their blocking side, as in Foundry
+ * @param {Object} origin - Pixel position {x, y}
+ * @param {Object} destination - Pixel position {x, y}
+ * @param {Map} index - Wall buckets from getWallIndex
+ * @param {boolean} insideScene - Whether the scene's edges block the movement
+ * @returns {Array<string>|null} IDs of the crossed walls, or null if the movement leaves the scene
+ */
+function getCrossedWalls(origin, destination, index, insideScene) {
+    if (insideScene) {
+        const { x, y, width, height } = grid.sceneRect;
+        if (destination.x <= x || destination.x >= x + width || destination.y <= y || destination.y >= y + height) return null;
+    }
+    
+    const crossed = [];
+    const stamp = ++queryStamp;
+    const minX = Math.floor(Math.min(origin.x, destination.x) / grid.sizeX) - 1;
+    const maxX = Math.floor(Math.max(origin.x, destination.x) / grid.sizeX) + 1;
+    const minY = Math.floor(Math.min(origin.y, destination.y) / grid.sizeY) - 1;
+    const maxY = Math.floor(Math.max(origin.y, destination.y) / grid.sizeY) + 1;
+    
+    for (let bucketX = minX; bucketX <= maxX; bucketX++) {
+        for (let bucketY = minY; bucketY <= maxY; bucketY++) {
+            for (const wall of index.get(`${bucketX},${bucketY}`) ?? []) {
+                if (wall.stamp === stamp) continue;
+                wall.stamp = stamp;
+                if (wall.direction !== WALL_DIRECTIONS.BOTH && orientPoint(wall, origin) === wall.direction) continue;
+                if (segmentsIntersect(origin, destination, wall.a, wall.b)) crossed.push(wall.id);
+            }
+        }
+    }
+    return crossed;
+}
+
+/**
+ * Get the side of a wall a point lies on, as Edge#orientPoint
+ * @param {Object} wall - Wall segment
+ * @param {Object} point - Pixel position {x, y}
+ * @returns {number} One of WALL_DIRECTIONS
+ */
+function orientPoint(wall, point) {
+    const orientation = orient2d(wall.a, wall.b, point);
+    if (orientation === 0) return WALL_DIRECTIONS.BOTH;
+    return orientation < 0 ? WALL_DIRECTIONS.LEFT : WALL_DIRECTIONS.RIGHT;
+}
+
+/**
+ * Check if two segments intersect, touching included, as foundry.utils.lineSegmentIntersects
+ * @returns {boolean}
+ */
+function segmentsIntersect(a, b, c, d) {
+    const xa = orient2d(a, b, c);
+    const xb = orient2d(a, b, d);
+    if (!xa && !xb) return false;
+    return xa * xb <= 0 && orient2d(c, d, a) * orient2d(c, d, b) <= 0;
+}
+
+/**
+ * Orientation of a point relative to a line, as foundry.utils.orient2dFast
+ * @returns {number} Positive, negative or zero
+ */
+function orient2d(a, b, c) {
+    return (a.y - c.y) * (b.x - c.x) - (a.x - c.x) * (b.y - c.y);
+}
+
+/**
+ * Get the pixel center of a token standing on a cell
+ * @param {Object} cell - Grid position {x, y} of the token's top-left cell
+ * @param {Object} footprint - {width, height} in grid spaces
+ * @returns {Object} Pixel position {x, y}
+ */
+function getCellCenter(cell, footprint) {
+    return {
+        x: (cell.x + (footprint.width ?? 1) / 2) * grid.sizeX,
+        y: (cell.y + (footprint.height ?? 1) / 2) * grid.sizeY
+    };
+}
+
+/**
+ * Check if a grid position lies on the canvas
+ * @param {Object} cell - Grid position {x, y}
+ * @returns {boolean}
+ */
+function isInBounds(cell) {
+    return cell.x >= 0 && cell.y >= 0 && (cell.x + 0.5) * grid.sizeX <= grid.width && (cell.y + 0.5) * grid.sizeY <= grid.height;
+}
+
+/**
+ * Lower bound of the path cost between two grid positions
+ * @returns {number} Estimated cost in grid spaces
+ */
+function estimate(a, b) {
+    const dx = Math.abs(b.x - a.x);
+    const dy = Math.abs(b.y - a.y);
+    return Math.max(dx, dy) - Math.min(dx, dy) + Math.min(dx, dy) * Math.min(grid.diagonalCost, 2);
+}
+
+/**
+ * Build a lookup key for a grid position, as CoordinateService#getGridPositionKey
+ * @returns {string}
+ */
+function getKey(cell) {
+    return `${cell.x},${cell.y}`;
+}
+
+/**
+ * Walk the search tree back from the goal
+ * @param {Map} cameFrom - Predecessor of every reached cell
+ * @param {Object} goal - Goal grid position
+ * @returns {Array} Grid positions from start to goal
+ */
+function reconstructPath(cameFrom, goal) {
+    const path = [goal];
+    let current = goal;
+    while (cameFrom.has(getKey(current))) {
+        current = cameFrom.get(getKey(current));
+        path.unshift(current);
+    }
+    return path;
+}
\ No newline at end of file